@@ -0,0 +1,80 @@
+// Benchmark: collision heights from depth maps vs the original multi-ray sampling
+//
+//     npm run bench
+//
+// Runs both collision passes on the same nodes and colliders (getCollisionInputs, as computeDrape
+// uses them), prints the time of each and checks that the collision heights are identical.
+// Only the passes are timed, not the relaxation or anything else computeDrape does.
+
+const {
+    resolveConfig,
+    getCollisionInputs,
+    computeCollisionHeights,
+    computeCollisionHeightsByRays
+} = require('../drape-core.js');
+
+const RUNS = 5; // Timed runs per method after one warm-up run, the fastest one is reported
+
+const CONFIGS = [
+    { name: 'Default cube', config: {} },
+    { name: 'Large cube, density 40', config: { gridDensity: 40, objects: [{ type: 'cube', size: 15 }] } },
+    { name: 'Rotated cube, density 40', config: { gridDensity: 40, objects: [{ type: 'cube', size: 15, rotationX: 30, rotationY: 20, rotationZ: 45 }] } },
+    { name: 'Sphere, density 40', config: { gridDensity: 40, objects: [{ type: 'sphere', size: 15 }] } },
+    { name: 'Torus, density 40', config: { gridDensity: 40, objects: [{ type: 'torus', size: 15, tube: 3, rotationX: 20 }] } },
+    { name: 'Cone on its side', config: { objects: [{ type: 'cone', size: 9, height: 13, rotationY: 90 }] } },
+    {
+        name: 'Three objects',
+        config: {
+            objects: [
+                { type: 'cube', x: -8, size: 7, rotationZ: 30 },
+                { type: 'sphere', x: 6, y: 4, size: 7 },
+                { type: 'pyramid', x: 4, y: -8, size: 5 }
+            ]
+        }
+    }
+];
+
+// Fastest of several runs, in milliseconds, plus the last result
+function time(run) {
+    let result = run();
+    let best = Infinity;
+    for (let k = 0; k < RUNS; k++) {
+        const start = performance.now();
+        result = run();
+        best = Math.min(best, performance.now() - start);
+    }
+    return { ms: best, result };
+}
+
+function maxDifference(a, b) {
+    let max = 0;
+    a.forEach((z, n) => {
+        max = Math.max(max, Math.abs(z - b[n]));
+    });
+    return max;
+}
+
+const pad = (text, width) => String(text).padEnd(width);
+console.log(pad('Config', 28) + pad('Rays (ms)', 12) + pad('Depth map (ms)', 16) + pad('Speedup', 10) + 'Max |Δz|');
+
+let allMatch = true;
+CONFIGS.forEach(({ name, config }) => {
+    const { nodes, colliders, options } = getCollisionInputs(resolveConfig(config));
+    const rays = time(() => computeCollisionHeightsByRays(nodes, colliders, options));
+    const depthMap = time(() => computeCollisionHeights(nodes, colliders, options));
+    const difference = maxDifference(rays.result, depthMap.result);
+    if (difference !== 0) allMatch = false;
+
+    console.log(
+        pad(name, 28) +
+        pad(rays.ms.toFixed(1), 12) +
+        pad(depthMap.ms.toFixed(1), 16) +
+        pad((rays.ms / depthMap.ms).toFixed(1) + '×', 10) +
+        difference
+    );
+});
+
+if (!allMatch) {
+    console.error('Collision heights differ between the two passes');
+    process.exitCode = 1;
+}
@@ -0,0 +1,3624 @@
+// Grid Drape core
+// Pure drape computation shared by the browser visualization and Node (vitest, scripts).
+// No DOM and no Three.js: everything here works on plain objects and arrays.
+//
+// In the browser this file is loaded as a classic script before grid-drape.js, so its
+// functions are globals. In Node it can be required:
+//
+//     const { computeDrape, computeShapeWallLines } = require('./drape-core.js');
+//
+// A scene holds a list of objects under one cloth. Each object has its own type,
+// position (in grid cells), size (in grid cells, odd) and rotation (degrees):
+//
+//     { type: 'cube', x: 0, y: 0, size: 9, rotationX: 0, rotationY: 0, rotationZ: 0 }
+//
+// The type is a key of SHAPES below; some shapes add their own parameters (box width, cone height, ...).
+// Imported meshes use { type: 'mesh', mesh: '<id>' } with the triangles stored in config.meshes[id].
+
+// Default composition, also used as the starting state of the visualization
+const DEFAULT_CONFIG = {
+    gridDensity: 35,
+    gridTopology: 'square', // Key of GRID_TOPOLOGIES: 'square', 'triangular', 'hexagonal' or 'polar'
+    objects: [
+        { type: 'cube', x: 0, y: 0, size: 9, rotationX: 0, rotationY: 0, rotationZ: 0, alignment: 'corner', alignFace: 'base' }
+    ],
+    latticeRotation: false, // Only allow rotations that keep the footprint's corners on grid points (see getLatticeAngles)
+    drapeExtension: 4, // How far the cloth reaches out from where it touches the objects, grid cells
+    drapeStiffness: 0.5, // 0 falls gradually over the whole extension, 1 drops steeply near the objects
+    drapeFalloff: 'linear', // Key of DRAPE_FALLOFFS: 'linear', 'catenary' or 'exponential'
+    drapeOpacity: 1.0, // Renamed from gridOpacity
+    shapeOpacity: 1.0,
+    backGridOpacity: 0.5, // New separate opacity for back grid
+    drapeLineWidth: 1.5,
+    shapeLineWidth: 1.5,
+    backGridLineWidth: 0.75,
+    showBackGrid: true,
+    strokeStyle: 'graphite', // Key of STROKE_STYLES, its settings below can be fine-tuned
+    strokeNoiseAmplitude: 1, // Width variation, 0 for a uniform line
+    strokeNoiseFrequency: 1, // Scale of the noise along the line
+    strokeAlphaMin: 0.4,
+    strokeAlphaMax: 1,
+    strokeSeed: 0, // Changes the random pattern of every stroke
+    strokeTaper: 1.5, // Length of the narrowing at each end of a stroke, grid cells
+    strokeOvershoot: 0.25, // How far strokes run on past their ends, grid cells
+    strokeWobble: 0.04, // Sideways drift of each stroke, grid cells
+    backGridColor: '#888888',
+    drapeColor: '#333333',
+    shapeColor: '#333333',
+    paperColor: '#f8f9fa',
+    solidMode: false, // Hide lines behind the cloth, the objects and the floor
+    hiddenLineOpacity: 0.1, // Opacity of the hidden lines in solid mode, relative to their layer (0 drops them)
+    traceDrapeLines: false, // Draw the objects with the drape grid lines carried on over them instead of their own grid
+    drapeMode: 'relax', // 'relax' (height field) or 'cloth' (simulated, see createClothSimulation)
+    clothAnimate: true, // Show the cloth falling instead of only the settled result
+    meshes: {} // Imported OBJ/STL meshes by id, see parseMeshFile
+};
+
+// Keys of the single-shape config used before scenes could hold several objects
+const LEGACY_SHAPE_KEYS = {
+    shapeType: 'type',
+    cubeX: 'x',
+    cubeY: 'y',
+    cubeSize: 'size',
+    rotationX: 'rotationX',
+    rotationY: 'rotationY',
+    rotationZ: 'rotationZ'
+};
+
+const BACK_Z = -200; // Height of the floor plane
+const VIEWPORT_SIZE = 1500; // Grid coverage area
+const RAYS_PER_POINT = 7; // Rays per axis when sampling collision heights
+const DEPTH_MAP_MAX_SAMPLES = 4e6; // Larger collision depth maps fall back to casting the rays
+const RAY_START_Z = 2000; // Rays start very high up to catch any elevated corners
+const SPHERE_SEGMENTS = 32; // Tessellation of the sphere collider, matches THREE.SphereGeometry
+const FLOOR_CLIP_OFFSET = 0.1; // Wall lines are cut slightly above the floor to avoid z-fighting
+
+// Deep copy of a config (configs only hold JSON data)
+function cloneConfig(config) {
+    return JSON.parse(JSON.stringify(config));
+}
+
+// Turn the legacy single-shape keys (cubeX, cubeSize, shapeType, ...) into an objects list
+function migrateLegacyShapeConfig(config) {
+    const hasLegacyKeys = Object.keys(LEGACY_SHAPE_KEYS).some(key => key in config);
+    if (!hasLegacyKeys) return config;
+
+    const migrated = Object.assign({}, config);
+    if (!Array.isArray(config.objects)) {
+        const object = cloneConfig(DEFAULT_CONFIG.objects[0]);
+        Object.keys(LEGACY_SHAPE_KEYS).forEach(key => {
+            if (key in config) object[LEGACY_SHAPE_KEYS[key]] = config[key];
+        });
+        migrated.objects = [object];
+    }
+    Object.keys(LEGACY_SHAPE_KEYS).forEach(key => delete migrated[key]);
+    return migrated;
+}
+
+// influenceRadius (world units, also setting the number of relaxation passes) became
+// drapeExtension in grid cells at the config's own density
+function migrateLegacyDrapeConfig(config) {
+    if (!('influenceRadius' in config)) return config;
+
+    const migrated = Object.assign({}, config);
+    if (!('drapeExtension' in config) && Number.isFinite(config.influenceRadius)) {
+        const spacing = getGridSpacing({ gridDensity: config.gridDensity || DEFAULT_CONFIG.gridDensity });
+        migrated.drapeExtension = Math.max(0, Math.min(DRAPE_EXTENSION_MAX, Math.round(config.influenceRadius / spacing)));
+    }
+    delete migrated.influenceRadius;
+    return migrated;
+}
+
+// Every migration of configs saved by earlier versions
+function migrateLegacyConfig(config) {
+    return migrateLegacyDrapeConfig(migrateLegacyShapeConfig(config));
+}
+
+// Fill missing keys from the defaults so partial configs can be passed in
+function resolveConfig(config = {}) {
+    const resolved = Object.assign(cloneConfig(DEFAULT_CONFIG), migrateLegacyConfig(config));
+    resolved.objects = resolved.objects.map(object => {
+        const normalized = normalizeObject(object);
+        // Imported meshes live in config.meshes, objects only reference them by id
+        if (normalized.type === 'mesh') normalized.meshData = resolved.meshes[normalized.mesh] || null;
+        return normalized;
+    });
+    return resolved;
+}
+
+function getGridSpacing(config) {
+    return 600 / config.gridDensity;
+}
+
+// Calculate grid size (number of lines - 1) to cover the viewport
+// We need gridSize to be EVEN so that gridSize+1 (number of lines) is ODD
+// This ensures proper centering at (0,0) with a center line
+function getGridSize(spacing) {
+    let gridSize = Math.ceil(VIEWPORT_SIZE / spacing);
+    if (gridSize % 2 === 1) gridSize++; // Make it even so we get odd number of lines
+    return gridSize;
+}
+
+// Rotation matrix (row-major 3x3) for Euler angles in degrees, 'XYZ' order like Three.js
+function rotationMatrixFromEuler(rotationX, rotationY, rotationZ) {
+    const a = Math.cos(rotationX * Math.PI / 180), b = Math.sin(rotationX * Math.PI / 180);
+    const c = Math.cos(rotationY * Math.PI / 180), d = Math.sin(rotationY * Math.PI / 180);
+    const e = Math.cos(rotationZ * Math.PI / 180), f = Math.sin(rotationZ * Math.PI / 180);
+
+    const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+    return [
+        [c * e, -c * f, d],
+        [af + be * d, ae - bf * d, -b * c],
+        [bf - ae * d, be + af * d, a * c]
+    ];
+}
+
+function rotatePoint(matrix, p) {
+    return {
+        x: matrix[0][0] * p.x + matrix[0][1] * p.y + matrix[0][2] * p.z,
+        y: matrix[1][0] * p.x + matrix[1][1] * p.y + matrix[1][2] * p.z,
+        z: matrix[2][0] * p.x + matrix[2][1] * p.y + matrix[2][2] * p.z
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Shape registry
+// ---------------------------------------------------------------------------
+// Every shape works in its own local space, with local Z pointing away from the floor.
+// An entry supplies:
+//   label           Name shown in the GUI
+//   params          Extra per-object parameters in grid cells, with defaults and slider ranges
+//   triangles       Collider surface as a flat local-space triangle list [x0,y0,z0, x1,y1,z1, x2,y2,z2, ...]
+//   boundingRadius  Radius around the local origin that contains the whole shape
+//   floorOffset     Distance from the local origin down to the floor contact (center Z = backZ + floorOffset)
+//   halfExtents     Half sizes in grid cells of box-like shapes whose corners snap to the grid (round shapes omit it)
+//   faces           Corners of the flat faces by name, for the 'face' alignment (shapes without flat faces omit it)
+//   wallLines       Sketched grid lines on the surface, spaced to match the drape grid
+//   imported        Set on shapes that only come from a file import (left out of the shape list)
+// Params without a label are bookkeeping and get no GUI control.
+// All functions take (object, spacing).
+
+const CIRCLE_SEGMENTS = 32; // Tessellation of round colliders
+const MIN_CIRCLE_LINES = 8; // Fewest meridians drawn on round shapes
+
+function pushTriangle(triangles, p0, p1, p2) {
+    triangles.push(p0[0], p0[1], p0[2], p1[0], p1[1], p1[2], p2[0], p2[1], p2[2]);
+}
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+// Number of whole grid cells that fit along a length (at least one)
+function cellsAlong(length, spacing) {
+    return Math.max(1, Math.round(length / spacing));
+}
+
+// Box with half extents hx, hy, hz; each face as two triangles wound counter-clockwise seen from outside
+function boxTriangles(hx, hy, hz) {
+    const triangles = [];
+    const faces = [
+        [[hx, -hy, -hz], [hx, hy, -hz], [hx, hy, hz], [hx, -hy, hz]],         // +X
+        [[-hx, -hy, hz], [-hx, hy, hz], [-hx, hy, -hz], [-hx, -hy, -hz]],     // -X
+        [[-hx, hy, hz], [hx, hy, hz], [hx, hy, -hz], [-hx, hy, -hz]],         // +Y
+        [[-hx, -hy, -hz], [hx, -hy, -hz], [hx, -hy, hz], [-hx, -hy, hz]],     // -Y
+        [[-hx, -hy, hz], [hx, -hy, hz], [hx, hy, hz], [-hx, hy, hz]],         // +Z
+        [[hx, -hy, -hz], [-hx, -hy, -hz], [-hx, hy, -hz], [hx, hy, -hz]]      // -Z
+    ];
+    faces.forEach(([a, b, c, d]) => {
+        pushTriangle(triangles, a, b, c);
+        pushTriangle(triangles, a, c, d);
+    });
+    return triangles;
+}
+
+// Corners of the six box faces, named as seen with local Z up from the floor
+function boxFaces(hx, hy, hz) {
+    return {
+        base: [[-hx, -hy, -hz], [hx, -hy, -hz], [hx, hy, -hz], [-hx, hy, -hz]],
+        top: [[-hx, -hy, hz], [hx, -hy, hz], [hx, hy, hz], [-hx, hy, hz]],
+        left: [[-hx, -hy, -hz], [-hx, hy, -hz], [-hx, hy, hz], [-hx, -hy, hz]],
+        right: [[hx, -hy, -hz], [hx, hy, -hz], [hx, hy, hz], [hx, -hy, hz]],
+        front: [[-hx, -hy, -hz], [hx, -hy, -hz], [hx, -hy, hz], [-hx, -hy, hz]],
+        back: [[-hx, hy, -hz], [hx, hy, -hz], [hx, hy, hz], [-hx, hy, hz]]
+    };
+}
+
+// Surface of revolution around local Z. profile is a list of [radius, z] pairs from bottom to top;
+// open ends with a non-zero radius are closed with flat caps when caps is true.
+function latheTriangles(profile, caps = true) {
+    const triangles = [];
+    const ring = (r, z, k) => {
+        const angle = (k / CIRCLE_SEGMENTS) * Math.PI * 2;
+        return [r * Math.cos(angle), r * Math.sin(angle), z];
+    };
+
+    for (let p = 0; p < profile.length - 1; p++) {
+        const [r1, z1] = profile[p];
+        const [r2, z2] = profile[p + 1];
+        for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+            const a = ring(r1, z1, k), b = ring(r1, z1, k + 1);
+            const c = ring(r2, z2, k + 1), d = ring(r2, z2, k);
+            if (r1 > 0) pushTriangle(triangles, a, b, c);
+            if (r2 > 0) pushTriangle(triangles, a, c, d);
+        }
+    }
+
+    if (caps) {
+        const [bottomR, bottomZ] = profile[0];
+        const [topR, topZ] = profile[profile.length - 1];
+        for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+            if (bottomR > 0) pushTriangle(triangles, [0, 0, bottomZ], ring(bottomR, bottomZ, k + 1), ring(bottomR, bottomZ, k));
+            if (topR > 0) pushTriangle(triangles, [0, 0, topZ], ring(topR, topZ, k), ring(topR, topZ, k + 1));
+        }
+    }
+
+    return triangles;
+}
+
+// Grid lines on all six faces of a box, one line per grid cell along each edge
+function boxWallLines(hx, hy, hz, spacing) {
+    const lines = [];
+    const half = { x: hx, y: hy, z: hz };
+
+    // For each face: a fixed axis and value, plus the two in-plane axes
+    const faces = [
+        { axis: 'z', sign: 1, u: 'x', v: 'y' },  // Front face (Z+)
+        { axis: 'z', sign: -1, u: 'x', v: 'y' }, // Back face (Z-)
+        { axis: 'x', sign: -1, u: 'z', v: 'y' }, // Left face (X-)
+        { axis: 'x', sign: 1, u: 'z', v: 'y' },  // Right face (X+)
+        { axis: 'y', sign: -1, u: 'z', v: 'x' }, // Bottom face (Y-)
+        { axis: 'y', sign: 1, u: 'z', v: 'x' }   // Top face (Y+)
+    ];
+
+    faces.forEach(face => {
+        const normal = { x: 0, y: 0, z: 0 };
+        normal[face.axis] = face.sign;
+        const value = half[face.axis] * face.sign;
+
+        // Lines along one in-plane axis, repeated across the other
+        [[face.u, face.v], [face.v, face.u]].forEach(([along, fixed]) => {
+            const cells = cellsAlong(half[fixed] * 2, spacing);
+            for (let i = 0; i <= cells; i++) {
+                const offset = -half[fixed] + (i / cells) * half[fixed] * 2;
+                const start = { [face.axis]: value, [fixed]: offset, [along]: -half[along] };
+                const end = { [face.axis]: value, [fixed]: offset, [along]: half[along] };
+                lines.push({ points: [start, end], normals: [normal, normal] });
+            }
+        });
+    });
+
+    return lines;
+}
+
+// Chords of a disc at z, along the local grid lines (x and y multiples of spacing)
+function discChordLines(radius, z, normalZ, spacing) {
+    const lines = [];
+    const normal = { x: 0, y: 0, z: normalZ };
+    const count = Math.floor(radius / spacing - 1e-6);
+
+    for (let m = -count; m <= count; m++) {
+        const offset = m * spacing;
+        const halfChord = Math.sqrt(radius * radius - offset * offset);
+        lines.push({ points: [{ x: offset, y: -halfChord, z }, { x: offset, y: halfChord, z }], normals: [normal, normal] });
+        lines.push({ points: [{ x: -halfChord, y: offset, z }, { x: halfChord, y: offset, z }], normals: [normal, normal] });
+    }
+
+    return lines;
+}
+
+// Closed circle of radius r at height z around local Z; normalAt gives the surface normal for an angle
+function circleLine(r, z, normalAt, segments = CIRCLE_SEGMENTS * 2) {
+    const points = [];
+    const normals = [];
+    for (let k = 0; k <= segments; k++) {
+        const angle = (k / segments) * Math.PI * 2;
+        points.push({ x: r * Math.cos(angle), y: r * Math.sin(angle), z });
+        normals.push(normalAt(angle));
+    }
+    return { points, normals };
+}
+
+// Number of meridians so neighbouring lines sit about one grid cell apart on the circumference
+function meridianCount(radius, spacing) {
+    return Math.max(MIN_CIRCLE_LINES, Math.round((2 * Math.PI * radius) / spacing));
+}
+
+const SHAPES = {
+    cube: {
+        label: 'Cube',
+        params: {},
+        triangles: (object, spacing) => {
+            const h = object.size * spacing / 2;
+            return boxTriangles(h, h, h);
+        },
+        // Diagonal of the cube is the max reach
+        boundingRadius: (object, spacing) => Math.sqrt(3 * (object.size * spacing / 2) ** 2),
+        // Back face (local Z = -size/2) sits on the floor
+        floorOffset: (object, spacing) => object.size * spacing / 2,
+        halfExtents: (object) => ({ x: object.size / 2, y: object.size / 2, z: object.size / 2 }),
+        faces: (object, spacing) => {
+            const h = object.size * spacing / 2;
+            return boxFaces(h, h, h);
+        },
+        wallLines: (object, spacing) => {
+            const h = object.size * spacing / 2;
+            return boxWallLines(h, h, h, spacing);
+        }
+    },
+
+    box: {
+        label: 'Box',
+        params: {
+            width: { default: 9, min: 1, max: 25, step: 1, label: 'Box Width' },
+            height: { default: 7, min: 1, max: 25, step: 1, label: 'Box Height' },
+            depth: { default: 5, min: 1, max: 25, step: 1, label: 'Box Depth' }
+        },
+        triangles: (object, spacing) => boxTriangles(object.width * spacing / 2, object.height * spacing / 2, object.depth * spacing / 2),
+        boundingRadius: (object, spacing) => Math.hypot(object.width, object.height, object.depth) * spacing / 2,
+        floorOffset: (object, spacing) => object.depth * spacing / 2,
+        halfExtents: (object) => ({ x: object.width / 2, y: object.height / 2, z: object.depth / 2 }),
+        faces: (object, spacing) => boxFaces(object.width * spacing / 2, object.height * spacing / 2, object.depth * spacing / 2),
+        wallLines: (object, spacing) => boxWallLines(object.width * spacing / 2, object.height * spacing / 2, object.depth * spacing / 2, spacing)
+    },
+
+    sphere: {
+        label: 'Sphere',
+        params: {},
+        // Tessellation matches THREE.SphereGeometry(radius, 32, 32), poles along local Y
+        triangles: (object, spacing) => {
+            const radius = object.size * spacing * 0.6;
+            const triangles = [];
+            const grid = [];
+            for (let iy = 0; iy <= SPHERE_SEGMENTS; iy++) {
+                const v = iy / SPHERE_SEGMENTS;
+                const row = [];
+                for (let ix = 0; ix <= SPHERE_SEGMENTS; ix++) {
+                    const u = ix / SPHERE_SEGMENTS;
+                    row.push([
+                        -radius * Math.cos(u * Math.PI * 2) * Math.sin(v * Math.PI),
+                        radius * Math.cos(v * Math.PI),
+                        radius * Math.sin(u * Math.PI * 2) * Math.sin(v * Math.PI)
+                    ]);
+                }
+                grid.push(row);
+            }
+            for (let iy = 0; iy < SPHERE_SEGMENTS; iy++) {
+                for (let ix = 0; ix < SPHERE_SEGMENTS; ix++) {
+                    const a = grid[iy][ix + 1];
+                    const b = grid[iy][ix];
+                    const c = grid[iy + 1][ix];
+                    const d = grid[iy + 1][ix + 1];
+                    if (iy !== 0) pushTriangle(triangles, a, b, d);
+                    if (iy !== SPHERE_SEGMENTS - 1) pushTriangle(triangles, b, c, d);
+                }
+            }
+            return triangles;
+        },
+        boundingRadius: (object, spacing) => object.size * spacing * 0.6,
+        // Lowest point of the sphere sits on the floor
+        floorOffset: (object, spacing) => object.size * spacing * 0.6,
+        wallLines: (object, spacing) => {
+            const lines = [];
+            const radius = object.size * spacing * 0.6;
+            const latLines = object.size;
+            const lonLines = object.size * 1.5;
+            const lonSteps = Math.ceil(lonLines);
+
+            const spherePoint = (theta, phi) => ({
+                x: radius * Math.sin(theta) * Math.cos(phi),
+                y: radius * Math.cos(theta),
+                z: radius * Math.sin(theta) * Math.sin(phi)
+            });
+            const radialNormal = (p) => ({ x: p.x / radius, y: p.y / radius, z: p.z / radius });
+
+            // Latitude lines
+            for (let lat = 0; lat <= latLines; lat++) {
+                const theta = (lat * Math.PI) / latLines;
+                const points = [];
+                for (let lon = 0; lon <= lonSteps; lon++) {
+                    points.push(spherePoint(theta, (lon * 2 * Math.PI) / lonLines));
+                }
+                lines.push({ points, normals: points.map(radialNormal) });
+            }
+
+            // Longitude lines
+            for (let lon = 0; lon < lonSteps; lon++) {
+                const phi = (lon * 2 * Math.PI) / lonLines;
+                const points = [];
+                for (let lat = 0; lat <= latLines; lat++) {
+                    points.push(spherePoint((lat * Math.PI) / latLines, phi));
+                }
+                lines.push({ points, normals: points.map(radialNormal) });
+            }
+
+            return lines;
+        }
+    },
+
+    cylinder: {
+        label: 'Cylinder',
+        params: {
+            height: { default: 9, min: 1, max: 25, step: 1, label: 'Cylinder Height' }
+        },
+        triangles: (object, spacing) => {
+            const r = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            return latheTriangles([[r, -h], [r, h]]);
+        },
+        boundingRadius: (object, spacing) => Math.hypot(object.size, object.height) * spacing / 2,
+        floorOffset: (object, spacing) => object.height * spacing / 2,
+        wallLines: (object, spacing) => {
+            const r = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            const radial = (angle) => ({ x: Math.cos(angle), y: Math.sin(angle), z: 0 });
+            const lines = [];
+
+            // Rings one grid cell apart up the side
+            for (let k = 0; k <= object.height; k++) {
+                lines.push(circleLine(r, -h + k * spacing, radial));
+            }
+
+            // Vertical lines around the side
+            const count = meridianCount(r, spacing);
+            for (let k = 0; k < count; k++) {
+                const angle = (k / count) * Math.PI * 2;
+                const n = radial(angle);
+                lines.push({
+                    points: [{ x: r * n.x, y: r * n.y, z: -h }, { x: r * n.x, y: r * n.y, z: h }],
+                    normals: [n, n]
+                });
+            }
+
+            // Grid chords on both caps
+            lines.push(...discChordLines(r, h, 1, spacing));
+            lines.push(...discChordLines(r, -h, -1, spacing));
+            return lines;
+        }
+    },
+
+    cone: {
+        label: 'Cone',
+        params: {
+            height: { default: 9, min: 1, max: 25, step: 1, label: 'Cone Height' }
+        },
+        triangles: (object, spacing) => {
+            const r = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            return latheTriangles([[r, -h], [0, h]]);
+        },
+        boundingRadius: (object, spacing) => Math.hypot(object.size, object.height) * spacing / 2,
+        floorOffset: (object, spacing) => object.height * spacing / 2,
+        wallLines: (object, spacing) => {
+            const r = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            // Side normal leans outwards by the slope of the cone
+            const slanted = (angle) => normalize({ x: 2 * h * Math.cos(angle), y: 2 * h * Math.sin(angle), z: r });
+            const lines = [];
+
+            // Rings one grid cell apart, shrinking towards the apex
+            for (let k = 0; k < object.height; k++) {
+                const ringRadius = r * (1 - k / object.height);
+                lines.push(circleLine(ringRadius, -h + k * spacing, slanted));
+            }
+
+            // Lines from the base to the apex
+            const count = meridianCount(r, spacing);
+            for (let k = 0; k < count; k++) {
+                const angle = (k / count) * Math.PI * 2;
+                const n = slanted(angle);
+                lines.push({
+                    points: [{ x: r * Math.cos(angle), y: r * Math.sin(angle), z: -h }, { x: 0, y: 0, z: h }],
+                    normals: [n, n]
+                });
+            }
+
+            lines.push(...discChordLines(r, -h, -1, spacing));
+            return lines;
+        }
+    },
+
+    pyramid: {
+        label: 'Square Pyramid',
+        params: {
+            height: { default: 9, min: 1, max: 25, step: 1, label: 'Pyramid Height' }
+        },
+        triangles: (object, spacing) => {
+            const b = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            const apex = [0, 0, h];
+            const c = [[-b, -b, -h], [b, -b, -h], [b, b, -h], [-b, b, -h]];
+            const triangles = [];
+            for (let k = 0; k < 4; k++) {
+                pushTriangle(triangles, c[k], c[(k + 1) % 4], apex);
+            }
+            pushTriangle(triangles, c[0], c[2], c[1]);
+            pushTriangle(triangles, c[0], c[3], c[2]);
+            return triangles;
+        },
+        boundingRadius: (object, spacing) => Math.hypot(object.size / Math.SQRT2, object.height / 2) * spacing,
+        floorOffset: (object, spacing) => object.height * spacing / 2,
+        halfExtents: (object) => ({ x: object.size / 2, y: object.size / 2, z: object.height / 2 }),
+        faces: (object, spacing) => {
+            const b = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            const apex = [0, 0, h];
+            return {
+                base: [[-b, -b, -h], [b, -b, -h], [b, b, -h], [-b, b, -h]],
+                left: [[-b, -b, -h], [-b, b, -h], apex],
+                right: [[b, -b, -h], [b, b, -h], apex],
+                front: [[-b, -b, -h], [b, -b, -h], apex],
+                back: [[-b, b, -h], [b, b, -h], apex]
+            };
+        },
+        wallLines: (object, spacing) => {
+            const b = object.size * spacing / 2;
+            const h = object.height * spacing / 2;
+            const lines = [];
+
+            // The four sloped faces, each described by its outward direction in XY
+            const faces = [
+                { dir: { x: 1, y: 0 }, along: { x: 0, y: 1 } },
+                { dir: { x: 0, y: 1 }, along: { x: -1, y: 0 } },
+                { dir: { x: -1, y: 0 }, along: { x: 0, y: -1 } },
+                { dir: { x: 0, y: -1 }, along: { x: 1, y: 0 } }
+            ];
+
+            faces.forEach(({ dir, along }) => {
+                const n = normalize({ x: dir.x * 2 * h, y: dir.y * 2 * h, z: b });
+
+                // Contour lines one grid cell apart up the face
+                for (let k = 0; k < object.height; k++) {
+                    const s = b * (1 - k / object.height);
+                    const z = -h + k * spacing;
+                    lines.push({
+                        points: [
+                            { x: dir.x * s - along.x * s, y: dir.y * s - along.y * s, z },
+                            { x: dir.x * s + along.x * s, y: dir.y * s + along.y * s, z }
+                        ],
+                        normals: [n, n]
+                    });
+                }
+
+                // Lines from each grid point on the base edge to the apex
+                for (let m = 0; m <= object.size; m++) {
+                    const t = -b + m * spacing;
+                    lines.push({
+                        points: [{ x: dir.x * b + along.x * t, y: dir.y * b + along.y * t, z: -h }, { x: 0, y: 0, z: h }],
+                        normals: [n, n]
+                    });
+                }
+            });
+
+            // Base grid
+            const down = { x: 0, y: 0, z: -1 };
+            for (let m = 0; m <= object.size; m++) {
+                const t = -b + m * spacing;
+                lines.push({ points: [{ x: t, y: -b, z: -h }, { x: t, y: b, z: -h }], normals: [down, down] });
+                lines.push({ points: [{ x: -b, y: t, z: -h }, { x: b, y: t, z: -h }], normals: [down, down] });
+            }
+
+            return lines;
+        }
+    },
+
+    torus: {
+        label: 'Torus',
+        params: {
+            tube: { default: 2, min: 0.5, max: 7, step: 0.5, label: 'Torus Tube Radius' }
+        },
+        triangles: (object, spacing) => {
+            const { major, tube } = getTorusRadii(object, spacing);
+            // Circle profile around the tube, walked from the bottom back to the bottom
+            const profile = [];
+            for (let k = 0; k <= CIRCLE_SEGMENTS / 2; k++) {
+                const angle = -Math.PI / 2 + (k / (CIRCLE_SEGMENTS / 2)) * Math.PI * 2;
+                profile.push([major + tube * Math.cos(angle), tube * Math.sin(angle)]);
+            }
+            return latheTriangles(profile, false);
+        },
+        boundingRadius: (object, spacing) => {
+            const { major, tube } = getTorusRadii(object, spacing);
+            return major + tube;
+        },
+        // Lying flat, the bottom of the tube touches the floor
+        floorOffset: (object, spacing) => getTorusRadii(object, spacing).tube,
+        wallLines: (object, spacing) => {
+            const { major, tube } = getTorusRadii(object, spacing);
+            const lines = [];
+
+            // Rings around the tube, one grid cell apart along the center circle
+            const tubeRings = meridianCount(major, spacing);
+            for (let k = 0; k < tubeRings; k++) {
+                const phi = (k / tubeRings) * Math.PI * 2;
+                const points = [];
+                const normals = [];
+                for (let m = 0; m <= CIRCLE_SEGMENTS; m++) {
+                    const theta = (m / CIRCLE_SEGMENTS) * Math.PI * 2;
+                    const n = { x: Math.cos(theta) * Math.cos(phi), y: Math.cos(theta) * Math.sin(phi), z: Math.sin(theta) };
+                    normals.push(n);
+                    points.push({ x: (major + tube * Math.cos(theta)) * Math.cos(phi), y: (major + tube * Math.cos(theta)) * Math.sin(phi), z: tube * Math.sin(theta) });
+                }
+                lines.push({ points, normals });
+            }
+
+            // Circles running around the ring
+            const ringCount = meridianCount(tube, spacing);
+            for (let k = 0; k < ringCount; k++) {
+                const theta = (k / ringCount) * Math.PI * 2;
+                lines.push(circleLine(major + tube * Math.cos(theta), tube * Math.sin(theta), (phi) => ({
+                    x: Math.cos(theta) * Math.cos(phi),
+                    y: Math.cos(theta) * Math.sin(phi),
+                    z: Math.sin(theta)
+                })));
+            }
+
+            return lines;
+        }
+    },
+
+    mesh: {
+        label: 'Imported Mesh',
+        imported: true, // Only created through the OBJ/STL import, not picked from the shape list
+        params: {
+            mesh: { default: '' }, // Id of the triangles in config.meshes
+            fitToSize: { default: true, label: 'Fit to Size' },
+            sitOnFloor: { default: true, label: 'Sit on Floor' }
+        },
+        triangles: (object, spacing) => getMeshGeometry(object, spacing).triangles,
+        boundingRadius: (object, spacing) => getMeshGeometry(object, spacing).boundingRadius,
+        floorOffset: (object, spacing) => getMeshGeometry(object, spacing).floorOffset,
+        wallLines: (object, spacing) => {
+            const geometry = getMeshGeometry(object, spacing);
+            return meshSectionLines(geometry.triangles, spacing, geometry.floorOffset);
+        }
+    }
+};
+
+// The torus fills its size across: outer diameter = size cells
+function getTorusRadii(object, spacing) {
+    const tube = Math.min(object.tube, object.size / 2) * spacing;
+    return { major: Math.max(object.size * spacing / 2 - tube, tube), tube };
+}
+
+function getShape(type) {
+    const shape = SHAPES[type];
+    if (!shape) throw new Error(`Unknown shape type: ${type}`);
+    return shape;
+}
+
+// Default object of a given type, including its shape parameters
+function getObjectDefaults(type) {
+    const defaults = Object.assign({}, DEFAULT_CONFIG.objects[0], { type });
+    Object.entries(getShape(type).params).forEach(([key, param]) => {
+        defaults[key] = param.default;
+    });
+    return defaults;
+}
+
+// Fill missing fields (including the parameters of its shape) on an object
+function normalizeObject(object) {
+    return Object.assign(getObjectDefaults(object.type || DEFAULT_CONFIG.objects[0].type), object);
+}
+
+// ---------------------------------------------------------------------------
+// Imported meshes (OBJ / STL)
+// ---------------------------------------------------------------------------
+// Parsed meshes are stored in config.meshes as { name, triangles } with a flat triangle list
+// in model units. Objects of type 'mesh' reference them by id.
+
+const MESH_PRECISION = 1e4; // Imported coordinates are rounded to keep presets small
+const SECTION_KEY_PRECISION = 1e3; // Endpoint rounding used to chain section segments
+const SLICE_EPSILON = 1e-6; // Distance from a cutting plane below which a corner counts as on it
+
+function roundMeshValue(value) {
+    return Math.round(value * MESH_PRECISION) / MESH_PRECISION;
+}
+
+// Wavefront OBJ: 'v' vertices and 'f' faces (polygons are fan-triangulated, negative indices are relative)
+function parseObj(text) {
+    const vertices = [];
+    const triangles = [];
+
+    text.split('\n').forEach(rawLine => {
+        const parts = rawLine.trim().split(/\s+/);
+        if (parts[0] === 'v') {
+            vertices.push(parts.slice(1, 4).map(Number));
+        } else if (parts[0] === 'f') {
+            const indices = parts.slice(1).map(token => {
+                const index = parseInt(token.split('/')[0], 10);
+                return index < 0 ? vertices.length + index : index - 1;
+            });
+            for (let k = 1; k < indices.length - 1; k++) {
+                [indices[0], indices[k], indices[k + 1]].forEach(index => {
+                    const vertex = vertices[index];
+                    if (!vertex) throw new Error(`OBJ face references missing vertex ${index + 1}`);
+                    triangles.push(...vertex.map(roundMeshValue));
+                });
+            }
+        }
+    });
+
+    return triangles;
+}
+
+// STL in either binary or ASCII form
+function parseStl(buffer) {
+    const view = new DataView(buffer);
+    const triangles = [];
+
+    // Binary STL: 80 byte header, triangle count, then 50 bytes per triangle
+    if (buffer.byteLength >= 84 && 84 + view.getUint32(80, true) * 50 === buffer.byteLength) {
+        const count = view.getUint32(80, true);
+        for (let t = 0; t < count; t++) {
+            const offset = 84 + t * 50 + 12; // Skip the facet normal
+            for (let k = 0; k < 9; k++) {
+                triangles.push(roundMeshValue(view.getFloat32(offset + k * 4, true)));
+            }
+        }
+        return triangles;
+    }
+
+    const text = new TextDecoder().decode(buffer);
+    const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let match;
+    while ((match = vertexPattern.exec(text)) !== null) {
+        triangles.push(roundMeshValue(Number(match[1])), roundMeshValue(Number(match[2])), roundMeshValue(Number(match[3])));
+    }
+    return triangles;
+}
+
+// Parse an OBJ or STL file (picked by extension) into a flat triangle list
+function parseMeshFile(fileName, buffer) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    let triangles;
+    if (extension === 'obj') {
+        triangles = parseObj(new TextDecoder().decode(buffer));
+    } else if (extension === 'stl') {
+        triangles = parseStl(buffer);
+    } else {
+        throw new Error(`Unsupported mesh format: .${extension} (use .obj or .stl)`);
+    }
+
+    if (triangles.length === 0) throw new Error(`No triangles found in ${fileName}`);
+    if (!triangles.every(isFinite)) throw new Error(`Invalid coordinates in ${fileName}`);
+    return triangles;
+}
+
+// Stable id for a mesh, so presets and links can reference it (FNV-1a over the coordinates)
+function getMeshId(triangles) {
+    let hash = 0x811c9dc5;
+    const text = triangles.length + ':' + triangles.join(',');
+    for (let k = 0; k < text.length; k++) {
+        hash ^= text.charCodeAt(k);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return 'mesh-' + (hash >>> 0).toString(16);
+}
+
+// Local-space geometry of an imported mesh: centered on its footprint, optionally scaled so
+// its largest extent spans size grid cells, and either resting on the floor or keeping the
+// model's own Z = 0 at floor height. Cached because several shape functions need it per update.
+const meshGeometryCache = new WeakMap();
+
+function getMeshGeometry(object, spacing) {
+    const source = object.meshData ? object.meshData.triangles : [];
+    const key = [spacing, object.size, object.fitToSize, object.sitOnFloor].join();
+    const cached = object.meshData && meshGeometryCache.get(object.meshData);
+    if (cached && cached.key === key) return cached.geometry;
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    for (let k = 0; k < source.length; k += 3) {
+        minX = Math.min(minX, source[k]);
+        maxX = Math.max(maxX, source[k]);
+        minY = Math.min(minY, source[k + 1]);
+        maxY = Math.max(maxY, source[k + 1]);
+        minZ = Math.min(minZ, source[k + 2]);
+        maxZ = Math.max(maxZ, source[k + 2]);
+    }
+
+    const extent = Math.max(maxX - minX, maxY - minY, maxZ - minZ);
+    const scale = object.fitToSize && extent > 0 ? (object.size * spacing) / extent : 1;
+    const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 };
+
+    const triangles = new Array(source.length);
+    let boundingRadius = 0;
+    for (let k = 0; k < source.length; k += 3) {
+        triangles[k] = (source[k] - center.x) * scale;
+        triangles[k + 1] = (source[k + 1] - center.y) * scale;
+        triangles[k + 2] = (source[k + 2] - center.z) * scale;
+        boundingRadius = Math.max(boundingRadius, Math.hypot(triangles[k], triangles[k + 1], triangles[k + 2]));
+    }
+
+    const geometry = {
+        triangles,
+        boundingRadius,
+        floorOffset: source.length === 0 ? 0 : (object.sitOnFloor ? center.z - minZ : center.z) * scale
+    };
+    if (object.meshData) meshGeometryCache.set(object.meshData, { key, geometry });
+    return geometry;
+}
+
+const AXIS_NORMALS = { x: { x: 1, y: 0, z: 0 }, y: { x: 0, y: 1, z: 0 }, z: { x: 0, y: 0, z: 1 } };
+
+// Cut every triangle with the plane planeNormal · p = value. Returns segments with the triangle normal.
+function sliceTriangles(triangles, planeNormal, value) {
+    const segments = [];
+
+    for (let k = 0; k < triangles.length; k += 9) {
+        // Corners within rounding error of the plane are on it, so edges lying in it are not cut at random points
+        const distances = [0, 3, 6].map(c => {
+            const distance = planeNormal.x * triangles[k + c] + planeNormal.y * triangles[k + c + 1] + planeNormal.z * triangles[k + c + 2] - value;
+            return Math.abs(distance) < SLICE_EPSILON ? 0 : distance;
+        });
+        // Triangles entirely on one side are skipped before building their corners
+        if ((distances[0] >= 0) === (distances[1] >= 0) && (distances[1] >= 0) === (distances[2] >= 0)) continue;
+        const corners = [0, 3, 6].map(c => ({ x: triangles[k + c], y: triangles[k + c + 1], z: triangles[k + c + 2] }));
+
+        const crossings = [];
+        for (let e = 0; e < 3; e++) {
+            const d1 = distances[e];
+            const d2 = distances[(e + 1) % 3];
+            // Corners exactly on the plane count as above it, so shared edges are cut once
+            if ((d1 >= 0) === (d2 >= 0)) continue;
+            const t = d1 / (d1 - d2);
+            const a = corners[e];
+            const b = corners[(e + 1) % 3];
+            crossings.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
+        }
+        // A triangle touching the plane with one corner only gives a point
+        if (crossings.length !== 2 || Math.hypot(crossings[0].x - crossings[1].x, crossings[0].y - crossings[1].y, crossings[0].z - crossings[1].z) < SLICE_EPSILON) continue;
+
+        const [a, b, c] = corners;
+        const normal = normalize({
+            x: (b.y - a.y) * (c.z - a.z) - (b.z - a.z) * (c.y - a.y),
+            y: (b.z - a.z) * (c.x - a.x) - (b.x - a.x) * (c.z - a.z),
+            z: (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)
+        });
+        segments.push({ a: crossings[0], b: crossings[1], normal });
+    }
+
+    return segments;
+}
+
+// Join segments that share endpoints into polylines
+function chainSegments(segments) {
+    const pointKey = (p) => [p.x, p.y, p.z].map(v => Math.round(v * SECTION_KEY_PRECISION)).join();
+    const byEndpoint = new Map();
+    segments.forEach((segment, index) => {
+        [segment.a, segment.b].forEach(p => {
+            const key = pointKey(p);
+            if (!byEndpoint.has(key)) byEndpoint.set(key, []);
+            byEndpoint.get(key).push(index);
+        });
+    });
+
+    const used = new Array(segments.length).fill(false);
+    const lines = [];
+
+    // Walk from an endpoint through unused segments, returning the points and normals visited
+    const walk = (start, index) => {
+        const points = [];
+        const normals = [];
+        let current = start;
+        while (index !== undefined) {
+            used[index] = true;
+            const segment = segments[index];
+            const next = pointKey(segment.a) === pointKey(current) ? segment.b : segment.a;
+            points.push(next);
+            normals.push(segment.normal);
+            current = next;
+            index = byEndpoint.get(pointKey(current)).find(candidate => !used[candidate]);
+        }
+        return { points, normals };
+    };
+
+    segments.forEach((segment, index) => {
+        if (used[index]) return;
+        used[index] = true;
+
+        // Extend in both directions from the first segment
+        const forward = walk(segment.b, byEndpoint.get(pointKey(segment.b)).find(candidate => !used[candidate]));
+        const backward = walk(segment.a, byEndpoint.get(pointKey(segment.a)).find(candidate => !used[candidate]));
+
+        lines.push({
+            points: [...backward.points.reverse(), segment.a, segment.b, ...forward.points],
+            normals: [...backward.normals.reverse(), segment.normal, segment.normal, ...forward.normals]
+        });
+    });
+
+    return lines;
+}
+
+// Planar sections of a local-space mesh: vertical cuts along the grid lines (multiples of spacing
+// through the object center) and horizontal contours every grid cell above the floor
+function meshSectionLines(triangles, spacing, floorOffset) {
+    let min = { x: Infinity, y: Infinity, z: Infinity };
+    let max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (let k = 0; k < triangles.length; k += 3) {
+        min = { x: Math.min(min.x, triangles[k]), y: Math.min(min.y, triangles[k + 1]), z: Math.min(min.z, triangles[k + 2]) };
+        max = { x: Math.max(max.x, triangles[k]), y: Math.max(max.y, triangles[k + 1]), z: Math.max(max.z, triangles[k + 2]) };
+    }
+
+    const lines = [];
+    ['x', 'y', 'z'].forEach(axis => {
+        // Contours are counted from the floor, so they line up with the other shapes' rings
+        const base = axis === 'z' ? -floorOffset : 0;
+        const first = Math.ceil((min[axis] - base) / spacing);
+        const last = Math.floor((max[axis] - base) / spacing);
+        for (let k = first; k <= last; k++) {
+            lines.push(...chainSegments(sliceTriangles(triangles, AXIS_NORMALS[axis], base + k * spacing)));
+        }
+    });
+
+    return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Grid alignment
+// ---------------------------------------------------------------------------
+// Objects are shifted by less than a grid cell so that where they meet the floor lands on the
+// grid and the drape folds follow grid lines. object.alignment picks what is snapped:
+//   corner     Box-like shapes: the corners of the unrotated box, or the rotated back bottom-left
+//              corner. Round shapes stay centred on a grid point. (The original behaviour.)
+//   footprint  The centroid of the footprint, to a grid point or a cell centre, whichever puts
+//              the footprint outline closest to grid points
+//   lowest     The lowest vertex of the collider
+//   face       The corners of one face (object.alignFace, a key of the shape's faces), as many on
+//              grid points as the rotation allows; shapes without flat faces use the footprint
+//   free       Nothing, the object sits exactly at x, y
+// The footprint is where the object meets the floor: its section with the floor plane, or the
+// vertices resting on it when nothing dips below.
+
+const ALIGNMENT_MODES = {
+    corner: 'Back Corner',
+    footprint: 'Footprint Centroid',
+    lowest: 'Lowest Vertex',
+    face: 'Face Edges',
+    free: 'Free'
+};
+
+const FACE_LABELS = {
+    base: 'Base',
+    top: 'Top',
+    left: 'Left (-X)',
+    right: 'Right (+X)',
+    front: 'Front (-Y)',
+    back: 'Back (+Y)'
+};
+
+const FOOTPRINT_TOLERANCE = 1e-3; // Vertices this close to the lowest one (in grid cells) rest on the floor too
+const FOOTPRINT_CACHE_SIZE = 32;
+
+// Lattice rotations keep an object's corners on grid points. X and Y turn in quarter turns
+// only, so the object stays square to the floor. A turn about Z by the angle of a direction
+// (a, b) / c, where (a, b, c) is a Pythagorean triple, moves a corner w cells along the
+// object's side to w * (a, b) / c: a grid point when c divides w. So the Z angles depend on the
+// object's footprint, its side lengths in cells (the bounding box for round shapes and meshes).
+const QUARTER_TURNS = [0, 90, 180, 270];
+const LATTICE_LENGTH_TOLERANCE = 1e-6; // Side lengths this close to whole cells count as whole
+
+function greatestCommonDivisor(a, b) {
+    return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+// Z angles (degrees, sorted, in [0, 360)) that keep the corners of an object (resolved, as in
+// resolveConfig's objects) on grid points, for its X and Y rotations (quarter turns). Only
+// quarter turns when it lies on its side, where a Z turn would tilt the footprint instead of
+// turning it on the floor, or when its sides are not whole cells.
+function getLatticeAngles(object, spacing) {
+    const rotation = rotationMatrixFromEuler(object.rotationX, object.rotationY, 0);
+    if (Math.abs(rotation[2][2]) < 1 - LATTICE_LENGTH_TOLERANCE) return QUARTER_TURNS.slice();
+
+    // Side lengths along local X and Y, in grid cells
+    const triangles = getShape(object.type).triangles(object, spacing);
+    if (triangles.length === 0) return QUARTER_TURNS.slice();
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let k = 0; k < triangles.length; k += 3) {
+        minX = Math.min(minX, triangles[k]);
+        maxX = Math.max(maxX, triangles[k]);
+        minY = Math.min(minY, triangles[k + 1]);
+        maxY = Math.max(maxY, triangles[k + 1]);
+    }
+    const lengths = [(maxX - minX) / spacing, (maxY - minY) / spacing];
+    if (lengths.some(length => Math.abs(length - Math.round(length)) > LATTICE_LENGTH_TOLERANCE || Math.round(length) === 0)) {
+        return QUARTER_TURNS.slice();
+    }
+    const divisor = greatestCommonDivisor(Math.round(lengths[0]), Math.round(lengths[1]));
+
+    // Primitive triples whose c divides both lengths, in every quadrant
+    const angles = new Set(QUARTER_TURNS);
+    for (let a = 1; a < divisor; a++) {
+        for (let b = 1; b < divisor; b++) {
+            const c = Math.round(Math.hypot(a, b));
+            if (c * c !== a * a + b * b || divisor % c !== 0 || greatestCommonDivisor(a, b) !== 1) continue;
+            const angle = Math.atan2(b, a) * 180 / Math.PI;
+            QUARTER_TURNS.forEach(turn => angles.add(Math.round((turn + angle) * 1e6) / 1e6));
+        }
+    }
+    return [...angles].sort((a, b) => a - b);
+}
+
+// Nearest of a list of angles (degrees in [0, 360)) to an angle in degrees, in [0, 360)
+function snapLatticeAngle(degrees, angles = QUARTER_TURNS) {
+    const angle = (degrees % 360 + 360) % 360;
+    let best = 0;
+    angles.concat(360).forEach(candidate => {
+        if (Math.abs(candidate - angle) < Math.abs(best - angle)) best = candidate;
+    });
+    return best % 360;
+}
+
+// An object's rotations moved onto the nearest lattice rotation: X and Y to quarter turns,
+// then Z to the nearest of getLatticeAngles
+function snapLatticeRotation(object, spacing) {
+    const rotationX = snapLatticeAngle(object.rotationX);
+    const rotationY = snapLatticeAngle(object.rotationY);
+    const rotationZ = snapLatticeAngle(object.rotationZ, getLatticeAngles(Object.assign({}, object, { rotationX, rotationY }), spacing));
+    return { rotationX, rotationY, rotationZ };
+}
+
+// Offset that moves a point onto the nearest grid point
+function gridSnapOffset(point, spacing) {
+    return {
+        x: Math.round(point.x / spacing) * spacing - point.x,
+        y: Math.round(point.y / spacing) * spacing - point.y
+    };
+}
+
+// Sum of squared distances (in grid cells) from shifted points to their nearest grid points
+function gridSnapError(points, offset, spacing) {
+    return points.reduce((sum, p) => {
+        const snap = gridSnapOffset({ x: p.x + offset.x, y: p.y + offset.y }, spacing);
+        return sum + (snap.x * snap.x + snap.y * snap.y) / (spacing * spacing);
+    }, 0);
+}
+
+// Smallest convex polygon around 2D points (monotone chain), counter-clockwise
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = (list) => {
+        const hull = [];
+        list.forEach(p => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        });
+        hull.pop();
+        return hull;
+    };
+    return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+// Footprint of an object around its (unaligned) centre, before it is moved to x, y:
+// { outlines, contacts, lowest, centroid } with outlines as closed { x, y } polylines,
+// contacts the vertices resting on the floor and lowest the lowest vertex of the collider
+const footprintCache = new Map();
+
+function computeLocalFootprint(object, spacing) {
+    // Position never changes the footprint; imported meshes are keyed by their id
+    const key = JSON.stringify([spacing, Object.entries(object).filter(([name]) => !['x', 'y', 'meshData'].includes(name))]);
+    if (footprintCache.has(key)) return footprintCache.get(key);
+
+    const shape = getShape(object.type);
+    const triangles = transformTriangles(shape.triangles(object, spacing), {
+        center: { x: 0, y: 0, z: shape.floorOffset(object, spacing) },
+        rotation: rotationMatrixFromEuler(object.rotationX, object.rotationY, object.rotationZ)
+    });
+
+    let minZ = Infinity;
+    for (let k = 2; k < triangles.length; k += 3) minZ = Math.min(minZ, triangles[k]);
+
+    // Vertices at the lowest height, without duplicates, ordered so ties pick the lowest-left one
+    const contacts = [];
+    const seen = new Set();
+    for (let k = 0; k < triangles.length; k += 3) {
+        if (triangles[k + 2] > minZ + FOOTPRINT_TOLERANCE * spacing) continue;
+        const pointKey = Math.round(triangles[k] * SECTION_KEY_PRECISION) + ',' + Math.round(triangles[k + 1] * SECTION_KEY_PRECISION);
+        if (seen.has(pointKey)) continue;
+        seen.add(pointKey);
+        contacts.push({ x: triangles[k], y: triangles[k + 1] });
+    }
+    contacts.sort((a, b) => (a.x + a.y) - (b.x + b.y) || a.x - b.x);
+
+    let outlines = chainSegments(sliceTriangles(triangles, AXIS_NORMALS.z, 0))
+        .map(line => line.points.map(p => ({ x: p.x, y: p.y })));
+    if (outlines.length === 0 && contacts.length >= 2) {
+        // Resting on a face or along an edge: the outline around the contact points
+        const hull = convexHull(contacts);
+        outlines = [hull.concat([hull[0]])];
+    }
+
+    // Area centroid of the outlines, or the average contact point when they enclose no area
+    let area = 0, cx = 0, cy = 0;
+    outlines.forEach(outline => {
+        for (let k = 0; k < outline.length - 1; k++) {
+            const a = outline[k], b = outline[k + 1];
+            const cross = a.x * b.y - b.x * a.y;
+            area += cross / 2;
+            cx += (a.x + b.x) * cross / 6;
+            cy += (a.y + b.y) * cross / 6;
+        }
+    });
+    const centroid = Math.abs(area) > 1e-9 * spacing * spacing
+        ? { x: cx / area, y: cy / area }
+        : {
+            x: contacts.reduce((sum, p) => sum + p.x, 0) / Math.max(1, contacts.length),
+            y: contacts.reduce((sum, p) => sum + p.y, 0) / Math.max(1, contacts.length)
+        };
+
+    const footprint = { outlines, contacts, lowest: contacts[0] || { x: 0, y: 0 }, centroid };
+    if (footprintCache.size >= FOOTPRINT_CACHE_SIZE) footprintCache.delete(footprintCache.keys().next().value);
+    footprintCache.set(key, footprint);
+    return footprint;
+}
+
+// Shift of the object centre (in world units) that snaps it to the grid, see ALIGNMENT_MODES
+function calculateGridAlignmentOffset(object, spacing) {
+    const shape = getShape(object.type);
+    const alignment = ALIGNMENT_MODES[object.alignment] ? object.alignment : 'corner';
+    const faces = shape.faces ? shape.faces(object, spacing) : {};
+
+    if (alignment === 'free') return { x: 0, y: 0, z: 0 };
+
+    if (alignment === 'lowest') {
+        return Object.assign(gridSnapOffset(computeLocalFootprint(object, spacing).lowest, spacing), { z: 0 });
+    }
+
+    if (alignment === 'face' && faces[object.alignFace]) {
+        // Try snapping each corner in turn and keep the shift that leaves the others closest to grid points
+        const rotation = rotationMatrixFromEuler(object.rotationX, object.rotationY, object.rotationZ);
+        const corners = faces[object.alignFace].map(([x, y, z]) => rotatePoint(rotation, { x, y, z }));
+        let best = null;
+        corners.forEach(corner => {
+            const offset = gridSnapOffset(corner, spacing);
+            const error = gridSnapError(corners, offset, spacing);
+            if (!best || error < best.error - 1e-9) best = { offset, error };
+        });
+        return Object.assign(best.offset, { z: 0 });
+    }
+
+    if (alignment === 'footprint' || alignment === 'face') {
+        // The centroid goes to a grid point or the centre of a cell (or of a cell edge), whichever
+        // puts the outline closest to grid points. An odd-sized box then has its corners on grid points.
+        const { outlines, centroid } = computeLocalFootprint(object, spacing);
+        const outlinePoints = [].concat(...outlines);
+        let best = null;
+        [[0, 0], [0.5, 0.5], [0.5, 0], [0, 0.5]].forEach(([shiftX, shiftY]) => {
+            const shifted = gridSnapOffset({ x: centroid.x - shiftX * spacing, y: centroid.y - shiftY * spacing }, spacing);
+            const error = gridSnapError(outlinePoints, shifted, spacing);
+            if (!best || error < best.error - 1e-9) best = { offset: shifted, error };
+        });
+        return Object.assign(best.offset, { z: 0 });
+    }
+
+    if (!shape.halfExtents) {
+        return { x: 0, y: 0, z: 0 }; // Round shapes stay centered on a grid point
+    }
+
+    const half = shape.halfExtents(object);
+
+    // Check if rotation is effectively 0 (all rotations < 0.1 degrees)
+    const isNoRotation = Math.abs(object.rotationX) < 0.1 &&
+                         Math.abs(object.rotationY) < 0.1 &&
+                         Math.abs(object.rotationZ) < 0.1;
+
+    if (isNoRotation) {
+        // When no rotation: corners are at center ± half extent
+        // For an odd number of cells, half = (integer + 0.5) * spacing
+        // To align corners with grid: offset center by 0.5 * spacing
+        // Then corners are at: center ± integer*spacing (which are grid points!)
+        return {
+            x: (half.x - Math.floor(half.x)) * spacing,
+            y: (half.y - Math.floor(half.y)) * spacing,
+            z: 0
+        };
+    }
+
+    // When rotated, align the bottom-left corner of the back face (local Z = -half.z)
+    // to the nearest grid point so the drape folds land on grid lines
+    const rotation = rotationMatrixFromEuler(object.rotationX, object.rotationY, object.rotationZ);
+    const bottomLeftCorner = rotatePoint(rotation, { x: -half.x * spacing, y: -half.y * spacing, z: -half.z * spacing });
+    const nearestGridX = Math.round(bottomLeftCorner.x / spacing) * spacing;
+    const nearestGridY = Math.round(bottomLeftCorner.y / spacing) * spacing;
+    return { x: nearestGridX - bottomLeftCorner.x, y: nearestGridY - bottomLeftCorner.y, z: 0 };
+}
+
+// World-space footprint of an object where it stands, for the footprint overlay:
+// { outlines, contacts, centroid } as in computeLocalFootprint, at floor height
+function computeObjectFootprint(object, spacing, backZ) {
+    const footprint = computeLocalFootprint(object, spacing);
+    const { center } = getShapeTransform(object, spacing, backZ);
+    const toWorld = (p) => ({ x: p.x + center.x, y: p.y + center.y, z: backZ });
+
+    return {
+        outlines: footprint.outlines.map(outline => outline.map(toWorld)),
+        contacts: footprint.contacts.map(toWorld),
+        centroid: toWorld(footprint.centroid)
+    };
+}
+
+// Position and orientation of an object in world space
+function getShapeTransform(object, spacing, backZ) {
+    const alignmentOffset = calculateGridAlignmentOffset(object, spacing);
+
+    // Back face always stays at backZ (no Z movement from rotation)
+    const floorOffset = getShape(object.type).floorOffset(object, spacing);
+
+    return {
+        center: {
+            x: object.x * spacing + alignmentOffset.x,
+            y: object.y * spacing + alignmentOffset.y,
+            z: backZ + floorOffset
+        },
+        rotation: rotationMatrixFromEuler(object.rotationX, object.rotationY, object.rotationZ)
+    };
+}
+
+// Move local-space triangles into world space
+function transformTriangles(triangles, transform) {
+    const world = new Float64Array(triangles.length);
+    for (let k = 0; k < triangles.length; k += 3) {
+        const p = rotatePoint(transform.rotation, { x: triangles[k], y: triangles[k + 1], z: triangles[k + 2] });
+        world[k] = p.x + transform.center.x;
+        world[k + 1] = p.y + transform.center.y;
+        world[k + 2] = p.z + transform.center.z;
+    }
+    return world;
+}
+
+// Height of the triangle starting at offset k above (x, y), or null when a vertical ray
+// through (x, y) misses it. Shared by the ray and depth-map passes so both agree exactly.
+function triangleHeightAt(triangles, k, x, y) {
+    const ax = triangles[k], ay = triangles[k + 1], az = triangles[k + 2];
+    const bx = triangles[k + 3], by = triangles[k + 4], bz = triangles[k + 5];
+    const cx = triangles[k + 6], cy = triangles[k + 7], cz = triangles[k + 8];
+
+    // Barycentric coordinates in the XY plane
+    const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+    if (Math.abs(det) < 1e-12) return null; // Triangle is vertical, a vertical ray cannot hit it
+
+    const l1 = ((by - cy) * (x - cx) + (cx - bx) * (y - cy)) / det;
+    const l2 = ((cy - ay) * (x - cx) + (ax - cx) * (y - cy)) / det;
+    const l3 = 1 - l1 - l2;
+    if (l1 < 0 || l2 < 0 || l3 < 0) return null;
+
+    const z = l1 * az + l2 * bz + l3 * cz;
+    return z <= RAY_START_Z ? z : null;
+}
+
+// Highest surface point below (x, y), i.e. the first hit of a ray cast straight down.
+// Returns null when the ray misses every triangle.
+function raycastDown(triangles, x, y) {
+    let best = null;
+
+    for (let k = 0; k < triangles.length; k += 9) {
+        // Quick reject on the 2D bounding box
+        if (x < Math.min(triangles[k], triangles[k + 3], triangles[k + 6]) ||
+            x > Math.max(triangles[k], triangles[k + 3], triangles[k + 6]) ||
+            y < Math.min(triangles[k + 1], triangles[k + 4], triangles[k + 7]) ||
+            y > Math.max(triangles[k + 1], triangles[k + 4], triangles[k + 7])) continue;
+
+        const z = triangleHeightAt(triangles, k, x, y);
+        if (z !== null && (best === null || z > best)) best = z;
+    }
+
+    return best;
+}
+
+// World-space collider for one object, with the bounds used to skip work far away from it
+function createCollider(object, spacing, backZ) {
+    const transform = getShapeTransform(object, spacing, backZ);
+    const shape = getShape(object.type);
+    const triangles = transformTriangles(shape.triangles(object, spacing), transform);
+
+    // Triangle bounding box, rays outside it cannot hit
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let k = 0; k < triangles.length; k += 3) {
+        minX = Math.min(minX, triangles[k]);
+        maxX = Math.max(maxX, triangles[k]);
+        minY = Math.min(minY, triangles[k + 1]);
+        maxY = Math.max(maxY, triangles[k + 1]);
+    }
+
+    return {
+        triangles,
+        minX, maxX, minY, maxY,
+        // Only sample near the object: its bounding radius plus a buffer for the sample footprint
+        x: object.x * spacing,
+        y: object.y * spacing,
+        checkRadius: shape.boundingRadius(object, spacing) + spacing * 2
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Grid topologies
+// ---------------------------------------------------------------------------
+// The cloth is a graph of nodes joined by edges, laid out on the floor by one of the
+// topologies below. An entry supplies:
+//   label   Name shown in the GUI
+//   create  (spacing, halfSize) => { nodes, lines, cells } covering [-halfSize, halfSize] grid
+//           cells on both axes, where
+//             nodes  Floor positions { x, y }
+//             lines  Polylines of node indices drawn as the grid lines; every edge lies on one
+//             cells  Polygons of node indices, counter-clockwise seen from above
+// createGridGraph derives the edges, neighbours, boundary and triangles from those.
+
+// Lines of a lattice whose nodes have integer coordinates [u, r]: from every node without a
+// predecessor in a direction, follow that direction for as long as there are nodes
+function traceLatticeLines(coordinates, at, directions) {
+    const lines = [];
+    directions.forEach(([du, dr]) => {
+        coordinates.forEach(([u, r], start) => {
+            if (at(u - du, r - dr) !== undefined) return;
+            const line = [start];
+            for (let k = 1; at(u + du * k, r + dr * k) !== undefined; k++) line.push(at(u + du * k, r + dr * k));
+            if (line.length > 1) lines.push(line);
+        });
+    });
+    return lines;
+}
+
+const GRID_TOPOLOGIES = {
+    square: {
+        label: 'Square',
+        // Node i * (gridSize + 1) + j sits at grid index [i][j], i along X and j along Y
+        create(spacing, halfSize) {
+            const size = halfSize * 2 + 1;
+            const nodes = [];
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) nodes.push({ x: (i - halfSize) * spacing, y: (j - halfSize) * spacing });
+            }
+
+            const lines = [];
+            for (let j = 0; j < size; j++) lines.push(Array.from({ length: size }, (_, i) => i * size + j));
+            for (let i = 0; i < size; i++) lines.push(Array.from({ length: size }, (_, j) => i * size + j));
+
+            const cells = [];
+            for (let i = 0; i < size - 1; i++) {
+                for (let j = 0; j < size - 1; j++) {
+                    const a = i * size + j;
+                    cells.push([a, a + size, a + size + 1, a + 1]);
+                }
+            }
+            return { nodes, lines, cells };
+        }
+    },
+    triangular: {
+        label: 'Triangular',
+        // Rows of equilateral triangles with sides of one grid cell. Node [u, r] sits at
+        // u half cells along X in row r, with u + r even.
+        create(spacing, halfSize) {
+            const rowHeight = spacing * Math.sqrt(3) / 2;
+            const rows = Math.floor(halfSize * spacing / rowHeight);
+            const nodes = [];
+            const coordinates = [];
+            const ids = new Map();
+            const at = (u, r) => ids.get(u + ',' + r);
+
+            for (let r = -rows; r <= rows; r++) {
+                for (let u = -2 * halfSize; u <= 2 * halfSize; u++) {
+                    if ((u + r) % 2 !== 0) continue;
+                    ids.set(u + ',' + r, nodes.length);
+                    coordinates.push([u, r]);
+                    nodes.push({ x: u * spacing / 2, y: r * rowHeight });
+                }
+            }
+
+            // Up and down pointing triangle above each node
+            const cells = [];
+            coordinates.forEach(([u, r], a) => {
+                [[at(u + 2, r), at(u + 1, r + 1)], [at(u + 1, r + 1), at(u - 1, r + 1)]].forEach(([b, c]) => {
+                    if (b !== undefined && c !== undefined) cells.push([a, b, c]);
+                });
+            });
+
+            return { nodes, lines: traceLatticeLines(coordinates, at, [[2, 0], [1, 1], [-1, 1]]), cells };
+        }
+    },
+    hexagonal: {
+        label: 'Hexagonal',
+        // Honeycomb with edges of one grid cell. Its nodes are the centres of the triangles of
+        // a triangular lattice (sides √3 cells): up triangles A(u, r) with corners [u, r],
+        // [u + 2, r], [u + 1, r + 1] and down triangles B(u, r) with corners [u, r],
+        // [u + 1, r + 1], [u - 1, r + 1].
+        create(spacing, halfSize) {
+            const side = spacing * Math.sqrt(3);
+            const rowHeight = side * Math.sqrt(3) / 2;
+            const extent = halfSize * spacing;
+            const rows = Math.ceil(extent / rowHeight) + 1;
+            const columns = Math.ceil(2 * extent / side) + 2;
+            const nodes = [];
+            const ids = new Map();
+            const at = (kind, u, r) => ids.get(kind + u + ',' + r);
+            const add = (kind, u, r, x, y) => {
+                if (Math.abs(x) > extent || Math.abs(y) > extent) return;
+                ids.set(kind + u + ',' + r, nodes.length);
+                nodes.push({ x, y });
+            };
+
+            for (let r = -rows; r <= rows; r++) {
+                for (let u = -columns; u <= columns; u++) {
+                    if ((u + r) % 2 !== 0) continue;
+                    add('B', u, r, u * side / 2, (r + 2 / 3) * rowHeight);
+                    add('A', u, r, (u + 1) * side / 2, (r + 1 / 3) * rowHeight);
+                }
+            }
+
+            // Zigzag lines through each row of triangles (B(u), A(u), B(u + 2), ...), broken
+            // where a node is missing, and the short upright edges between the rows
+            const lines = [];
+            for (let r = -rows; r <= rows; r++) {
+                let line = [];
+                for (let u = -columns; u <= columns; u++) {
+                    if ((u + r) % 2 !== 0) continue;
+                    [at('B', u, r), at('A', u, r)].forEach(node => {
+                        if (node !== undefined) {
+                            line.push(node);
+                            return;
+                        }
+                        if (line.length > 1) lines.push(line);
+                        line = [];
+                    });
+                }
+                if (line.length > 1) lines.push(line);
+            }
+            for (let r = -rows; r <= rows; r++) {
+                for (let u = -columns; u <= columns; u++) {
+                    const below = at('B', u + 1, r - 1);
+                    const above = at('A', u, r);
+                    if (below !== undefined && above !== undefined) lines.push([below, above]);
+                }
+            }
+
+            // One hexagon around every lattice corner, its six triangles in counter-clockwise order
+            const cells = [];
+            for (let r = -rows; r <= rows; r++) {
+                for (let u = -columns; u <= columns; u++) {
+                    if ((u + r) % 2 !== 0) continue;
+                    const cell = [at('A', u, r), at('B', u, r), at('A', u - 2, r), at('B', u - 1, r - 1), at('A', u - 1, r - 1), at('B', u + 1, r - 1)];
+                    if (cell.every(node => node !== undefined)) cells.push(cell);
+                }
+            }
+            return { nodes, lines, cells };
+        }
+    },
+    polar: {
+        label: 'Polar',
+        // Rings one grid cell apart and straight spokes from the centre node, out to the
+        // circle inside the square grid
+        create(spacing, halfSize) {
+            const spokes = 4 * Math.ceil(halfSize / 2);
+            const at = (ring, spoke) => 1 + (ring - 1) * spokes + (spoke % spokes);
+            const nodes = [{ x: 0, y: 0 }];
+            for (let ring = 1; ring <= halfSize; ring++) {
+                for (let spoke = 0; spoke < spokes; spoke++) {
+                    const angle = spoke / spokes * Math.PI * 2;
+                    nodes.push({ x: Math.cos(angle) * ring * spacing, y: Math.sin(angle) * ring * spacing });
+                }
+            }
+
+            const lines = [];
+            for (let ring = 1; ring <= halfSize; ring++) {
+                lines.push(Array.from({ length: spokes + 1 }, (_, spoke) => at(ring, spoke)));
+            }
+            for (let spoke = 0; spoke < spokes; spoke++) {
+                lines.push([0, ...Array.from({ length: halfSize }, (_, ring) => at(ring + 1, spoke))]);
+            }
+
+            const cells = [];
+            for (let spoke = 0; spoke < spokes; spoke++) {
+                cells.push([0, at(1, spoke), at(1, spoke + 1)]);
+                for (let ring = 1; ring < halfSize; ring++) {
+                    cells.push([at(ring, spoke), at(ring + 1, spoke), at(ring + 1, spoke + 1), at(ring, spoke + 1)]);
+                }
+            }
+            return { nodes, lines, cells };
+        }
+    }
+};
+
+function getGridTopology(topology) {
+    return GRID_TOPOLOGIES[topology] ? topology : 'square';
+}
+
+// Floor graph of a topology with gridSize cells across:
+//   topology    Key of GRID_TOPOLOGIES
+//   nodes       Floor positions { x, y, z }
+//   lines       Polylines of node indices along the grid lines
+//   edges       Node index pairs [a0, b0, a1, b1, ...], in line order
+//   neighbours  Node indices joined to each node by an edge
+//   boundary    1 for nodes on the outer edge (and nodes in no cell), which stay on the floor
+//   faces       Triangles [a, b, c, ...] covering the cells, counter-clockwise seen from above
+//   shear       Node index pairs across each cell (its diagonals)
+function createGridGraph(topology, spacing, backZ, gridSize) {
+    topology = getGridTopology(topology);
+    const layout = GRID_TOPOLOGIES[topology].create(spacing, gridSize / 2);
+    const count = layout.nodes.length;
+    const nodes = layout.nodes.map(p => ({ x: p.x, y: p.y, z: backZ }));
+    const pairKey = (a, b) => a < b ? a * count + b : b * count + a;
+
+    // Each edge once, in the order of the lines
+    const edges = [];
+    const neighbours = nodes.map(() => []);
+    const seen = new Set();
+    layout.lines.forEach(line => {
+        for (let k = 0; k < line.length - 1; k++) {
+            const a = line[k], b = line[k + 1];
+            if (seen.has(pairKey(a, b))) continue;
+            seen.add(pairKey(a, b));
+            edges.push(a, b);
+            neighbours[a].push(b);
+            neighbours[b].push(a);
+        }
+    });
+
+    // Cell sides with only one cell on them are the outer edge
+    const sideCounts = new Map();
+    const forEachSide = (callback) => layout.cells.forEach(cell => cell.forEach((a, k) => callback(a, cell[(k + 1) % cell.length])));
+    forEachSide((a, b) => sideCounts.set(pairKey(a, b), (sideCounts.get(pairKey(a, b)) || 0) + 1));
+    const boundary = new Uint8Array(count).fill(1);
+    forEachSide((a) => {
+        boundary[a] = 0;
+    });
+    forEachSide((a, b) => {
+        if (sideCounts.get(pairKey(a, b)) === 1) boundary[a] = boundary[b] = 1;
+    });
+
+    const faces = [];
+    const shear = [];
+    layout.cells.forEach(cell => {
+        for (let k = 1; k < cell.length - 1; k++) faces.push(cell[0], cell[k], cell[k + 1]);
+        for (let a = 0; a < cell.length; a++) {
+            for (let b = a + 2; b < cell.length - (a === 0 ? 1 : 0); b++) shear.push(cell[a], cell[b]);
+        }
+    });
+
+    return {
+        topology,
+        nodes,
+        lines: layout.lines,
+        edges: Uint32Array.from(edges),
+        neighbours,
+        boundary,
+        faces: Uint32Array.from(faces),
+        shear: Uint32Array.from(shear)
+    };
+}
+
+// createGridGraph for the last few grids asked for. Graphs are shared, so treat them as read-only.
+const gridGraphCache = new Map();
+const GRID_GRAPH_CACHE_SIZE = 4;
+
+function getGridGraph(topology, spacing, backZ, gridSize) {
+    const key = [getGridTopology(topology), spacing, backZ, gridSize].join(',');
+    if (!gridGraphCache.has(key)) {
+        if (gridGraphCache.size >= GRID_GRAPH_CACHE_SIZE) gridGraphCache.delete(gridGraphCache.keys().next().value);
+        gridGraphCache.set(key, createGridGraph(topology, spacing, backZ, gridSize));
+    }
+    return gridGraphCache.get(key);
+}
+
+// Collision heights for every grid node using multi-ray sampling against all colliders.
+// This is the original pass: raysPerPoint² rays per node, each tested against every
+// triangle. computeCollisionHeights gives the same result from depth maps and is used by
+// default; this one is kept as the reference (see benchmarks/collision-heights.js).
+function computeCollisionHeightsByRays(nodes, colliders, options) {
+    const { backZ, sampleRadius, raysPerPoint } = options;
+    const heights = new Float64Array(nodes.length);
+
+    nodes.forEach((node, n) => {
+        const centerX = node.x;
+        const centerY = node.y;
+
+        let maxZ = backZ; // Start with floor height
+
+        colliders.forEach(collider => {
+            // Optimization: Distance check, too far from this object leaves the floor height
+            const dx = centerX - collider.x;
+            const dy = centerY - collider.y;
+            if (dx * dx + dy * dy > collider.checkRadius * collider.checkRadius) return;
+
+            // Cast multiple rays in a grid pattern around this point
+            for (let rx = 0; rx < raysPerPoint; rx++) {
+                const x = centerX + ((rx / (raysPerPoint - 1)) - 0.5) * sampleRadius * 2;
+                if (x < collider.minX || x > collider.maxX) continue;
+
+                for (let ry = 0; ry < raysPerPoint; ry++) {
+                    const y = centerY + ((ry / (raysPerPoint - 1)) - 0.5) * sampleRadius * 2;
+                    if (y < collider.minY || y > collider.maxY) continue;
+
+                    const z = raycastDown(collider.triangles, x, y);
+                    // Take the maximum Z from all ray samples
+                    if (z !== null) maxZ = Math.max(maxZ, z);
+                }
+            }
+        });
+
+        heights[n] = maxZ;
+    });
+
+    return heights;
+}
+
+// Positions along one axis where the sample rays of the grid points land. Returns the sorted
+// distinct positions and, for grid line i and ray r, the index of its position.
+function createSampleAxis(centers, raysPerPoint, sampleRadius) {
+    const positions = [];
+    centers.forEach(center => {
+        for (let r = 0; r < raysPerPoint; r++) {
+            // Same expression as the ray pass, so both sample exactly the same coordinates
+            positions.push(center + ((r / (raysPerPoint - 1)) - 0.5) * sampleRadius * 2);
+        }
+    });
+
+    const values = Float64Array.from(new Set(positions)).sort();
+    const lookup = new Map();
+    values.forEach((value, index) => lookup.set(value, index));
+    return { values, index: Int32Array.from(positions, value => lookup.get(value)) };
+}
+
+// First index in a sorted array whose value is >= target
+function lowerBound(values, target) {
+    let low = 0, high = values.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[middle] < target) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+// Top-down depth map of a collider on the sample axes: the highest surface point above every
+// sample position (-Infinity where there is none). Each triangle only visits the samples
+// inside its bounding box, instead of every ray testing every triangle.
+function rasterizeDepthMap(triangles, axisX, axisY) {
+    const columns = axisX.values.length;
+    const heights = new Float64Array(columns * axisY.values.length).fill(-Infinity);
+
+    for (let k = 0; k < triangles.length; k += 9) {
+        const minX = Math.min(triangles[k], triangles[k + 3], triangles[k + 6]);
+        const maxX = Math.max(triangles[k], triangles[k + 3], triangles[k + 6]);
+        const minY = Math.min(triangles[k + 1], triangles[k + 4], triangles[k + 7]);
+        const maxY = Math.max(triangles[k + 1], triangles[k + 4], triangles[k + 7]);
+
+        for (let iy = lowerBound(axisY.values, minY); iy < axisY.values.length && axisY.values[iy] <= maxY; iy++) {
+            for (let ix = lowerBound(axisX.values, minX); ix < columns && axisX.values[ix] <= maxX; ix++) {
+                const z = triangleHeightAt(triangles, k, axisX.values[ix], axisY.values[iy]);
+                const cell = iy * columns + ix;
+                if (z !== null && z > heights[cell]) heights[cell] = z;
+            }
+        }
+    }
+
+    return heights;
+}
+
+// Collision heights for every grid node: one depth map per collider on the positions the
+// sample rays would land on, then a max filter over each node's raysPerPoint² samples.
+// Matches computeCollisionHeightsByRays exactly. The maps span every distinct node X and Y,
+// so grids whose nodes share few coordinates (square, triangular, hexagonal) suit them;
+// for scattered nodes (polar rings) the maps would be too large and the rays are cast instead.
+function computeCollisionHeights(nodes, colliders, options) {
+    const { backZ, sampleRadius, raysPerPoint } = options;
+    const xs = Float64Array.from(new Set(nodes.map(p => p.x))).sort();
+    const ys = Float64Array.from(new Set(nodes.map(p => p.y))).sort();
+    if (xs.length * ys.length * raysPerPoint * raysPerPoint > DEPTH_MAP_MAX_SAMPLES) {
+        return computeCollisionHeightsByRays(nodes, colliders, options);
+    }
+
+    const axisX = createSampleAxis(xs, raysPerPoint, sampleRadius);
+    const axisY = createSampleAxis(ys, raysPerPoint, sampleRadius);
+    const columns = axisX.values.length;
+    const columnOf = new Map();
+    const rowOf = new Map();
+    xs.forEach((x, i) => columnOf.set(x, i));
+    ys.forEach((y, j) => rowOf.set(y, j));
+
+    const heights = new Float64Array(nodes.length).fill(backZ);
+
+    colliders.forEach(collider => {
+        const depthMap = rasterizeDepthMap(collider.triangles, axisX, axisY);
+        nodes.forEach((node, n) => {
+            // Same distance check as the ray pass, nodes too far away keep their height
+            const dx = node.x - collider.x;
+            const dy = node.y - collider.y;
+            if (dx * dx + dy * dy > collider.checkRadius * collider.checkRadius) return;
+
+            const i = columnOf.get(node.x);
+            const j = rowOf.get(node.y);
+            let maxZ = heights[n];
+            for (let rx = 0; rx < raysPerPoint; rx++) {
+                const column = axisX.index[i * raysPerPoint + rx];
+                for (let ry = 0; ry < raysPerPoint; ry++) {
+                    const z = depthMap[axisY.index[j * raysPerPoint + ry] * columns + column];
+                    if (z > maxZ) maxZ = z;
+                }
+            }
+            heights[n] = maxZ;
+        });
+    });
+
+    return heights;
+}
+
+// ---------------------------------------------------------------------------
+// Drape falloff
+// ---------------------------------------------------------------------------
+// Between the objects and the floor the height-field cloth is a membrane held up by the
+// objects: every node sits at the average height of its graph neighbours, never below the
+// collision surface, and nodes further than drapeExtension grid cells from where the cloth
+// touches an object stay on the floor. The falloff adds a term to that average:
+//   linear       none, the cloth runs straight from the objects to the edge of its reach
+//   catenary     a uniform load, so it hangs in a curve and meets the floor tangentially
+//   exponential  a pull towards the floor proportional to the height, so it drops quickly
+//                and trails off
+// drapeStiffness sets how hard the load and the pull act (the linear falloff has neither).
+// At stiffness 0 the catenary from the tallest object lands just at the extension and the
+// exponential is down to 5% there; at 1 both drop steeply near the objects. Everything is
+// measured in grid cells, so a drape looks the same at any grid density.
+// coefficients(extension, stiffness) gives the load, as a share of the tallest object's height,
+// and the pull for a lattice whose edges are one grid cell long; usesStiffness tells whether
+// stiffness changes them.
+
+const DRAPE_EXTENSION_MAX = 10;
+const DRAPE_TOLERANCE = 1e-4; // A settled drape moves no node further than this, grid cells
+const DRAPE_MAX_SWEEPS = 10000; // Gives up on settling after this many relaxation sweeps
+
+const DRAPE_FALLOFFS = {
+    linear: {
+        label: 'Linear',
+        usesStiffness: false,
+        coefficients: () => ({ load: 0, pull: 0 })
+    },
+    catenary: {
+        label: 'Catenary',
+        usesStiffness: true,
+        // z'' = 4 load on a unit lattice: the parabola 2 load (extension - x)² from the top
+        coefficients: (extension, stiffness) => ({ load: (1 + 3 * stiffness) / (2 * extension * extension), pull: 0 })
+    },
+    exponential: {
+        label: 'Exponential',
+        usesStiffness: true,
+        // z = avg / (1 + pull) decays as exp(-x / length) with pull = 1 / (4 length²)
+        coefficients: (extension, stiffness) => {
+            const length = extension / (3 + 6 * stiffness);
+            return { load: 0, pull: 1 / (4 * length * length) };
+        }
+    }
+};
+
+// Nodes that relax: off the graph boundary and within reach (world units) of a node where
+// the cloth rests on an object. Contact nodes are bucketed by reach, so each node only checks
+// the buckets around it.
+function findDrapeRegion(graph, collisionHeights, backZ, reach) {
+    if (reach <= 0) return [];
+    const buckets = new Map();
+    const key = (bx, by) => bx + ',' + by;
+    graph.nodes.forEach((p, n) => {
+        if (collisionHeights[n] <= backZ) return;
+        const bucket = key(Math.floor(p.x / reach), Math.floor(p.y / reach));
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push(p);
+    });
+
+    const active = [];
+    graph.nodes.forEach((p, n) => {
+        if (graph.boundary[n]) return;
+        const bx = Math.floor(p.x / reach);
+        const by = Math.floor(p.y / reach);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const contacts = buckets.get(key(bx + dx, by + dy));
+                // The tolerance keeps nodes exactly at the reach in
+                if (contacts && contacts.some(c => Math.hypot(c.x - p.x, c.y - p.y) <= reach + 1e-9)) {
+                    active.push(n);
+                    return;
+                }
+            }
+        }
+    });
+    return active;
+}
+
+// Per-node falloff terms for relaxDrape: { floorZ, load, decay } with load in world units and
+// decay the factor the height above the floor is scaled by. Both follow each node's mean
+// squared edge length, so every topology (and the polar rings) gets the same curve.
+function getDrapeFalloff(config, graph, collisionHeights, spacing, backZ) {
+    const extension = Math.max(config.drapeExtension, 1e-6);
+    const stiffness = Math.max(0, Math.min(1, config.drapeStiffness));
+    const falloff = DRAPE_FALLOFFS[config.drapeFalloff] || DRAPE_FALLOFFS[DEFAULT_CONFIG.drapeFalloff];
+    const { load, pull } = falloff.coefficients(extension, stiffness);
+
+    let height = 0;
+    for (let n = 0; n < collisionHeights.length; n++) height = Math.max(height, collisionHeights[n] - backZ);
+
+    const loads = new Float64Array(graph.nodes.length);
+    const decay = new Float64Array(graph.nodes.length).fill(1);
+    if (load === 0 && pull === 0) return { floorZ: backZ, load: loads, decay };
+
+    graph.nodes.forEach((p, n) => {
+        const around = graph.neighbours[n];
+        if (around.length === 0) return;
+        let squared = 0;
+        around.forEach(m => {
+            const q = graph.nodes[m];
+            squared += ((q.x - p.x) * (q.x - p.x) + (q.y - p.y) * (q.y - p.y)) / (spacing * spacing);
+        });
+        squared /= around.length;
+        loads[n] = load * height * squared;
+        decay[n] = 1 / (1 + pull * squared);
+    });
+    return { floorZ: backZ, load: loads, decay };
+}
+
+// Colour the active nodes so no two neighbours share a colour (red and black on the square
+// and honeycomb grids, three colours on the triangular one). Returns the nodes ordered by colour.
+function colourDrapeNodes(active, neighbours, nodeCount) {
+    const colours = new Int32Array(nodeCount).fill(-1);
+    let colourCount = 0;
+    active.forEach(node => {
+        let colour = 0;
+        while (neighbours[node].some(other => colours[other] === colour)) colour++;
+        colours[node] = colour;
+        colourCount = Math.max(colourCount, colour + 1);
+    });
+
+    const ordered = new Int32Array(active.length);
+    let index = 0;
+    for (let colour = 0; colour < colourCount; colour++) {
+        active.forEach(node => {
+            if (colours[node] === colour) ordered[index++] = node;
+        });
+    }
+    return ordered;
+}
+
+// Over-relaxation factor for a drape reaching extension grid cells: the optimum for a strip
+// that wide, held at the objects and at the floor
+function getDrapeOverRelaxation(extension) {
+    return 2 / (1 + Math.sin(Math.PI / (Math.max(1, extension) + 1)));
+}
+
+// Settle the height-field cloth: each active node moves to the average height of its graph
+// neighbours, the others stay at the collision height (the floor). The falloff
+// (getDrapeFalloff) first lowers the average by the node's load and scales its height above
+// the floor by the node's decay.
+// Solved by projected successive over-relaxation on the colour classes of colourDrapeNodes
+// (red-black Gauss-Seidel on the square grid), on flat Float32Arrays of heights above the
+// floor, until no node is further than options.tolerance (world units) from where its
+// neighbours put it, or after options.maxSweeps sweeps.
+// Returns { heights, iterations, residual, converged }: the heights per node (Float64Array),
+// the sweeps run and the largest remaining correction (world units).
+// IMPORTANT: the drape never goes below the collision surface.
+function relaxDrape(collisionHeights, neighbours, active, falloff, options) {
+    const { tolerance, maxSweeps, overRelaxation } = options;
+    const floorZ = falloff.floorZ;
+    const order = colourDrapeNodes(active, neighbours, collisionHeights.length);
+
+    const heights = new Float32Array(collisionHeights.length);
+    for (let n = 0; n < collisionHeights.length; n++) heights[n] = collisionHeights[n] - floorZ;
+
+    // Neighbour lists and per-node terms in sweep order
+    const count = order.length;
+    const offsets = new Int32Array(count + 1);
+    for (let k = 0; k < count; k++) offsets[k + 1] = offsets[k] + neighbours[order[k]].length;
+    const around = new Int32Array(offsets[count]);
+    const lowest = new Float32Array(count);
+    const load = new Float32Array(count);
+    const decay = new Float32Array(count);
+    for (let k = 0; k < count; k++) {
+        const node = order[k];
+        around.set(neighbours[node], offsets[k]);
+        lowest[k] = heights[node];
+        load[k] = falloff.load[node];
+        decay[k] = falloff.decay[node];
+    }
+
+    let iterations = 0;
+    let residual = 0;
+    while (iterations < maxSweeps) {
+        iterations++;
+        residual = 0;
+        for (let k = 0; k < count; k++) {
+            let sum = 0;
+            for (let m = offsets[k]; m < offsets[k + 1]; m++) sum += heights[around[m]];
+
+            // CRITICAL: The cloth MUST stay at or above the collision surface
+            const target = Math.max((sum / (offsets[k + 1] - offsets[k]) - load[k]) * decay[k], lowest[k]);
+            const node = order[k];
+            const change = target - heights[node];
+            residual = Math.max(residual, Math.abs(change));
+            heights[node] = Math.max(heights[node] + overRelaxation * change, lowest[k]);
+        }
+        if (residual <= tolerance) break;
+    }
+
+    const result = new Float64Array(heights.length);
+    for (let n = 0; n < heights.length; n++) result[n] = heights[n] + floorZ;
+    return { heights: result, iterations, residual, converged: residual <= tolerance };
+}
+
+// ---------------------------------------------------------------------------
+// Cloth simulation (position based dynamics)
+// ---------------------------------------------------------------------------
+// Alternative to the height-field relaxation: every grid point is a particle that moves in
+// x, y and z. The sheet starts flat above the highest object and falls towards the floor.
+// Structural (graph edge) and shear (cell diagonal) distance constraints keep its shape, and
+// particles are pushed out of the colliders and kept above the floor. Lengths are in grid
+// cells so the result does not depend on the grid density.
+
+const CLOTH_GRAVITY = 100; // Grid cells per second²
+const CLOTH_TIME_STEP = 1 / 60; // One simulation frame, so an animated drop runs in real time
+const CLOTH_SUBSTEPS = 2; // Integration steps per frame
+const CLOTH_ITERATIONS = 4; // Constraint passes per substep
+const CLOTH_COMPRESSION_STIFFNESS = 0.1; // Share of a compression corrected per pass (stretching: all of it)
+const CLOTH_DAMPING = 0.98; // Share of the velocity kept each substep
+const CLOTH_STATIC_FRICTION = 1; // Sliding shorter than this times the penetration depth is stopped
+const CLOTH_KINETIC_FRICTION = 0.6; // Longer sliding is slowed by this times the penetration depth
+const CLOTH_THICKNESS = 0.1; // Gap kept between the cloth and the objects, in grid cells
+const CLOTH_DROP_HEIGHT = 1; // Start height above the highest object, in grid cells
+const CLOTH_SETTLE_DISTANCE = 0.03; // No particle moved more than this in a frame (grid cells)...
+const CLOTH_SETTLE_FRAMES = 10; // ...for this many frames: the cloth has settled
+const CLOTH_MAX_FRAMES = 900; // Frozen after this many frames even if still moving
+const RAY_JITTER = 1e-7; // Keeps inside tests off exact triangle edges, which are on grid lines
+
+const DRAPE_MODES = ['relax', 'cloth'];
+
+// The square topology's drape also gets the [i][j] arrays of the plain grid, i along X and j
+// along Y: backPoints, collisionZ (null for the cloth) and frontPoints
+function addGridPointViews(drape) {
+    if (drape.graph.topology !== 'square') return drape;
+    const size = drape.gridSize + 1;
+    const toGrid = (values) => Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => values[i * size + j]));
+    drape.backPoints = toGrid(drape.backNodes);
+    drape.collisionZ = drape.collisionHeights ? toGrid(drape.collisionHeights) : null;
+    drape.frontPoints = toGrid(drape.frontNodes);
+    return drape;
+}
+
+// Closest point to p on triangle abc (Ericson, Real-Time Collision Detection 5.1.5)
+function closestPointOnTriangle(p, a, b, c) {
+    const sub = (u, v) => ({ x: u.x - v.x, y: u.y - v.y, z: u.z - v.z });
+    const dot = (u, v) => u.x * v.x + u.y * v.y + u.z * v.z;
+    const along = (o, d, t) => ({ x: o.x + d.x * t, y: o.y + d.y * t, z: o.z + d.z * t });
+
+    const ab = sub(b, a), ac = sub(c, a), ap = sub(p, a);
+    const d1 = dot(ab, ap), d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) return a;
+
+    const bp = sub(p, b);
+    const d3 = dot(ab, bp), d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) return b;
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) return along(a, ab, d1 / (d1 - d3));
+
+    const cp = sub(p, c);
+    const d5 = dot(ab, cp), d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) return c;
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) return along(a, ac, d2 / (d2 - d6));
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        return along(b, sub(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6)));
+    }
+
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom, w = vc * denom;
+    return { x: a.x + ab.x * v + ac.x * w, y: a.y + ab.y * v + ac.y * w, z: a.z + ab.z * v + ac.z * w };
+}
+
+// Triangles of a world-space mesh bucketed by their XY bounding box, so point queries
+// only look at the triangles near them
+function createTriangleGrid(triangles, cellSize) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let k = 0; k < triangles.length; k += 3) {
+        minX = Math.min(minX, triangles[k]);
+        maxX = Math.max(maxX, triangles[k]);
+        minY = Math.min(minY, triangles[k + 1]);
+        maxY = Math.max(maxY, triangles[k + 1]);
+    }
+
+    const columns = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+    const rows = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+    const cells = Array.from({ length: columns * rows }, () => []);
+    const column = (x) => Math.min(columns - 1, Math.max(0, Math.floor((x - minX) / cellSize)));
+    const row = (y) => Math.min(rows - 1, Math.max(0, Math.floor((y - minY) / cellSize)));
+
+    for (let k = 0; k < triangles.length; k += 9) {
+        const c0 = column(Math.min(triangles[k], triangles[k + 3], triangles[k + 6]));
+        const c1 = column(Math.max(triangles[k], triangles[k + 3], triangles[k + 6]));
+        const r0 = row(Math.min(triangles[k + 1], triangles[k + 4], triangles[k + 7]));
+        const r1 = row(Math.max(triangles[k + 1], triangles[k + 4], triangles[k + 7]));
+        for (let c = c0; c <= c1; c++) {
+            for (let r = r0; r <= r1; r++) cells[r * columns + c].push(k);
+        }
+    }
+
+    return { triangles, minX, maxX, minY, maxY, cellSize, columns, rows, cells, column, row };
+}
+
+// Point inside a closed triangle mesh: odd number of surface crossings straight up from it
+function isInsideMesh(grid, x, y, z) {
+    x += RAY_JITTER;
+    y += RAY_JITTER * Math.SQRT2;
+    if (x < grid.minX || x > grid.maxX || y < grid.minY || y > grid.maxY) return false;
+
+    const triangles = grid.triangles;
+    let crossings = 0;
+
+    grid.cells[grid.row(y) * grid.columns + grid.column(x)].forEach(k => {
+        const ax = triangles[k], ay = triangles[k + 1], az = triangles[k + 2];
+        const bx = triangles[k + 3], by = triangles[k + 4], bz = triangles[k + 5];
+        const cx = triangles[k + 6], cy = triangles[k + 7], cz = triangles[k + 8];
+
+        if (z > Math.max(az, bz, cz)) return;
+        if (x < Math.min(ax, bx, cx) || x > Math.max(ax, bx, cx) ||
+            y < Math.min(ay, by, cy) || y > Math.max(ay, by, cy)) return;
+
+        const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+        if (Math.abs(det) < 1e-12) return;
+
+        const l1 = ((by - cy) * (x - cx) + (cx - bx) * (y - cy)) / det;
+        const l2 = ((cy - ay) * (x - cx) + (ax - cx) * (y - cy)) / det;
+        const l3 = 1 - l1 - l2;
+        if (l1 < 0 || l2 < 0 || l3 < 0) return;
+
+        if (l1 * az + l2 * bz + l3 * cz > z) crossings++;
+    });
+
+    return crossings % 2 === 1;
+}
+
+// Nearest point on the surface of a bucketed mesh. Searches rings of cells around the point
+// and stops once no unvisited cell can hold anything closer.
+function closestPointOnMesh(grid, p) {
+    const triangles = grid.triangles;
+    const column = Math.floor((p.x - grid.minX) / grid.cellSize);
+    const row = Math.floor((p.y - grid.minY) / grid.cellSize);
+    const maxRing = Math.max(grid.columns, grid.rows) + Math.max(Math.abs(column), Math.abs(row));
+    let best = null;
+    let bestDistance = Infinity;
+
+    const visit = (c, r) => {
+        if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) return;
+        grid.cells[r * grid.columns + c].forEach(k => {
+            const q = closestPointOnTriangle(
+                p,
+                { x: triangles[k], y: triangles[k + 1], z: triangles[k + 2] },
+                { x: triangles[k + 3], y: triangles[k + 4], z: triangles[k + 5] },
+                { x: triangles[k + 6], y: triangles[k + 7], z: triangles[k + 8] }
+            );
+            const distance = (q.x - p.x) ** 2 + (q.y - p.y) ** 2 + (q.z - p.z) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = q;
+            }
+        });
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+        for (let c = column - ring; c <= column + ring; c++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                if (Math.max(Math.abs(c - column), Math.abs(r - row)) === ring) visit(c, r);
+            }
+        }
+        // Anything outside the rings searched so far is at least ring cells away in XY
+        if (best && Math.sqrt(bestDistance) <= ring * grid.cellSize) break;
+    }
+
+    return best;
+}
+
+// Set up a cloth simulation for a config. Advance it with stepClothSimulation and read the
+// current cloth with getClothDrape.
+function createClothSimulation(inputConfig) {
+    const config = resolveConfig(inputConfig);
+    const spacing = getGridSpacing(config);
+    const backZ = BACK_Z;
+    const gridSize = getGridSize(spacing);
+    const graph = getGridGraph(config.gridTopology, spacing, backZ, gridSize);
+
+    const colliders = config.objects.map(object => {
+        const transform = getShapeTransform(object, spacing, backZ);
+        const shape = getShape(object.type);
+        const triangles = transformTriangles(shape.triangles(object, spacing), transform);
+        let top = backZ;
+        for (let k = 2; k < triangles.length; k += 3) top = Math.max(top, triangles[k]);
+        return { grid: createTriangleGrid(triangles, spacing), center: transform.center, radius: shape.boundingRadius(object, spacing), top };
+    });
+
+    // Flat sheet just above the highest object
+    const startZ = Math.max(backZ, ...colliders.map(collider => collider.top)) + CLOTH_DROP_HEIGHT * spacing;
+    const positions = new Float64Array(graph.nodes.length * 3);
+    graph.nodes.forEach((p, n) => positions.set([p.x, p.y, startZ], n * 3));
+
+    // Structural constraints along the edges, shear constraints across each cell,
+    // all at their length on the floor
+    const pairs = Int32Array.from([...graph.edges, ...graph.shear]);
+    const restLengths = new Float64Array(pairs.length / 2);
+    for (let c = 0; c < restLengths.length; c++) {
+        const a = graph.nodes[pairs[c * 2]], b = graph.nodes[pairs[c * 2 + 1]];
+        restLengths[c] = Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    return {
+        spacing,
+        backZ,
+        gridSize,
+        graph,
+        colliders,
+        positions,
+        previous: positions.slice(),
+        pairs,
+        restLengths,
+        frame: 0,
+        stillFrames: 0,
+        settled: false
+    };
+}
+
+// Position based friction: sliding along the surface since the last substep is cancelled while
+// it is small compared to the penetration depth (static), and slowed otherwise (kinetic)
+function applyClothFriction(simulation, index, normal, depth) {
+    const { positions, previous } = simulation;
+    const mx = positions[index] - previous[index];
+    const my = positions[index + 1] - previous[index + 1];
+    const mz = positions[index + 2] - previous[index + 2];
+    const along = mx * normal.x + my * normal.y + mz * normal.z;
+    const tx = mx - normal.x * along, ty = my - normal.y * along, tz = mz - normal.z * along;
+    const sliding = Math.sqrt(tx * tx + ty * ty + tz * tz);
+    if (sliding === 0) return;
+
+    const share = sliding < CLOTH_STATIC_FRICTION * depth ? 1 : Math.min(1, CLOTH_KINETIC_FRICTION * depth / sliding);
+    positions[index] -= tx * share;
+    positions[index + 1] -= ty * share;
+    positions[index + 2] -= tz * share;
+}
+
+// Keep the particle at index out of the colliders and above the floor
+function collideClothParticle(simulation, index) {
+    const { positions, colliders, spacing, backZ } = simulation;
+
+    colliders.forEach(collider => {
+        const p = { x: positions[index], y: positions[index + 1], z: positions[index + 2] };
+        const dx = p.x - collider.center.x, dy = p.y - collider.center.y, dz = p.z - collider.center.z;
+        const gap = CLOTH_THICKNESS * spacing;
+        if (dx * dx + dy * dy + dz * dz > (collider.radius + gap) ** 2) return;
+
+        // Inside: push out to the nearest surface point. Outside but closer than the cloth
+        // thickness: push away from it. Either way the particle ends up one thickness off the surface.
+        const q = closestPointOnMesh(collider.grid, p);
+        const distance = Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z);
+        const inside = isInsideMesh(collider.grid, p.x, p.y, p.z);
+        if (!inside && distance >= gap) return;
+
+        const sign = inside ? 1 : -1;
+        const out = normalize({ x: (q.x - p.x) * sign, y: (q.y - p.y) * sign, z: (q.z - p.z) * sign });
+        positions[index] = q.x + out.x * gap;
+        positions[index + 1] = q.y + out.y * gap;
+        positions[index + 2] = q.z + out.z * gap;
+        applyClothFriction(simulation, index, out, inside ? distance + gap : gap - distance);
+    });
+
+    if (positions[index + 2] < backZ) {
+        const depth = backZ - positions[index + 2];
+        positions[index + 2] = backZ;
+        applyClothFriction(simulation, index, { x: 0, y: 0, z: 1 }, depth);
+    }
+}
+
+// Advance the simulation by one frame. Returns true once the cloth has settled (it then stays frozen).
+function stepClothSimulation(simulation) {
+    if (simulation.settled) return true;
+
+    const { positions, previous, pairs, restLengths, spacing } = simulation;
+    const count = positions.length;
+    const frameStart = positions.slice();
+    const dt = CLOTH_TIME_STEP / CLOTH_SUBSTEPS;
+    const gravityStep = CLOTH_GRAVITY * spacing * dt * dt;
+
+    for (let step = 0; step < CLOTH_SUBSTEPS; step++) {
+        // Verlet integration with damping, gravity pulls towards the floor
+        for (let k = 0; k < count; k++) {
+            const velocity = (positions[k] - previous[k]) * CLOTH_DAMPING;
+            previous[k] = positions[k];
+            positions[k] += velocity;
+        }
+        for (let k = 2; k < count; k += 3) positions[k] -= gravityStep;
+
+        for (let iteration = 0; iteration < CLOTH_ITERATIONS; iteration++) {
+            // Distance constraints, each end moves half of the correction.
+            for (let c = 0; c < restLengths.length; c++) {
+                const a = pairs[c * 2] * 3;
+                const b = pairs[c * 2 + 1] * 3;
+                const dx = positions[b] - positions[a];
+                const dy = positions[b + 1] - positions[a + 1];
+                const dz = positions[b + 2] - positions[a + 2];
+                const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (length === 0) continue;
+
+                // Cloth resists stretching but bunches up easily, so excess fabric lies down in folds
+                const stretch = length - restLengths[c];
+                const correction = stretch / length / 2 * (stretch < 0 ? CLOTH_COMPRESSION_STIFFNESS : 1);
+                positions[a] += dx * correction;
+                positions[a + 1] += dy * correction;
+                positions[a + 2] += dz * correction;
+                positions[b] -= dx * correction;
+                positions[b + 1] -= dy * correction;
+                positions[b + 2] -= dz * correction;
+            }
+        }
+
+        for (let k = 0; k < count; k += 3) collideClothParticle(simulation, k);
+    }
+
+    // Settled once nothing moves noticeably for a few frames in a row
+    let maxMove = 0;
+    for (let k = 0; k < count; k++) maxMove = Math.max(maxMove, Math.abs(positions[k] - frameStart[k]));
+    simulation.stillFrames = maxMove < CLOTH_SETTLE_DISTANCE * spacing ? simulation.stillFrames + 1 : 0;
+    simulation.frame++;
+    simulation.settled = simulation.stillFrames >= CLOTH_SETTLE_FRAMES || simulation.frame >= CLOTH_MAX_FRAMES;
+    return simulation.settled;
+}
+
+// Current state of a cloth simulation in the same shape computeDrape returns.
+// collisionHeights is null: the cloth collides in 3D, there is no height field.
+function getClothDrape(simulation) {
+    const { spacing, backZ, gridSize, graph, positions } = simulation;
+    return addGridPointViews({
+        spacing,
+        backZ,
+        gridSize,
+        graph,
+        backNodes: graph.nodes,
+        collisionHeights: null,
+        frontNodes: nodesFromPositions(positions),
+        frames: simulation.frame
+    });
+}
+
+// What the collision passes work on for a (resolved) config, as computeDrape hands it to them:
+// the grid graph and its nodes, one collider per object and the sampling options
+function getCollisionInputs(config, raysPerPoint = RAYS_PER_POINT) {
+    const spacing = getGridSpacing(config);
+    const backZ = BACK_Z;
+    const gridSize = getGridSize(spacing);
+    const graph = getGridGraph(config.gridTopology, spacing, backZ, gridSize);
+    return {
+        spacing,
+        backZ,
+        gridSize,
+        graph,
+        nodes: graph.nodes,
+        colliders: config.objects.map(object => createCollider(object, spacing, backZ)),
+        options: { backZ, sampleRadius: spacing * 0.8, raysPerPoint }
+    };
+}
+
+// Compute the full drape for a config.
+// Returns the floor graph of the grid topology (createGridGraph) and, per node, its floor
+// position, collision height and place on the relaxed cloth. The square grid also has them
+// as [i][j] arrays (addGridPointViews).
+// options.collisionMethod picks the collision pass: 'depthMap' (default) or 'rays' (the
+// original multi-ray sampling, kept for comparison). options.raysPerPoint and
+// options.tolerance (grid cells, DRAPE_TOLERANCE by default) trade accuracy for speed (used
+// by the preview quality). The result's relaxation field reports how well the cloth settled.
+function computeDrape(inputConfig, options = {}) {
+    const config = resolveConfig(inputConfig);
+
+    // Cloth mode runs the simulation until it settles
+    if (config.drapeMode === 'cloth') {
+        const simulation = createClothSimulation(config);
+        let settled = false;
+        while (!settled) settled = stepClothSimulation(simulation);
+        return getClothDrape(simulation);
+    }
+
+    const { spacing, backZ, gridSize, graph, nodes, colliders, options: collisionOptions } =
+        getCollisionInputs(config, options.raysPerPoint || RAYS_PER_POINT);
+
+    const computeHeights = options.collisionMethod === 'rays' ? computeCollisionHeightsByRays : computeCollisionHeights;
+    const collisionHeights = computeHeights(nodes, colliders, collisionOptions);
+
+    // Only the nodes within reach of the objects relax (see Drape falloff), the rest stay on
+    // the floor. Reaches overlap between objects that are close, so the cloth tents between them.
+    const active = findDrapeRegion(graph, collisionHeights, backZ, config.drapeExtension * spacing);
+    let relaxedZ = collisionHeights;
+    const relaxation = { iterations: 0, residual: 0, converged: true };
+    if (active.length > 0) {
+        const falloff = getDrapeFalloff(config, graph, collisionHeights, spacing, backZ);
+        const solved = relaxDrape(collisionHeights, graph.neighbours, active, falloff, {
+            tolerance: (options.tolerance || DRAPE_TOLERANCE) * spacing,
+            maxSweeps: DRAPE_MAX_SWEEPS,
+            overRelaxation: getDrapeOverRelaxation(config.drapeExtension)
+        });
+        relaxedZ = solved.heights;
+        Object.assign(relaxation, { iterations: solved.iterations, residual: solved.residual / spacing, converged: solved.converged });
+    }
+
+    const frontNodes = graph.nodes.map((p, n) => ({ x: p.x, y: p.y, z: relaxedZ[n] }));
+
+    return addGridPointViews({ spacing, backZ, gridSize, graph, backNodes: graph.nodes, collisionHeights, frontNodes, relaxation });
+}
+
+// ---------------------------------------------------------------------------
+// Drape analysis
+// ---------------------------------------------------------------------------
+// Where the cloth is stretched, where it rests on the objects and how sharply it bends, for
+// the visualization's analysis overlay. Strain is per graph edge: its length on the cloth over
+// its rest length on the floor (the grid spacing on the square grid), so 1 is unstretched.
+// Contact and curvature are per node; curvature is the Laplacian curvature in 1 / grid cells,
+// the discrete Laplacian of the heights (0 on the outer edge), which is twice the mean
+// curvature only where the cloth is nearly flat.
+
+const CONTACT_TOLERANCE = 1e-3; // Nodes this close to their collision height touch it, grid cells
+
+const CONTACT_STATES = { free: 0, floor: 1, object: 2 };
+
+// { strain, contact, curvature, summary }: strain per edge (Float32Array), contact per node
+// (Uint8Array of CONTACT_STATES, null without collision heights, as in the cloth mode),
+// Laplacian curvature per node (Float32Array) and summary { min, max, mean } of the strain
+function computeDrapeAnalysis(graph, frontNodes, collisionHeights, spacing, backZ) {
+    const edgeCount = graph.edges.length / 2;
+    const strain = new Float32Array(edgeCount);
+    let min = Infinity, max = -Infinity, sum = 0;
+    for (let e = 0; e < edgeCount; e++) {
+        const a = graph.edges[e * 2];
+        const b = graph.edges[e * 2 + 1];
+        const rest = Math.hypot(graph.nodes[b].x - graph.nodes[a].x, graph.nodes[b].y - graph.nodes[a].y);
+        const p = frontNodes[a];
+        const q = frontNodes[b];
+        strain[e] = rest > 0 ? Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z) / rest : 1;
+        min = Math.min(min, strain[e]);
+        max = Math.max(max, strain[e]);
+        sum += strain[e];
+    }
+
+    let contact = null;
+    if (collisionHeights) {
+        contact = new Uint8Array(frontNodes.length);
+        frontNodes.forEach((p, n) => {
+            if (p.z - collisionHeights[n] > CONTACT_TOLERANCE * spacing) contact[n] = CONTACT_STATES.free;
+            else contact[n] = collisionHeights[n] > backZ ? CONTACT_STATES.object : CONTACT_STATES.floor;
+        });
+    }
+
+    const curvature = new Float32Array(frontNodes.length);
+    frontNodes.forEach((p, n) => {
+        const around = graph.neighbours[n];
+        if (graph.boundary[n] || around.length === 0) return;
+        let average = 0, squared = 0;
+        around.forEach(m => {
+            const q = graph.nodes[m];
+            average += frontNodes[m].z;
+            squared += ((q.x - graph.nodes[n].x) ** 2 + (q.y - graph.nodes[n].y) ** 2) / (spacing * spacing);
+        });
+        average /= around.length;
+        squared /= around.length;
+        // avg - z is about a quarter of the Laplacian times the squared edge length
+        curvature[n] = Math.abs(4 * (average - p.z) / spacing / squared);
+    });
+
+    const summary = edgeCount > 0 ? { min, max, mean: sum / edgeCount } : { min: 1, max: 1, mean: 1 };
+    return { strain, contact, curvature, summary };
+}
+
+// Split a polyline where it dips below clipZ, interpolating the crossing points
+function clipPolylineAboveZ(points, normals, clipZ) {
+    const pieces = [];
+    let current = null;
+
+    const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
+
+    for (let k = 0; k < points.length; k++) {
+        const p = points[k];
+        const inside = p.z >= clipZ;
+
+        if (k > 0) {
+            const prev = points[k - 1];
+            const prevInside = prev.z >= clipZ;
+            if (inside !== prevInside) {
+                const t = (clipZ - prev.z) / (p.z - prev.z);
+                const cut = lerp(prev, p, t);
+                const cutNormal = lerp(normals[k - 1], normals[k], t);
+                if (inside) {
+                    current = { points: [cut], normals: [cutNormal] };
+                    pieces.push(current);
+                } else {
+                    current.points.push(cut);
+                    current.normals.push(cutNormal);
+                    current = null;
+                }
+            }
+        }
+
+        if (inside) {
+            if (!current) {
+                current = { points: [], normals: [] };
+                pieces.push(current);
+            }
+            current.points.push(p);
+            current.normals.push(normals[k]);
+        }
+    }
+
+    return pieces.filter(piece => piece.points.length > 1);
+}
+
+// Gridded walls on every object, as drawn by each shape's wallLines generator, or with
+// traceDrapeLines the drape grid lines carried on over the objects (computeObjectTracedLines).
+// Returns world-space polylines, each with a surface normal per point, clipped at the floor.
+// Every line records the index of the object it belongs to.
+function computeShapeWallLines(inputConfig) {
+    const config = resolveConfig(inputConfig);
+    const spacing = getGridSpacing(config);
+    const runs = config.traceDrapeLines
+        ? getGridLineRuns(getGridGraph(config.gridTopology, spacing, BACK_Z, getGridSize(spacing)))
+        : null;
+    const lines = [];
+
+    config.objects.forEach((object, objectIndex) => {
+        const objectLines = runs ? computeObjectTracedLines(object, spacing, BACK_Z, runs) : computeObjectWallLines(object, spacing, BACK_Z);
+        objectLines.forEach(line => {
+            line.object = objectIndex;
+            lines.push(line);
+        });
+    });
+
+    return lines;
+}
+
+function computeObjectWallLines(object, spacing, backZ) {
+    const transform = getShapeTransform(object, spacing, backZ);
+
+    // Local-space lines before the shape transform is applied
+    const localLines = getShape(object.type).wallLines(object, spacing);
+
+    // Transform into world space and cut everything below the floor
+    const lines = [];
+    localLines.forEach(line => {
+        const points = line.points.map(p => {
+            const r = rotatePoint(transform.rotation, p);
+            return { x: r.x + transform.center.x, y: r.y + transform.center.y, z: r.z + transform.center.z };
+        });
+        const normals = line.normals.map(n => rotatePoint(transform.rotation, n));
+        lines.push(...clipPolylineAboveZ(points, normals, backZ + FLOOR_CLIP_OFFSET));
+    });
+
+    return lines;
+}
+
+// Straight runs of a grid graph's lines on the floor. A run goes from start to end along
+// direction and lies in the vertical plane normal · p = offset.
+function getGridLineRuns(graph) {
+    const { nodes } = graph;
+    const runs = [];
+    const addRun = (a, b) => {
+        const direction = normalize({ x: b.x - a.x, y: b.y - a.y, z: 0 });
+        const normal = { x: -direction.y, y: direction.x, z: 0 };
+        runs.push({
+            direction,
+            normal,
+            offset: normal.x * a.x + normal.y * a.y,
+            start: direction.x * a.x + direction.y * a.y,
+            end: direction.x * b.x + direction.y * b.y
+        });
+    };
+
+    graph.lines.forEach(line => {
+        let first = 0;
+        for (let k = 1; k < line.length; k++) {
+            if (k < line.length - 1) {
+                // Keep going while the next segment points the same way
+                const a = nodes[line[k - 1]], b = nodes[line[k]], c = nodes[line[k + 1]];
+                const ux = b.x - a.x, uy = b.y - a.y, vx = c.x - b.x, vy = c.y - b.y;
+                const straight = Math.abs(ux * vy - uy * vx) < 1e-9 * Math.hypot(ux, uy) * Math.hypot(vx, vy) && ux * vx + uy * vy > 0;
+                if (straight) continue;
+            }
+            addRun(nodes[line[first]], nodes[line[k]]);
+            first = k;
+        }
+    });
+
+    return runs;
+}
+
+// The drape grid lines carried on over an object: its surface cut by the vertical plane of
+// every run of the grid lines (getGridLineRuns), within the run's length. Seen from above the
+// cuts lie exactly on the drape lines, at any rotation and for any shape.
+function computeObjectTracedLines(object, spacing, backZ, runs) {
+    const transform = getShapeTransform(object, spacing, backZ);
+    const shape = getShape(object.type);
+    const triangles = transformTriangles(shape.triangles(object, spacing), transform);
+    const radius = shape.boundingRadius(object, spacing);
+    const center = transform.center;
+    const lines = [];
+
+    runs.forEach(run => {
+        // Skip runs whose plane or extent misses the object's bounding sphere
+        const across = run.normal.x * center.x + run.normal.y * center.y - run.offset;
+        const along = run.direction.x * center.x + run.direction.y * center.y;
+        if (Math.abs(across) > radius || along < run.start - radius || along > run.end + radius) return;
+
+        // Keep the part of each cut between the run's ends
+        const position = (p) => run.direction.x * p.x + run.direction.y * p.y;
+        const segments = [];
+        sliceTriangles(triangles, run.normal, run.offset).forEach(segment => {
+            const ta = position(segment.a), tb = position(segment.b);
+            if (Math.max(ta, tb) < run.start || Math.min(ta, tb) > run.end) return;
+            const clamp = (p, t) => {
+                const limit = Math.min(run.end, Math.max(run.start, t));
+                if (limit === t) return p;
+                const u = (limit - ta) / (tb - ta);
+                return { x: lerp(segment.a.x, segment.b.x, u), y: lerp(segment.a.y, segment.b.y, u), z: lerp(segment.a.z, segment.b.z, u) };
+            };
+            segments.push({ a: clamp(segment.a, ta), b: clamp(segment.b, tb), normal: segment.normal });
+        });
+
+        chainSegments(segments).forEach(line => {
+            lines.push(...clipPolylineAboveZ(line.points, line.normals, backZ + FLOOR_CLIP_OFFSET));
+        });
+    });
+
+    return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Ribbon geometry
+// ---------------------------------------------------------------------------
+// Every line is drawn as one continuous strip (a stroke) whose width and alpha wobble like a
+// pencil stroke, with mitred joins where it bends. Strokes can narrow towards their ends, run on
+// a little past them and drift sideways, like a line drawn by hand.
+// The buffers are plain typed arrays, so they can be built in a Web Worker and handed to
+// Three.js as BufferGeometry attributes.
+
+// Noise seeds per layer: one for the per-sample jitter, one for the width variation and one
+// for what varies per stroke (overshoot, wobble)
+const RIBBON_SEEDS = {
+    grid: { segment: 1000, width: 2000, stroke: 5000 },
+    wall: { segment: 3000, width: 4000, stroke: 6000 }
+};
+
+const RIBBON_SAMPLE_LENGTH = 10; // World units between width samples along a stroke
+const MITER_LIMIT = 4; // Longest mitre, in half widths; sharper bends are cut off there
+const TAPER_MIN_WIDTH = 0.15; // Width at the very end of a tapered stroke, relative to the line width
+const WOBBLE_WAVELENGTH = 6; // Grid cells per wave of the sideways drift (a second wave is 0.37 as long)
+
+// Stroke styles: defaults for the stroke settings in the config (noise amplitude and frequency,
+// alpha range, taper, overshoot and wobble) plus a fixed width factor. Amplitude 0 gives a
+// uniform line; at amplitude 1 the width varies between 0.6 and 1.3 of the line width like the
+// original pencil stroke.
+const STROKE_STYLES = {
+    graphite: { label: 'Graphite Pencil', noiseAmplitude: 1, noiseFrequency: 1, alphaMin: 0.4, alphaMax: 1, taper: 1.5, overshoot: 0.25, wobble: 0.04, widthScale: 1 },
+    pen: { label: 'Technical Pen', noiseAmplitude: 0, noiseFrequency: 1, alphaMin: 1, alphaMax: 1, taper: 0, overshoot: 0, wobble: 0, widthScale: 0.8 },
+    feltTip: { label: 'Felt-Tip', noiseAmplitude: 0.3, noiseFrequency: 0.5, alphaMin: 0.8, alphaMax: 0.95, taper: 0.5, overshoot: 0.1, wobble: 0.03, widthScale: 1.4 },
+    charcoal: { label: 'Charcoal', noiseAmplitude: 1.8, noiseFrequency: 2.5, alphaMin: 0.25, alphaMax: 0.85, taper: 3, overshoot: 0.5, wobble: 0.08, widthScale: 1.8 }
+};
+
+// Stroke settings of a config, as used by the ribbon builders. Lengths become world units.
+function getStrokeSettings(config) {
+    const style = STROKE_STYLES[config.strokeStyle] || STROKE_STYLES.graphite;
+    const spacing = getGridSpacing(config);
+    return {
+        amplitude: config.strokeNoiseAmplitude,
+        frequency: config.strokeNoiseFrequency,
+        alphaMin: config.strokeAlphaMin,
+        alphaMax: config.strokeAlphaMax,
+        seed: config.strokeSeed,
+        taper: config.strokeTaper * spacing,
+        overshoot: config.strokeOvershoot * spacing,
+        wobble: config.strokeWobble * spacing,
+        wobbleWavelength: WOBBLE_WAVELENGTH * spacing,
+        widthScale: style.widthScale
+    };
+}
+
+const DEFAULT_STROKE = getStrokeSettings(DEFAULT_CONFIG);
+
+// Deterministic random function based on position
+// This ensures the same position always gets the same "random" value
+function seededRandom(x, y, z, seed = 0) {
+    // Hash the coordinates to get a pseudo-random value
+    const hash = ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791) ^ seed) >>> 0;
+    return (hash / 4294967296.0); // Convert to 0-1 range
+}
+
+// Multi-octave noise for more natural pencil variation
+// Combine multiple frequencies to break up repetition; frequency scales all of them
+// and the seed shifts the pattern
+function pencilNoise(p, frequency = 1, seed = 0) {
+    const shift = seed * 101.7;
+    const x = (p.x + shift) * frequency;
+    const y = (p.y + shift) * frequency;
+    const z = (p.z + shift) * frequency;
+    const low = Math.sin(x * 0.05) * Math.cos(y * 0.05) * Math.sin(z * 0.05);
+    const mid = Math.sin(x * 0.15 + 17.3) * Math.cos(y * 0.15 + 23.7) * Math.sin(z * 0.15 + 31.1);
+    const high = Math.sin(x * 0.3 + 41.2) * Math.cos(y * 0.3 + 53.8) * Math.sin(z * 0.3 + 67.4);
+    return low * 0.5 + mid * 0.3 + high * 0.2;
+}
+
+function createRibbonBuilder(baseWidth, seeds, stroke) {
+    const segmentSeed = seeds.segment ^ stroke.seed;
+    const widthSeed = seeds.width ^ stroke.seed;
+    const strokeSeed = seeds.stroke ^ stroke.seed;
+    const alphaRange = stroke.alphaMax - stroke.alphaMin;
+
+    // Width and alpha at a point along a line
+    const strokeAt = (p) => {
+        const noise = Math.abs(pencilNoise(p, stroke.frequency, stroke.seed));
+        // Per-segment random variation (deterministic based on position)
+        const segmentRandom = seededRandom(p.x, p.y, p.z, segmentSeed) - 0.5;
+        const variation = 0.4 * noise + 0.4 * segmentRandom + 0.3 * seededRandom(p.x, p.y, p.z, widthSeed) - 0.4;
+        return {
+            width: baseWidth * stroke.widthScale * Math.max(0.1, 1 + stroke.amplitude * variation),
+            // noise + segmentRandom / 2 lies in [-0.25, 1.25], mapped onto the alpha range
+            alpha: stroke.alphaMin + alphaRange * (noise + 0.5 * segmentRandom + 0.25) / 1.5
+        };
+    };
+
+    const positions = [];
+    const alphas = [];
+    const indices = [];
+    let vertexIndex = 0;
+
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    const direction = (a, b) => normalize({ x: b.x - a.x, y: b.y - a.y, z: b.z - a.z });
+    // "Side" vector perpendicular to the direction of travel and the surface normal
+    const sideOf = (dir, normal) => normalize({
+        x: dir.y * normal.z - dir.z * normal.y,
+        y: dir.z * normal.x - dir.x * normal.z,
+        z: dir.x * normal.y - dir.y * normal.x
+    });
+
+    // One stroke along a polyline, lying in the planes perpendicular to its normals (one per
+    // point). Polylines that end where they start are drawn as closed loops, without ends.
+    const addStroke = (linePoints, lineNormals) => {
+        // Zero-length steps have no direction
+        const points = [];
+        const normals = [];
+        linePoints.forEach((p, k) => {
+            if (points.length > 0 && distance(points[points.length - 1], p) < 1e-6) return;
+            points.push(p);
+            normals.push(lineNormals[k]);
+        });
+        if (points.length < 2) return;
+
+        const closed = points.length > 3 && distance(points[0], points[points.length - 1]) < 1e-6;
+        const strokeRandom = (k) => seededRandom(points[0].x, points[0].y, points[0].z, strokeSeed + k);
+
+        if (!closed && stroke.overshoot > 0) {
+            // Run on past both ends along the end directions, by a different amount at each
+            const extend = (end, before, amount) => {
+                const dir = direction(before, end);
+                return { x: end.x + dir.x * amount, y: end.y + dir.y * amount, z: end.z + dir.z * amount };
+            };
+            const last = points.length - 1;
+            points[0] = extend(points[0], points[1], stroke.overshoot * (0.5 + 0.5 * strokeRandom(1)));
+            points[last] = extend(points[last], points[last - 1], stroke.overshoot * (0.5 + 0.5 * strokeRandom(2)));
+        }
+
+        // Samples every RIBBON_SAMPLE_LENGTH along the line, with the arc length s
+        const samples = [];
+        let length = 0;
+        for (let k = 0; k < points.length - 1; k++) {
+            const p1 = points[k], p2 = points[k + 1];
+            const n1 = normals[k], n2 = normals[k + 1];
+            const dist = distance(p1, p2);
+            const steps = Math.max(1, Math.ceil(dist / RIBBON_SAMPLE_LENGTH));
+            for (let step = 0; step < steps; step++) {
+                const t = step / steps;
+                samples.push({
+                    p: { x: lerp(p1.x, p2.x, t), y: lerp(p1.y, p2.y, t), z: lerp(p1.z, p2.z, t) },
+                    normal: normalize({ x: lerp(n1.x, n2.x, t), y: lerp(n1.y, n2.y, t), z: lerp(n1.z, n2.z, t) }),
+                    s: length + dist * t
+                });
+            }
+            length += dist;
+        }
+        samples.push({ p: points[points.length - 1], normal: normalize(normals[normals.length - 1]), s: length });
+
+        // The drift is a sum of two waves; loops get a whole number of each so the seam matches
+        const wavesOf = (wavelength) => closed ? Math.max(1, Math.round(length / wavelength)) : length / wavelength;
+        const waves = [wavesOf(stroke.wobbleWavelength), wavesOf(stroke.wobbleWavelength * 0.37)];
+        const phases = [strokeRandom(3) * Math.PI * 2, strokeRandom(4) * Math.PI * 2];
+        const wobbleAt = (s) => length === 0 ? 0 : stroke.wobble * (
+            0.7 * Math.sin(Math.PI * 2 * waves[0] * s / length + phases[0]) +
+            0.3 * Math.sin(Math.PI * 2 * waves[1] * s / length + phases[1])
+        );
+
+        // Narrowing towards open ends: full width once taperLength in from either end
+        const taperLength = closed ? 0 : Math.min(stroke.taper, length / 2);
+        const taperAt = (s) => {
+            if (taperLength <= 0) return 1;
+            const t = Math.min(1, Math.min(s, length - s) / taperLength);
+            return TAPER_MIN_WIDTH + (1 - TAPER_MIN_WIDTH) * t * t * (3 - 2 * t);
+        };
+
+        const last = samples.length - 1;
+        samples.forEach((sample, k) => {
+            // Neighbours along the line; a loop wraps around its seam (the last sample repeats the first)
+            const previous = k > 0 ? samples[k - 1] : (closed ? samples[last - 1] : null);
+            const next = k < last ? samples[k + 1] : (closed ? samples[1] : null);
+            const sideIn = previous ? sideOf(direction(previous.p, sample.p), sample.normal) : null;
+            const sideOut = next ? sideOf(direction(sample.p, next.p), sample.normal) : null;
+
+            // Mitre: offset along the bisector of the two sides, long enough to keep the width
+            let side = sideIn || sideOut;
+            let miter = 1;
+            if (sideIn && sideOut) {
+                const bisector = { x: sideIn.x + sideOut.x, y: sideIn.y + sideOut.y, z: sideIn.z + sideOut.z };
+                if (Math.hypot(bisector.x, bisector.y, bisector.z) > 1e-6) {
+                    side = normalize(bisector);
+                    miter = Math.min(MITER_LIMIT, 1 / Math.max(1e-6, side.x * sideIn.x + side.y * sideIn.y + side.z * sideIn.z));
+                }
+            }
+
+            const { width, alpha } = strokeAt(sample.p);
+            const half = width * taperAt(sample.s) * miter / 2;
+            const drift = wobbleAt(sample.s);
+            const center = { x: sample.p.x + side.x * drift, y: sample.p.y + side.y * drift, z: sample.p.z + side.z * drift };
+
+            positions.push(center.x + side.x * half, center.y + side.y * half, center.z + side.z * half);
+            positions.push(center.x - side.x * half, center.y - side.y * half, center.z - side.z * half);
+            alphas.push(alpha, alpha);
+
+            // Two triangles to the next sample: 0, 1, 2 and 2, 1, 3
+            if (k < last) {
+                indices.push(vertexIndex, vertexIndex + 1, vertexIndex + 2);
+                indices.push(vertexIndex + 2, vertexIndex + 1, vertexIndex + 3);
+            }
+            vertexIndex += 2;
+        });
+    };
+
+    const finish = () => ({
+        positions: Float32Array.from(positions),
+        alphas: Float32Array.from(alphas),
+        indices: Uint32Array.from(indices)
+    });
+
+    return { addStroke, finish };
+}
+
+// Unit surface normal at every node of a grid graph (nodes holds their { x, y, z }): the
+// area-weighted average over its triangles, straight up where that is degenerate
+function computeNodeNormals(graph, nodes) {
+    const sums = new Float64Array(nodes.length * 3);
+    const { faces } = graph;
+    for (let k = 0; k < faces.length; k += 3) {
+        const a = nodes[faces[k]], b = nodes[faces[k + 1]], c = nodes[faces[k + 2]];
+        const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+        const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+        const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+        for (let corner = 0; corner < 3; corner++) {
+            const index = faces[k + corner] * 3;
+            sums[index] += nx;
+            sums[index + 1] += ny;
+            sums[index + 2] += nz;
+        }
+    }
+
+    return nodes.map((p, n) => {
+        const sum = { x: sums[n * 3], y: sums[n * 3 + 1], z: sums[n * 3 + 2] };
+        return Math.hypot(sum.x, sum.y, sum.z) < 1e-9 ? { x: 0, y: 0, z: 1 } : normalize(sum);
+    });
+}
+
+// One stroke along every line of a grid graph (createGridGraph), with the nodes at the positions
+// in nodes ({ x, y, z } per node). Strokes lie flat on the surface, facing the node normals.
+function buildGridRibbons(graph, nodes, baseWidth, stroke = DEFAULT_STROKE) {
+    const builder = createRibbonBuilder(baseWidth, RIBBON_SEEDS.grid, stroke);
+    const normals = computeNodeNormals(graph, nodes);
+
+    graph.lines.forEach(line => {
+        builder.addStroke(line.map(node => nodes[node]), line.map(node => normals[node]));
+    });
+
+    return builder.finish();
+}
+
+// One stroke along each wall polyline from computeShapeWallLines
+function buildWallRibbons(wallLines, baseWidth, stroke = DEFAULT_STROKE) {
+    const builder = createRibbonBuilder(baseWidth, RIBBON_SEEDS.wall, stroke);
+
+    wallLines.forEach(line => {
+        builder.addStroke(line.points, line.normals);
+    });
+
+    return builder.finish();
+}
+
+// Quality presets for computeDrapeScene. The preview is a quick height-field drape with
+// fewer rays and a looser settling tolerance, shown while a slider is still moving.
+const DRAPE_QUALITY = {
+    preview: { raysPerPoint: 3, tolerance: 1e-2, drapeMode: 'relax' },
+    full: {}
+};
+
+// Everything the visualization draws for a config, as transferable typed arrays:
+// the cloth points, the wall lines, the ribbon buffers of each layer and, in solid mode, the object surfaces.
+// An animated cloth (clothAnimate) is simulated by the caller, so no drape is computed for it;
+// the resolved config comes back with the result to build it from.
+function computeDrapeScene(inputConfig, quality = 'full') {
+    const config = resolveConfig(inputConfig);
+    const options = DRAPE_QUALITY[quality];
+    if (options.drapeMode) config.drapeMode = options.drapeMode;
+
+    const animatedCloth = config.drapeMode === 'cloth' && config.clothAnimate;
+    const drape = animatedCloth ? null : computeDrape(config, options);
+    const wallLines = computeShapeWallLines(config);
+    const spacing = getGridSpacing(config);
+    const gridSize = getGridSize(spacing);
+    const graph = getGridGraph(config.gridTopology, spacing, BACK_Z, gridSize);
+    const stroke = getStrokeSettings(config);
+
+    let frontPositions = null;
+    if (drape) {
+        frontPositions = new Float64Array(drape.frontNodes.length * 3);
+        drape.frontNodes.forEach((p, n) => frontPositions.set([p.x, p.y, p.z], n * 3));
+    }
+
+    return {
+        config,
+        spacing,
+        backZ: BACK_Z,
+        gridSize,
+        topology: graph.topology,
+        frontPositions,
+        collisionHeights: drape ? drape.collisionHeights : null,
+        relaxation: drape && drape.relaxation ? drape.relaxation : null,
+        wallLines,
+        shapeSurfaces: config.solidMode ? computeShapeSurfaces(config) : null,
+        lineWidths: { front: config.drapeLineWidth, back: config.backGridLineWidth, walls: config.shapeLineWidth },
+        ribbons: {
+            front: drape ? buildGridRibbons(graph, drape.frontNodes, config.drapeLineWidth, stroke) : null,
+            back: config.showBackGrid ? buildGridRibbons(graph, graph.nodes, config.backGridLineWidth, stroke) : null,
+            walls: buildWallRibbons(wallLines, config.shapeLineWidth, stroke)
+        }
+    };
+}
+
+// One { x, y, z } per node from flat positions [x0, y0, z0, x1, ...] (computeDrapeScene's frontPositions)
+function nodesFromPositions(positions) {
+    const nodes = [];
+    for (let index = 0; index < positions.length; index += 3) {
+        nodes.push({ x: positions[index], y: positions[index + 1], z: positions[index + 2] });
+    }
+    return nodes;
+}
+
+// Node positions along each grid line, as polylines
+function getGridPolylines(graph, nodes) {
+    return graph.lines.map(line => line.map(node => nodes[node]));
+}
+
+// Typed array buffers of a computeDrapeScene result, for postMessage's transfer list
+function getSceneTransferables(sceneData) {
+    const buffers = [];
+    if (sceneData.frontPositions) buffers.push(sceneData.frontPositions.buffer);
+    if (sceneData.collisionHeights) buffers.push(sceneData.collisionHeights.buffer);
+    if (sceneData.shapeSurfaces) buffers.push(sceneData.shapeSurfaces.buffer);
+    Object.values(sceneData.ribbons).forEach(ribbon => {
+        if (ribbon) buffers.push(ribbon.positions.buffer, ribbon.alphas.buffer, ribbon.indices.buffer);
+    });
+    return buffers;
+}
+
+// ---------------------------------------------------------------------------
+// Hidden lines
+// ---------------------------------------------------------------------------
+// In solid mode the cloth, the objects and the floor hide the lines behind them. On screen
+// this is the depth buffer's job; for vector output the occluders are rasterised into a
+// software depth buffer from the camera, and every polyline is split into visible and hidden
+// pieces by sampling it against that buffer.
+//
+// Views are { viewMatrix, projectionMatrix, aspect } with 4x4 column-major matrices
+// (the layout of Three.js Matrix4.elements).
+
+const HIDDEN_LINE_RESOLUTION = 2048; // Depth buffer pixels along the longer side
+const HIDDEN_LINE_STEP = 2; // Pixels between visibility samples along a line
+const HIDDEN_LINE_BIAS = 1; // World units a line may lie behind the nearest surface and still count as visible
+const HIDDEN_LINE_RELATIVE_BIAS = 0.002; // Plus this fraction of its distance, for depth differences across a pixel
+
+// World-space surface triangles of every object, the ones the colliders use, in one flat list
+function computeShapeSurfaces(inputConfig) {
+    const config = resolveConfig(inputConfig);
+    const spacing = getGridSpacing(config);
+    const parts = config.objects.map(object =>
+        transformTriangles(getShape(object.type).triangles(object, spacing), getShapeTransform(object, spacing, BACK_Z)));
+
+    const surfaces = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        surfaces.set(part, offset);
+        offset += part.length;
+    });
+    return surfaces;
+}
+
+// Rectangle around the floor nodes of a grid graph, as two triangles
+function getFloorTriangles(graph) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    graph.nodes.forEach(p => {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y);
+        maxY = Math.max(maxY, p.y);
+    });
+    const z = graph.nodes[0].z;
+    return [minX, minY, z, maxX, minY, z, maxX, maxY, z, minX, minY, z, maxX, maxY, z, minX, maxY, z];
+}
+
+// Everything that hides lines, as one flat triangle list: the cloth (the graph's faces with
+// the nodes at frontNodes), the objects (computeShapeSurfaces) and the floor
+function computeOccluderTriangles(graph, frontNodes, shapeSurfaces) {
+    const triangles = [];
+    graph.faces.forEach(node => triangles.push(frontNodes[node].x, frontNodes[node].y, frontNodes[node].z));
+    triangles.push(...getFloorTriangles(graph));
+
+    const result = new Float32Array(triangles.length + shapeSurfaces.length);
+    result.set(triangles);
+    result.set(shapeSurfaces, triangles.length);
+    return result;
+}
+
+// Curvilinear (fisheye) views bend straight lines the way Araujo's curvilinear perspective
+// does: the angle between a point and the view axis maps linearly onto the screen (an
+// equidistant fisheye), with halfFov (radians) at the top and bottom edges. The point is moved
+// in view space so that the camera's ordinary perspective projection, whose vertical half angle
+// has the tangent tanHalfFov, puts it there; its distance becomes the depth. The visualization's
+// line shader does the same per vertex.
+function curvilinearViewPosition(p, halfFov, tanHalfFov) {
+    const radius = Math.hypot(p.x, p.y);
+    const distance = Math.hypot(p.x, p.y, p.z);
+    const scale = radius > 0 ? Math.atan2(radius, -p.z) / halfFov * tanHalfFov / radius * distance : 0;
+    return { x: p.x * scale, y: p.y * scale, z: -distance };
+}
+
+// Screen position (pixels, y down), clip w and view depth of a world point
+function projectToScreen(view, width, height, x, y, z) {
+    const v = view.viewMatrix;
+    const p = view.projectionMatrix;
+    let vx = v[0] * x + v[4] * y + v[8] * z + v[12];
+    let vy = v[1] * x + v[5] * y + v[9] * z + v[13];
+    let vz = v[2] * x + v[6] * y + v[10] * z + v[14];
+    if (view.curvilinear) {
+        ({ x: vx, y: vy, z: vz } = curvilinearViewPosition({ x: vx, y: vy, z: vz }, view.curvilinear.halfFov, view.curvilinear.tanHalfFov));
+    }
+    const w = p[3] * vx + p[7] * vy + p[11] * vz + p[15];
+    return {
+        x: ((p[0] * vx + p[4] * vy + p[8] * vz + p[12]) / w + 1) / 2 * width,
+        y: (1 - (p[1] * vx + p[5] * vy + p[9] * vz + p[13]) / w) / 2 * height,
+        w,
+        depth: -vz
+    };
+}
+
+// Nearest view depth per pixel. Depth is interpolated perspective-correctly (depth / w and
+// 1 / w are linear on screen), which also holds for orthographic views where w = 1.
+// Triangles reaching behind the camera are skipped.
+function createDepthBuffer(triangles, view, width, height) {
+    const depth = new Float32Array(width * height).fill(Infinity);
+
+    for (let k = 0; k < triangles.length; k += 9) {
+        const a = projectToScreen(view, width, height, triangles[k], triangles[k + 1], triangles[k + 2]);
+        const b = projectToScreen(view, width, height, triangles[k + 3], triangles[k + 4], triangles[k + 5]);
+        const c = projectToScreen(view, width, height, triangles[k + 6], triangles[k + 7], triangles[k + 8]);
+        if (a.w <= 1e-6 || b.w <= 1e-6 || c.w <= 1e-6) continue;
+
+        const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        if (Math.abs(area) < 1e-12) continue;
+
+        const minX = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+        const minY = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+
+        for (let py = minY; py <= maxY; py++) {
+            const sy = py + 0.5;
+            for (let px = minX; px <= maxX; px++) {
+                const sx = px + 0.5;
+                // Barycentric weights from the edge functions
+                const wa = ((b.x - sx) * (c.y - sy) - (b.y - sy) * (c.x - sx)) / area;
+                const wb = ((c.x - sx) * (a.y - sy) - (c.y - sy) * (a.x - sx)) / area;
+                const wc = 1 - wa - wb;
+                if (wa < 0 || wb < 0 || wc < 0) continue;
+
+                const inverseW = wa / a.w + wb / b.w + wc / c.w;
+                const z = (wa * a.depth / a.w + wb * b.depth / b.w + wc * c.depth / c.w) / inverseW;
+                const index = py * width + px;
+                if (z < depth[index]) depth[index] = z;
+            }
+        }
+    }
+
+    return { depth, width, height, view };
+}
+
+// Whether a world point is in front of the depth buffer. The farthest surface of the
+// surrounding 3x3 pixels is used, so lines on silhouettes and creases stay visible.
+function isPointVisible(buffer, point) {
+    const { width, height, depth } = buffer;
+    const p = projectToScreen(buffer.view, width, height, point.x, point.y, point.z);
+    if (p.w <= 1e-6) return true;
+
+    const px = Math.floor(p.x);
+    const py = Math.floor(p.y);
+    let surface = -Infinity;
+    for (let y = py - 1; y <= py + 1; y++) {
+        for (let x = px - 1; x <= px + 1; x++) {
+            // Outside the view nothing is known to hide the point
+            if (x < 0 || y < 0 || x >= width || y >= height) return true;
+            surface = Math.max(surface, depth[y * width + x]);
+        }
+    }
+    return p.depth <= surface + HIDDEN_LINE_BIAS + p.depth * HIDDEN_LINE_RELATIVE_BIAS;
+}
+
+// Split world-space polylines into visible and hidden pieces
+function splitPolylinesByVisibility(polylines, buffer) {
+    const visible = [];
+    const hidden = [];
+    const { width, height, view } = buffer;
+    const lerpPoint = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
+
+    polylines.forEach(polyline => {
+        if (polyline.length < 2) return;
+        let current = [polyline[0]];
+        let currentVisible = isPointVisible(buffer, polyline[0]);
+        const finishPiece = () => {
+            if (current.length > 1) (currentVisible ? visible : hidden).push(current);
+        };
+
+        for (let k = 0; k < polyline.length - 1; k++) {
+            const a = polyline[k];
+            const b = polyline[k + 1];
+            const sa = projectToScreen(view, width, height, a.x, a.y, a.z);
+            const sb = projectToScreen(view, width, height, b.x, b.y, b.z);
+            const pixels = Math.hypot(sb.x - sa.x, sb.y - sa.y);
+            const steps = Number.isFinite(pixels) ? Math.max(1, Math.min(4096, Math.ceil(pixels / HIDDEN_LINE_STEP))) : 1;
+
+            // Visibility changes are cut halfway between the two samples around them
+            for (let step = 1; step <= steps; step++) {
+                const point = step === steps ? b : lerpPoint(a, b, step / steps);
+                const pointVisible = isPointVisible(buffer, point);
+                if (pointVisible !== currentVisible) {
+                    const cut = lerpPoint(a, b, (step - 0.5) / steps);
+                    current.push(cut);
+                    finishPiece();
+                    current = [cut];
+                    currentVisible = pointVisible;
+                }
+                if (step === steps) current.push(b);
+            }
+        }
+        finishPiece();
+    });
+
+    return { visible, hidden };
+}
+
+// Visible and hidden pieces of several layers of polylines seen through one view.
+// layers maps names to world-space polylines; the result maps them to { visible, hidden }.
+function computeHiddenLines(layers, occluders, view, resolution = HIDDEN_LINE_RESOLUTION) {
+    const aspect = view.aspect || 1;
+    const width = Math.max(1, Math.round(aspect >= 1 ? resolution : resolution * aspect));
+    const height = Math.max(1, Math.round(aspect >= 1 ? resolution / aspect : resolution));
+    const buffer = createDepthBuffer(occluders, view, width, height);
+
+    const result = {};
+    Object.entries(layers).forEach(([name, polylines]) => {
+        result[name] = splitPolylinesByVisibility(polylines, buffer);
+    });
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Mesh export
+// ---------------------------------------------------------------------------
+// The scene as 3D geometry for Blender or a slicer, in world units and Z up, exactly where it
+// is drawn. Export layers are { name, color, opacity } with either polylines (lists of
+// { x, y, z }) or a triangle mesh { positions, indices } (flat Float32Array and Uint32Array,
+// like the ribbons), counter-clockwise seen from outside.
+
+const TUBE_SIDES = 8; // Corners around the cross-section of a tube
+const EXPORT_PRECISION = 1e4; // OBJ coordinates are rounded to this fraction of a world unit
+
+// The cloth as a triangle mesh over the graph's faces. With a thickness (world units) it is a
+// closed solid for printing: the drape is its underside, resting on the objects, and a copy
+// raised along the node normals its top, joined by walls along the edge of the cloth.
+function buildDrapeMesh(graph, nodes, thickness = 0) {
+    const count = nodes.length;
+    const { faces } = graph;
+    const solid = thickness > 0;
+    const positions = new Float32Array(count * (solid ? 6 : 3));
+    nodes.forEach((p, n) => positions.set([p.x, p.y, p.z], n * 3));
+    if (!solid) return { positions, indices: Uint32Array.from(faces) };
+
+    computeNodeNormals(graph, nodes).forEach((normal, n) => {
+        const p = nodes[n];
+        positions.set([p.x + normal.x * thickness, p.y + normal.y * thickness, p.z + normal.z * thickness], (count + n) * 3);
+    });
+
+    // Edges of a single face run along the edge of the cloth, kept in the face's winding
+    const edgeFaces = new Map();
+    for (let k = 0; k < faces.length; k += 3) {
+        for (let corner = 0; corner < 3; corner++) {
+            const a = faces[k + corner], b = faces[k + (corner + 1) % 3];
+            const key = Math.min(a, b) * count + Math.max(a, b);
+            edgeFaces.set(key, edgeFaces.has(key) ? null : [a, b]);
+        }
+    }
+
+    const indices = [];
+    for (let k = 0; k < faces.length; k += 3) {
+        indices.push(faces[k] + count, faces[k + 1] + count, faces[k + 2] + count);
+        indices.push(faces[k], faces[k + 2], faces[k + 1]);
+    }
+    edgeFaces.forEach(edge => {
+        if (!edge) return;
+        const [a, b] = edge;
+        indices.push(a, b, b + count, a, b + count, a + count);
+    });
+    return { positions, indices: Uint32Array.from(indices) };
+}
+
+// Tubes of the given radius along polylines, with flat caps on open ones. Each ring is turned as
+// little as possible from the one before it (parallel transport), so the tubes don't twist.
+function buildTubeMesh(polylines, radius, sides = TUBE_SIDES) {
+    const positions = [];
+    const indices = [];
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    const direction = (a, b) => normalize({ x: b.x - a.x, y: b.y - a.y, z: b.z - a.z });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+    polylines.forEach(linePoints => {
+        // Zero-length steps have no direction
+        const points = linePoints.filter((p, k) => k === 0 || distance(linePoints[k - 1], p) > 1e-6);
+        if (points.length < 2) return;
+        const closed = points.length > 3 && distance(points[0], points[points.length - 1]) < 1e-6;
+        if (closed) points.pop();
+        const count = points.length;
+
+        const tangents = points.map((p, k) => {
+            const before = closed ? points[(k + count - 1) % count] : points[Math.max(0, k - 1)];
+            const after = closed ? points[(k + 1) % count] : points[Math.min(count - 1, k + 1)];
+            return direction(before, after);
+        });
+
+        // Any direction across the first tangent to start from
+        const t0 = tangents[0];
+        let normal = normalize(Math.abs(t0.z) < 0.9 ? { x: -t0.y, y: t0.x, z: 0 } : { x: 0, y: -t0.z, z: t0.y });
+        const base = positions.length / 3;
+        tangents.forEach((t, k) => {
+            const along = dot(normal, t);
+            normal = normalize({ x: normal.x - t.x * along, y: normal.y - t.y * along, z: normal.z - t.z * along });
+            const binormal = { x: t.y * normal.z - t.z * normal.y, y: t.z * normal.x - t.x * normal.z, z: t.x * normal.y - t.y * normal.x };
+            for (let j = 0; j < sides; j++) {
+                const angle = j / sides * Math.PI * 2;
+                const cos = Math.cos(angle) * radius, sin = Math.sin(angle) * radius;
+                const p = points[k];
+                positions.push(p.x + normal.x * cos + binormal.x * sin, p.y + normal.y * cos + binormal.y * sin,
+                    p.z + normal.z * cos + binormal.z * sin);
+            }
+        });
+
+        const ringCount = closed ? count : count - 1;
+        for (let k = 0; k < ringCount; k++) {
+            const ring = base + k * sides, next = base + ((k + 1) % count) * sides;
+            for (let j = 0; j < sides; j++) {
+                const j1 = (j + 1) % sides;
+                indices.push(ring + j, ring + j1, next + j1, ring + j, next + j1, next + j);
+            }
+        }
+
+        if (!closed) {
+            [0, count - 1].forEach(k => {
+                const center = positions.length / 3;
+                positions.push(points[k].x, points[k].y, points[k].z);
+                const ring = base + k * sides;
+                for (let j = 0; j < sides; j++) {
+                    const j1 = (j + 1) % sides;
+                    if (k === 0) indices.push(center, ring + j1, ring + j);
+                    else indices.push(center, ring + j, ring + j1);
+                }
+            });
+        }
+    });
+
+    return { positions: Float32Array.from(positions), indices: Uint32Array.from(indices) };
+}
+
+// A flat triangle list ([x, y, z] per corner, as computeShapeSurfaces returns) as a mesh
+function trianglesToMesh(triangles) {
+    const indices = new Uint32Array(triangles.length / 3);
+    indices.forEach((value, k) => { indices[k] = k; });
+    return { positions: Float32Array.from(triangles), indices };
+}
+
+// Layers of the scene for writeObj and writeGlb, named and coloured like the SVG export's: the
+// floor grid (when shown), the objects' wall lines and the drape's grid lines, as polylines or,
+// with options.tubes, as tubes as wide as the lines. options.surfaces adds the cloth
+// (options.thickness thick, in world units) and the surfaces of the objects.
+// drape holds the scene as drawn: { graph, frontNodes, wallLines }.
+function buildExportLayers(inputConfig, drape, options = {}) {
+    const config = resolveConfig(inputConfig);
+    const { graph, frontNodes, wallLines } = drape;
+
+    const layers = [];
+    if (config.showBackGrid) {
+        layers.push({ name: 'Back Grid', polylines: getGridPolylines(graph, graph.nodes),
+            color: config.backGridColor, opacity: config.backGridOpacity, lineWidth: config.backGridLineWidth });
+    }
+    layers.push({ name: 'Shape', polylines: wallLines.map(line => line.points),
+        color: config.shapeColor, opacity: config.shapeOpacity, lineWidth: config.shapeLineWidth });
+    layers.push({ name: 'Drape', polylines: getGridPolylines(graph, frontNodes),
+        color: config.drapeColor, opacity: config.drapeOpacity, lineWidth: config.drapeLineWidth });
+
+    if (options.tubes) {
+        layers.forEach(layer => {
+            layer.mesh = buildTubeMesh(layer.polylines, layer.lineWidth / 2);
+            delete layer.polylines;
+        });
+    }
+    layers.forEach(layer => delete layer.lineWidth);
+
+    if (options.surfaces) {
+        layers.push({ name: 'Drape Surface', mesh: buildDrapeMesh(graph, frontNodes, options.thickness || 0),
+            color: config.drapeColor, opacity: 1 });
+        layers.push({ name: 'Shape Surface', mesh: trianglesToMesh(computeShapeSurfaces(config)),
+            color: config.shapeColor, opacity: 1 });
+    }
+    return layers;
+}
+
+// Wavefront OBJ text with one object ('o') per layer: meshes as faces, polylines as 'l' lines.
+// OBJ has no up axis; the coordinates are the scene's, Z up.
+function writeObj(layers) {
+    const round = (value) => Math.round(value * EXPORT_PRECISION) / EXPORT_PRECISION;
+    const vertex = (x, y, z) => `v ${round(x)} ${round(y)} ${round(z)}`;
+    const lines = ['# Grid Drape (world units, Z up)'];
+    let vertexCount = 0;
+
+    layers.forEach(layer => {
+        lines.push(`o ${layer.name}`);
+        if (layer.mesh) {
+            const { positions, indices } = layer.mesh;
+            for (let k = 0; k < positions.length; k += 3) lines.push(vertex(positions[k], positions[k + 1], positions[k + 2]));
+            for (let k = 0; k < indices.length; k += 3) {
+                lines.push(`f ${indices[k] + vertexCount + 1} ${indices[k + 1] + vertexCount + 1} ${indices[k + 2] + vertexCount + 1}`);
+            }
+            vertexCount += positions.length / 3;
+        } else {
+            layer.polylines.forEach(points => {
+                if (points.length < 2) return;
+                points.forEach(p => lines.push(vertex(p.x, p.y, p.z)));
+                lines.push('l ' + points.map((p, k) => vertexCount + k + 1).join(' '));
+                vertexCount += points.length;
+            });
+        }
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Binary STL of a mesh, with the facet normals worked out from the winding
+function writeStl(mesh, name = 'Grid Drape') {
+    const { positions, indices } = mesh;
+    const triangleCount = indices.length / 3;
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+    // 80-byte header, which must not start with 'solid' (the mark of an ASCII STL)
+    for (let k = 0; k < Math.min(name.length, 80); k++) view.setUint8(k, name.charCodeAt(k) & 0x7f);
+    view.setUint32(80, triangleCount, true);
+
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [0, 1, 2].map(corner => {
+            const index = indices[t * 3 + corner] * 3;
+            return { x: positions[index], y: positions[index + 1], z: positions[index + 2] };
+        });
+        const [a, b, c] = corners;
+        const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+        const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+        const normal = normalize({ x: uy * vz - uz * vy, y: uz * vx - ux * vz, z: ux * vy - uy * vx });
+
+        let offset = 84 + t * 50;
+        [normal, a, b, c].forEach(v => {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        });
+        view.setUint16(offset, 0, true);
+    }
+    return buffer;
+}
+
+// '#rrggbb' as linear RGB, the colour space of glTF's baseColorFactor
+function hexToLinearColor(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+    return [16, 8, 0].map(shift => {
+        const c = ((value >> shift) & 0xff) / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+}
+
+// Binary glTF (.glb) with one named node, mesh and material per layer: meshes as triangles,
+// polylines as line segments. glTF is Y up, so a root node turns the scene's Z up to it and
+// the coordinates stay exactly as they are in the scene.
+function writeGlb(layers) {
+    const json = {
+        asset: { version: '2.0', generator: 'Grid Drape' },
+        scene: 0,
+        scenes: [{ name: 'Grid Drape', nodes: [0] }],
+        nodes: [{ name: 'Grid Drape', matrix: [1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1], children: [] }],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+    const arrays = [];
+    let byteLength = 0;
+
+    const addAccessor = (array, accessor, target) => {
+        byteLength = Math.ceil(byteLength / 4) * 4;
+        arrays.push({ array, offset: byteLength });
+        json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+        byteLength += array.byteLength;
+        json.accessors.push(Object.assign({ bufferView: json.bufferViews.length - 1 }, accessor));
+        return json.accessors.length - 1;
+    };
+
+    layers.forEach(layer => {
+        let positions, indices, mode;
+        if (layer.mesh) {
+            ({ positions, indices } = layer.mesh);
+            mode = 4; // TRIANGLES
+        } else {
+            const flat = [];
+            const pairs = [];
+            layer.polylines.forEach(points => {
+                const start = flat.length / 3;
+                points.forEach((p, k) => {
+                    flat.push(p.x, p.y, p.z);
+                    if (k > 0) pairs.push(start + k - 1, start + k);
+                });
+            });
+            positions = Float32Array.from(flat);
+            indices = Uint32Array.from(pairs);
+            mode = 1; // LINES
+        }
+        if (indices.length === 0) return;
+
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let k = 0; k < positions.length; k++) {
+            min[k % 3] = Math.min(min[k % 3], positions[k]);
+            max[k % 3] = Math.max(max[k % 3], positions[k]);
+        }
+        const position = addAccessor(positions, { componentType: 5126, type: 'VEC3', count: positions.length / 3, min, max }, 34962);
+        const index = addAccessor(indices, { componentType: 5125, type: 'SCALAR', count: indices.length }, 34963);
+
+        json.materials.push({
+            name: layer.name,
+            pbrMetallicRoughness: { baseColorFactor: [...hexToLinearColor(layer.color), layer.opacity], metallicFactor: 0, roughnessFactor: 1 },
+            alphaMode: layer.opacity < 1 ? 'BLEND' : 'OPAQUE',
+            doubleSided: true
+        });
+        json.meshes.push({
+            name: layer.name,
+            primitives: [{ attributes: { POSITION: position }, indices: index, mode, material: json.materials.length - 1 }]
+        });
+        json.nodes.push({ name: layer.name, mesh: json.meshes.length - 1 });
+        json.nodes[0].children.push(json.nodes.length - 1);
+    });
+
+    byteLength = Math.ceil(byteLength / 4) * 4;
+    json.buffers.push({ byteLength });
+
+    // JSON chunk padded with spaces and binary chunk with zeros, both to 4 bytes
+    let text = JSON.stringify(json);
+    text += ' '.repeat((4 - text.length % 4) % 4); // Plain ASCII, one byte per character
+    const glb = new ArrayBuffer(12 + 8 + text.length + 8 + byteLength);
+    const view = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+    view.setUint32(0, 0x46546c67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, glb.byteLength, true);
+    view.setUint32(12, text.length, true);
+    view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+    for (let k = 0; k < text.length; k++) bytes[20 + k] = text.charCodeAt(k);
+    const binStart = 20 + text.length;
+    view.setUint32(binStart, byteLength, true);
+    view.setUint32(binStart + 4, 0x004e4942, true); // 'BIN'
+    arrays.forEach(({ array, offset }) => {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), binStart + 8 + offset);
+    });
+    return glb;
+}
+
+// ---------------------------------------------------------------------------
+// Timeline
+// ---------------------------------------------------------------------------
+// A keyframe snapshots every numeric config field, by path ('gridDensity', 'objects.0.rotationZ'),
+// and the camera pose: { time, easing, values: { path: number }, camera: { position, target } }.
+// Keyframes are kept sorted by time; between two of them values follow the later one's easing.
+
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2,
+    hold: t => t < 1 ? 0 : 1
+};
+
+// Fields that change the number of grid lines or a random pattern only take whole values
+const TIMELINE_WHOLE_KEYS = ['gridDensity', 'strokeSeed'];
+
+// Object fields that are an odd number of grid cells, as the GUI keeps the size
+const TIMELINE_ODD_OBJECT_KEYS = ['size'];
+
+// An interpolated value rounded to what its field can hold
+function roundTimelineValue(path, value) {
+    const parts = path.split('.');
+    if (parts[0] === 'objects' && TIMELINE_ODD_OBJECT_KEYS.includes(parts[2])) return 2 * Math.floor(value / 2) + 1;
+    return TIMELINE_WHOLE_KEYS.includes(path) ? Math.round(value) : value;
+}
+
+function getNumericConfigValues(config) {
+    const values = {};
+    Object.keys(config).forEach(key => {
+        if (typeof config[key] === 'number') values[key] = config[key];
+    });
+    config.objects.forEach((object, index) => {
+        Object.keys(object).forEach(key => {
+            if (typeof object[key] === 'number') values[`objects.${index}.${key}`] = object[key];
+        });
+    });
+    return values;
+}
+
+// Write values back onto a config. Only existing numeric fields are set, so paths of
+// objects that have since been removed are skipped.
+function setNumericConfigValues(config, values) {
+    Object.entries(values).forEach(([path, value]) => {
+        const parts = path.split('.');
+        const target = parts.length === 3 && parts[0] === 'objects' ? config.objects[parts[1]] : config;
+        const key = parts[parts.length - 1];
+        if (target && typeof target[key] === 'number') target[key] = value;
+    });
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Camera between two poses: the target moves in a straight line, the camera orbits it
+// (spherical interpolation of the view direction) while the distance changes linearly
+function interpolateCameraPose(a, b, t) {
+    if (!a || !b) return a || b || null;
+
+    const target = a.target.map((value, k) => lerp(value, b.target[k], t));
+    const offsetA = a.position.map((value, k) => value - a.target[k]);
+    const offsetB = b.position.map((value, k) => value - b.target[k]);
+    const lengthA = Math.hypot(...offsetA) || 1;
+    const lengthB = Math.hypot(...offsetB) || 1;
+    const directionA = offsetA.map(value => value / lengthA);
+    const directionB = offsetB.map(value => value / lengthB);
+    const dot = Math.max(-1, Math.min(1, directionA.reduce((sum, value, k) => sum + value * directionB[k], 0)));
+    const angle = Math.acos(dot) * t;
+
+    // Unit vector perpendicular to directionA in the plane of the arc; opposite
+    // directions have no such plane, so any perpendicular one is used
+    let perpendicular = directionB.map((value, k) => value - directionA[k] * dot);
+    if (Math.hypot(...perpendicular) < 1e-6) {
+        const [x, y, z] = directionA;
+        perpendicular = Math.abs(z) < 0.9 ? [-y, x, 0] : [0, -z, y];
+    }
+    const perpendicularLength = Math.hypot(...perpendicular);
+    const length = lerp(lengthA, lengthB, t);
+    const direction = directionA.map((value, k) =>
+        value * Math.cos(angle) + perpendicular[k] / perpendicularLength * Math.sin(angle));
+
+    return {
+        position: target.map((value, k) => value + direction[k] * length),
+        target
+    };
+}
+
+// Values and camera pose at a time in seconds, or null without keyframes.
+// Before the first and after the last keyframe the timeline holds still.
+function sampleTimeline(keyframes, time) {
+    if (keyframes.length === 0) return null;
+
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (next <= 0) {
+        const keyframe = keyframes[next === 0 ? 0 : keyframes.length - 1];
+        return { values: Object.assign({}, keyframe.values), camera: keyframe.camera };
+    }
+
+    const a = keyframes[next - 1];
+    const b = keyframes[next];
+    const t = (EASINGS[b.easing] || EASINGS.linear)((time - a.time) / (b.time - a.time));
+
+    // Fields only one keyframe knows (e.g. an object added in between) keep that value
+    const values = Object.assign({}, b.values, a.values);
+    Object.keys(values).forEach(path => {
+        if (path in a.values && path in b.values) values[path] = roundTimelineValue(path, lerp(a.values[path], b.values[path], t));
+    });
+
+    return { values, camera: interpolateCameraPose(a.camera, b.camera, t) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CONFIG,
+        BACK_Z,
+        cloneConfig,
+        migrateLegacyShapeConfig,
+        migrateLegacyConfig,
+        resolveConfig,
+        getGridSpacing,
+        getGridSize,
+        rotationMatrixFromEuler,
+        SHAPES,
+        getShape,
+        getObjectDefaults,
+        normalizeObject,
+        calculateGridAlignmentOffset,
+        ALIGNMENT_MODES,
+        FACE_LABELS,
+        QUARTER_TURNS,
+        getLatticeAngles,
+        snapLatticeAngle,
+        snapLatticeRotation,
+        computeObjectFootprint,
+        getShapeTransform,
+        parseMeshFile,
+        getMeshId,
+        GRID_TOPOLOGIES,
+        createGridGraph,
+        getGridGraph,
+        getCollisionInputs,
+        computeCollisionHeights,
+        computeCollisionHeightsByRays,
+        DRAPE_MODES,
+        DRAPE_FALLOFFS,
+        DRAPE_EXTENSION_MAX,
+        DRAPE_TOLERANCE,
+        createClothSimulation,
+        stepClothSimulation,
+        getClothDrape,
+        computeDrape,
+        computeShapeWallLines,
+        STROKE_STYLES,
+        getStrokeSettings,
+        buildGridRibbons,
+        buildWallRibbons,
+        computeDrapeScene,
+        nodesFromPositions,
+        getGridPolylines,
+        getSceneTransferables,
+        computeShapeSurfaces,
+        computeDrapeAnalysis,
+        CONTACT_TOLERANCE,
+        CONTACT_STATES,
+        computeOccluderTriangles,
+        computeHiddenLines,
+        buildDrapeMesh,
+        buildTubeMesh,
+        buildExportLayers,
+        writeObj,
+        writeStl,
+        writeGlb,
+        curvilinearViewPosition,
+        EASINGS,
+        getNumericConfigValues,
+        setNumericConfigValues,
+        interpolateCameraPose,
+        sampleTimeline
+    };
+}
@@ -0,0 +1,431 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BACK_Z,
+    DRAPE_TOLERANCE,
+    resolveConfig,
+    computeDrape,
+    computeDrapeAnalysis,
+    CONTACT_STATES,
+    computeShapeWallLines,
+    getCollisionInputs,
+    computeCollisionHeights,
+    computeCollisionHeightsByRays,
+    getGridSpacing,
+    getShapeTransform,
+    getLatticeAngles,
+    computeObjectFootprint,
+    computeShapeSurfaces,
+    computeHiddenLines,
+    parseMeshFile,
+    GRID_TOPOLOGIES,
+    buildDrapeMesh,
+    buildExportLayers,
+    writeObj,
+    writeStl,
+    writeGlb,
+    EASINGS,
+    getNumericConfigValues,
+    setNumericConfigValues,
+    interpolateCameraPose,
+    sampleTimeline
+} from './drape-core.js';
+
+// A coarse grid keeps every drape quick
+const CUBE = { gridDensity: 15, objects: [{ type: 'cube', size: 5 }] };
+
+describe('computeDrape', () => {
+    it('leaves the cloth flat on the floor without objects', () => {
+        const { frontNodes, backZ } = computeDrape({ gridDensity: 15, objects: [] });
+        expect(backZ).toBe(BACK_Z);
+        frontNodes.forEach(p => expect(p.z).toBe(backZ));
+    });
+
+    it('never drops the cloth below the collider', () => {
+        const { collisionHeights, frontNodes } = computeDrape(CUBE);
+        frontNodes.forEach((p, n) => expect(p.z).toBeGreaterThanOrEqual(collisionHeights[n] - 1e-3));
+    });
+
+    it('relaxes to the tolerance and reports the sweeps', () => {
+        ['linear', 'catenary', 'exponential'].forEach(drapeFalloff => {
+            const { relaxation } = computeDrape(Object.assign({}, CUBE, { drapeFalloff }));
+            expect(relaxation.converged).toBe(true);
+            expect(relaxation.iterations).toBeGreaterThan(0);
+            expect(relaxation.residual).toBeLessThanOrEqual(DRAPE_TOLERANCE);
+        });
+        const { relaxation } = computeDrape(CUBE, { tolerance: 1e-2 });
+        expect(relaxation.residual).toBeLessThanOrEqual(1e-2);
+        expect(relaxation.iterations).toBeLessThan(computeDrape(CUBE).relaxation.iterations);
+    });
+
+    it('lifts the cloth over the object', () => {
+        const { frontNodes, backZ, spacing } = computeDrape(CUBE);
+        const top = Math.max(...frontNodes.map(p => p.z));
+        expect(top - backZ).toBeCloseTo(5 * spacing, 0);
+    });
+});
+
+describe('parseMeshFile', () => {
+    const encode = (text) => new TextEncoder().encode(text).buffer;
+    const SQUARE = 'v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\n';
+    const TRIANGLE = [0, 0, 0, 1, 0, 0, 1, 1, 0];
+
+    // Binary STL of triangles given as 9 coordinates each, under an 80-byte header
+    const binaryStl = (header, triangles) => {
+        const buffer = new ArrayBuffer(84 + triangles.length * 50);
+        const view = new DataView(buffer);
+        [...header].forEach((char, k) => view.setUint8(k, char.charCodeAt(0)));
+        view.setUint32(80, triangles.length, true);
+        triangles.forEach((triangle, t) => {
+            triangle.forEach((value, k) => view.setFloat32(84 + t * 50 + 12 + k * 4, value, true));
+        });
+        return buffer;
+    };
+
+    it('fans OBJ polygons into triangles', () => {
+        expect(parseMeshFile('square.obj', encode(SQUARE + 'f 1 2 3 4\n'))).toEqual([...TRIANGLE, 0, 0, 0, 1, 1, 0, 0, 1, 0]);
+    });
+
+    it('reads negative OBJ indices relative to the last vertex', () => {
+        expect(parseMeshFile('square.obj', encode(SQUARE + 'f -4 -3 -2\n'))).toEqual(TRIANGLE);
+    });
+
+    it('takes the vertex from v/vt/vn face tokens', () => {
+        expect(parseMeshFile('square.obj', encode(SQUARE + 'vt 0 0\nvn 0 0 1\nf 1/1/1 2//1 3/1\n'))).toEqual(TRIANGLE);
+    });
+
+    it('rejects OBJ faces with an index out of range', () => {
+        expect(() => parseMeshFile('square.obj', encode(SQUARE + 'f 1 2 5\n'))).toThrow('missing vertex 5');
+        expect(() => parseMeshFile('square.obj', encode(SQUARE + 'f -5 1 2\n'))).toThrow('missing vertex');
+    });
+
+    it('reads ASCII STL', () => {
+        const text = 'solid part\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nvertex 1 1 0\n' +
+            'endloop\nendfacet\nendsolid part\n';
+        expect(parseMeshFile('part.stl', encode(text))).toEqual(TRIANGLE);
+    });
+
+    it('reads binary STL by its size, even with a header starting with solid', () => {
+        expect(parseMeshFile('part.stl', binaryStl('binary part', [TRIANGLE]))).toEqual(TRIANGLE);
+        expect(parseMeshFile('part.stl', binaryStl('solid part', [TRIANGLE, TRIANGLE]))).toEqual([...TRIANGLE, ...TRIANGLE]);
+    });
+
+    it('rejects empty and truncated STL files', () => {
+        expect(() => parseMeshFile('part.stl', new ArrayBuffer(0))).toThrow('No triangles found in part.stl');
+        const truncated = binaryStl('binary part', [TRIANGLE, TRIANGLE]).slice(0, 84 + 50);
+        expect(() => parseMeshFile('part.stl', truncated)).toThrow('No triangles found in part.stl');
+    });
+
+    it('rejects other formats', () => {
+        expect(() => parseMeshFile('part.ply', encode('ply'))).toThrow('Unsupported mesh format: .ply');
+    });
+});
+
+describe('computeDrapeAnalysis', () => {
+    const analyse = (config) => {
+        const drape = computeDrape(config);
+        return Object.assign({ drape }, computeDrapeAnalysis(drape.graph, drape.frontNodes, drape.collisionHeights, drape.spacing, drape.backZ));
+    };
+
+    it('finds a flat drape unstretched, uncurved and on the floor', () => {
+        const { strain, curvature, contact, summary } = analyse({ gridDensity: 15, objects: [] });
+        expect(strain.every(value => Math.abs(value - 1) < 1e-6)).toBe(true);
+        expect(curvature.every(value => value === 0)).toBe(true);
+        expect(contact.every(state => state === CONTACT_STATES.floor)).toBe(true);
+        expect(summary.min).toBeCloseTo(1, 6);
+        expect(summary.max).toBeCloseTo(1, 6);
+    });
+
+    it('tells nodes resting on the cube from those on the floor', () => {
+        const { drape, strain, curvature, contact } = analyse(CUBE);
+        const { graph, collisionHeights, backZ } = drape;
+        const nearest = (x, y) => graph.nodes.reduce((best, p, n) =>
+            Math.hypot(p.x - x, p.y - y) < Math.hypot(graph.nodes[best].x - x, graph.nodes[best].y - y) ? n : best, 0);
+
+        expect(contact[nearest(0, 0)]).toBe(CONTACT_STATES.object);
+        expect(contact[nearest(1e6, 1e6)]).toBe(CONTACT_STATES.floor);
+        expect([...contact].every((state, n) => state !== CONTACT_STATES.object || collisionHeights[n] > backZ)).toBe(true);
+        expect([...contact].every((state, n) => state !== CONTACT_STATES.floor || collisionHeights[n] === backZ)).toBe(true);
+        expect(contact.includes(CONTACT_STATES.free)).toBe(true);
+
+        // The height field only lifts nodes, so no edge is shorter than on the floor
+        expect(strain.every(value => value >= 1 - 1e-6)).toBe(true);
+        expect(curvature.some(value => value > 0)).toBe(true);
+    });
+});
+
+describe('grid topologies', () => {
+    it('give every topology finite nodes, valid edges and faces, and a drape', () => {
+        Object.keys(GRID_TOPOLOGIES).forEach(gridTopology => {
+            const { graph, frontNodes } = computeDrape(Object.assign({}, CUBE, { gridTopology }));
+            const nodeCount = graph.nodes.length;
+            const isNode = (node) => node < nodeCount;
+            expect(nodeCount).toBeGreaterThan(0);
+            expect(graph.nodes.every(p => [p.x, p.y, p.z].every(Number.isFinite))).toBe(true);
+            expect(frontNodes.every(p => Number.isFinite(p.z))).toBe(true);
+
+            expect(graph.edges.length).toBeGreaterThan(0);
+            expect(graph.edges.length % 2).toBe(0);
+            expect(graph.edges.every(isNode)).toBe(true);
+            expect(graph.edges.every((node, k) => k % 2 === 1 || node !== graph.edges[k + 1])).toBe(true);
+
+            expect(graph.faces.length % 3).toBe(0);
+            expect(graph.faces.every(isNode)).toBe(true);
+            expect(graph.neighbours.every((list, n) => list.every(other => graph.neighbours[other].includes(n)))).toBe(true);
+        });
+    });
+});
+
+describe('computeCollisionHeights', () => {
+    it('matches the heights of the ray pass', () => {
+        [
+            { gridDensity: 15, objects: [{ type: 'sphere', size: 7 }] },
+            { gridDensity: 15, objects: [{ type: 'cube', size: 7, rotationX: 30, rotationZ: 45 }] },
+            { gridDensity: 15, objects: [{ type: 'torus', size: 7, tube: 2 }, { type: 'cone', x: 6, size: 4 }] }
+        ].forEach(config => {
+            const { nodes, colliders, options } = getCollisionInputs(resolveConfig(config));
+            expect(computeCollisionHeights(nodes, colliders, options)).toEqual(computeCollisionHeightsByRays(nodes, colliders, options));
+        });
+    });
+});
+
+describe('computeShapeWallLines', () => {
+    it('cuts every wall line at the floor', () => {
+        const lines = computeShapeWallLines(CUBE);
+        expect(lines.length).toBeGreaterThan(0);
+        lines.forEach(line => {
+            expect(line.points.length).toBe(line.normals.length);
+            line.points.forEach(p => expect(p.z).toBeGreaterThanOrEqual(BACK_Z + 0.1 - 1e-6));
+        });
+    });
+});
+
+describe('traced drape lines', () => {
+    it('cut the cube in the planes of the drape lines, on its surface', () => {
+        const config = resolveConfig({ gridDensity: 15, traceDrapeLines: true, objects: [{ type: 'cube', size: 5, rotationZ: 30 }] });
+        const spacing = getGridSpacing(config);
+        const { center, rotation } = getShapeTransform(config.objects[0], spacing, BACK_Z);
+        const onGrid = (value) => Math.abs(value / spacing - Math.round(value / spacing)) < 1e-6;
+        const planes = new Set();
+
+        const lines = computeShapeWallLines(config);
+        expect(lines.length).toBeGreaterThan(0);
+        lines.forEach(line => {
+            // Every line lies in one drape line's plane: constant x or y on a grid position
+            const first = line.points[0];
+            const inX = onGrid(first.x) && line.points.every(p => Math.abs(p.x - first.x) < 1e-6);
+            const inY = onGrid(first.y) && line.points.every(p => Math.abs(p.y - first.y) < 1e-6);
+            expect(inX || inY).toBe(true);
+            planes.add(inX ? 'x' + Math.round(first.x / spacing) : 'y' + Math.round(first.y / spacing));
+
+            // In the cube's own frame (the transpose turns the rotation back) one coordinate is
+            // on a face and none beyond it
+            line.points.forEach(p => {
+                const offset = [p.x - center.x, p.y - center.y, p.z - center.z];
+                const local = [0, 1, 2].map(axis => rotation.reduce((sum, row, k) => sum + row[axis] * offset[k], 0));
+                expect(Math.max(...local.map(Math.abs))).toBeCloseTo(2.5 * spacing, 3);
+            });
+        });
+        // A 5-cell cube turned by 30° spans about 7 cells each way
+        expect(planes.size).toBeGreaterThanOrEqual(10);
+    });
+});
+
+describe('computeHiddenLines', () => {
+    it('splits a line passing behind the cube at its silhouette', () => {
+        // The cube is 200 wide (5 cells of 40) and stands on the floor; the camera looks at it
+        // from the front (-y) along +y, orthographically, z up on screen
+        const surfaces = computeShapeSurfaces(CUBE);
+        const xs = surfaces.filter((value, k) => k % 3 === 0);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        expect(maxX - minX).toBeCloseTo(200, 3);
+        const z = BACK_Z + 100;
+        const view = {
+            viewMatrix: [1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, -z, -1000, 1],
+            projectionMatrix: [1 / 400, 0, 0, 0, 0, 1 / 400, 0, 0, 0, 0, -2 / 2999, 0, 0, 0, -3001 / 2999, 1],
+            aspect: 1
+        };
+        const line = (y) => [{ x: -300, y, z }, { x: 300, y, z }];
+        const { behind, before } = computeHiddenLines({ behind: [line(150)], before: [line(-150)] }, surfaces, view);
+
+        expect(before.visible).toEqual([line(-150)]);
+        expect(before.hidden).toEqual([]);
+
+        expect(behind.visible.length).toBe(2);
+        expect(behind.hidden.length).toBe(1);
+        const [left, right] = behind.visible;
+        const [middle] = behind.hidden;
+        expect(left[0].x).toBe(-300);
+        expect(right[right.length - 1].x).toBe(300);
+        [left[left.length - 1], middle[0]].forEach(p => expect(Math.abs(p.x - minX)).toBeLessThan(2));
+        [middle[middle.length - 1], right[0]].forEach(p => expect(Math.abs(p.x - maxX)).toBeLessThan(2));
+    });
+});
+
+describe('getLatticeAngles', () => {
+    it('keeps every footprint corner on a grid point', () => {
+        const spacing = getGridSpacing(resolveConfig({}));
+        [5, 9, 13].forEach(size => {
+            const object = resolveConfig({ objects: [{ type: 'cube', size }] }).objects[0];
+            getLatticeAngles(object, spacing).forEach(rotationZ => {
+                const { outlines } = computeObjectFootprint(Object.assign({}, object, { rotationZ }), spacing, BACK_Z);
+                outlines.flat().forEach(p => {
+                    expect(p.x / spacing).toBeCloseTo(Math.round(p.x / spacing), 3);
+                    expect(p.y / spacing).toBeCloseTo(Math.round(p.y / spacing), 3);
+                });
+            });
+        });
+    });
+
+    it('fits the angles to the size', () => {
+        const anglesOf = (size) => getLatticeAngles(resolveConfig({ objects: [{ type: 'cube', size }] }).objects[0], 1)
+            .filter(angle => angle < 90).map(angle => Math.round(angle * 100) / 100);
+        expect(anglesOf(5)).toEqual([0, 36.87, 53.13]);
+        expect(anglesOf(9)).toEqual([0]);
+        expect(anglesOf(13)).toEqual([0, 22.62, 67.38]);
+    });
+});
+
+describe('mesh export', () => {
+    const drape = Object.assign(computeDrape(CUBE), { wallLines: computeShapeWallLines(CUBE) });
+    const layersOf = (tubes) => buildExportLayers(CUBE, drape, { tubes, surfaces: true, thickness: 0.2 * drape.spacing });
+
+    // Edges used once in each direction: a closed surface, wound consistently
+    const isWatertight = ({ indices }) => {
+        const edges = new Map();
+        for (let t = 0; t < indices.length; t += 3) {
+            for (let k = 0; k < 3; k++) {
+                const key = indices[t + k] + ',' + indices[t + (k + 1) % 3];
+                edges.set(key, (edges.get(key) || 0) + 1);
+            }
+        }
+        return [...edges].every(([key, count]) => count === 1 && edges.get(key.split(',').reverse().join(',')) === 1);
+    };
+
+    it('closes the drape solid and every tube', () => {
+        expect(isWatertight(buildDrapeMesh(drape.graph, drape.frontNodes, 0.2 * drape.spacing))).toBe(true);
+        expect(isWatertight(buildDrapeMesh(drape.graph, drape.frontNodes))).toBe(false);
+        layersOf(true).filter(layer => layer.name !== 'Shape Surface').forEach(layer => {
+            expect(isWatertight(layer.mesh)).toBe(true);
+        });
+    });
+
+    it('writes a binary STL with a facet per triangle', () => {
+        const mesh = buildDrapeMesh(drape.graph, drape.frontNodes, 0.2 * drape.spacing);
+        const triangleCount = mesh.indices.length / 3;
+        const view = new DataView(writeStl(mesh));
+        expect(view.byteLength).toBe(84 + 50 * triangleCount);
+        expect(view.getUint32(80, true)).toBe(triangleCount);
+        expect(String.fromCharCode(...new Uint8Array(view.buffer, 0, 5))).not.toBe('solid');
+        const normalLength = (t) => Math.hypot(...[0, 4, 8].map(k => view.getFloat32(84 + t * 50 + k, true)));
+        expect(Array.from({ length: triangleCount }, (_, t) => t).every(t => Math.abs(normalLength(t) - 1) < 1e-3)).toBe(true);
+    });
+
+    it('writes OBJ faces and lines that refer to written vertices', () => {
+        [true, false].forEach(tubes => {
+            const layers = layersOf(tubes);
+            const names = [];
+            let vertexCount = 0;
+            const valid = writeObj(layers).trim().split('\n').every(line => {
+                const [kind, ...values] = line.split(' ');
+                if (kind === 'o') names.push(values.join(' '));
+                if (kind === 'v') vertexCount++;
+                if (kind === 'v') return values.length === 3 && values.map(Number).every(Number.isFinite);
+                if (kind === 'f' || kind === 'l') {
+                    return values.length >= (kind === 'f' ? 3 : 2) &&
+                        values.map(Number).every(index => Number.isInteger(index) && index >= 1 && index <= vertexCount);
+                }
+                return kind === 'o' || kind === '#';
+            });
+            expect(valid).toBe(true);
+            expect(names).toEqual(layers.map(layer => layer.name));
+        });
+    });
+
+    it('writes a glTF binary with a node per layer', () => {
+        [true, false].forEach(tubes => {
+            const layers = layersOf(tubes);
+            const glb = writeGlb(layers);
+            const view = new DataView(glb);
+            expect(view.getUint32(0, true)).toBe(0x46546c67); // 'glTF'
+            expect(view.getUint32(4, true)).toBe(2);
+            expect(view.getUint32(8, true)).toBe(glb.byteLength);
+
+            const jsonLength = view.getUint32(12, true);
+            expect(view.getUint32(16, true)).toBe(0x4e4f534a); // 'JSON'
+            const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, jsonLength)));
+            const binStart = 20 + jsonLength;
+            const binLength = view.getUint32(binStart, true);
+            expect(view.getUint32(binStart + 4, true)).toBe(0x004e4942); // 'BIN'
+            expect(binStart + 8 + binLength).toBe(glb.byteLength);
+            expect(json.buffers[0].byteLength).toBe(binLength);
+
+            expect(json.nodes[0].children.map(node => json.nodes[node].name)).toEqual(layers.map(layer => layer.name));
+            json.meshes.forEach(({ primitives: [primitive] }) => {
+                const position = json.accessors[primitive.attributes.POSITION];
+                const index = json.accessors[primitive.indices];
+                const indexView = json.bufferViews[index.bufferView];
+                expect(json.bufferViews[position.bufferView].byteLength).toBe(position.count * 12);
+                expect(indexView.byteLength).toBe(index.count * 4);
+                expect(index.count % (primitive.mode === 4 ? 3 : 2)).toBe(0);
+                const indices = new Uint32Array(glb, binStart + 8 + indexView.byteOffset, index.count);
+                expect(indices.every(value => value < position.count)).toBe(true);
+            });
+        });
+    });
+});
+
+describe('timeline', () => {
+    const POSE_A = { position: [0, 0, 300], target: [0, 0, 0] };
+    const POSE_B = { position: [200, 0, 100], target: [100, 0, 0] };
+    const keyframes = [
+        { time: 1, easing: 'linear', values: { gridDensity: 15, drapeOpacity: 0, 'objects.0.size': 3 }, camera: POSE_A },
+        { time: 3, easing: 'easeIn', values: { gridDensity: 40, drapeOpacity: 1, 'objects.0.size': 9 }, camera: POSE_B }
+    ];
+
+    it('eases between keyframes with the later one\'s easing', () => {
+        [1.5, 2, 2.5].forEach(time => {
+            const t = (time - 1) / 2;
+            expect(sampleTimeline(keyframes, time).values.drapeOpacity).toBeCloseTo(EASINGS.easeIn(t), 9);
+        });
+        const linear = [keyframes[0], Object.assign({}, keyframes[1], { easing: 'linear' })];
+        expect(sampleTimeline(linear, 2).values.drapeOpacity).toBeCloseTo(0.5, 9);
+    });
+
+    it('holds still before the first and after the last keyframe', () => {
+        expect(sampleTimeline(keyframes, 0)).toEqual({ values: keyframes[0].values, camera: POSE_A });
+        expect(sampleTimeline(keyframes, 10)).toEqual({ values: keyframes[1].values, camera: POSE_B });
+        expect(sampleTimeline([], 1)).toBe(null);
+    });
+
+    it('keeps whole keys whole and object sizes odd', () => {
+        for (let time = 1; time <= 3; time += 0.05) {
+            const { values } = sampleTimeline(keyframes, time);
+            expect(Number.isInteger(values.gridDensity)).toBe(true);
+            expect(Number.isInteger(values['objects.0.size'])).toBe(true);
+            expect(values['objects.0.size'] % 2).toBe(1);
+            expect(values['objects.0.size']).toBeGreaterThanOrEqual(3);
+            expect(values['objects.0.size']).toBeLessThanOrEqual(9);
+        }
+    });
+
+    it('orbits the camera around a target moving in a straight line', () => {
+        expect(interpolateCameraPose(POSE_A, POSE_B, 0).position.map(v => Math.round(v))).toEqual(POSE_A.position);
+        expect(interpolateCameraPose(POSE_A, POSE_B, 1).position.map(v => Math.round(v))).toEqual(POSE_B.position);
+        const { position, target } = interpolateCameraPose(POSE_A, POSE_B, 0.5);
+        expect(target).toEqual([50, 0, 0]);
+        const distance = Math.hypot(...position.map((value, k) => value - target[k]));
+        expect(distance).toBeCloseTo((300 + Math.hypot(100, 100)) / 2, 6);
+        expect(interpolateCameraPose(null, POSE_B, 0.5)).toBe(POSE_B);
+    });
+
+    it('writes values back onto existing numeric fields only', () => {
+        const config = resolveConfig(CUBE);
+        const values = getNumericConfigValues(config);
+        expect(values['objects.0.size']).toBe(5);
+        setNumericConfigValues(config, { gridDensity: 25, 'objects.0.size': 7, 'objects.3.size': 11, gridTopology: 2 });
+        expect(config.gridDensity).toBe(25);
+        expect(config.objects[0].size).toBe(7);
+        expect(config.objects.length).toBe(1);
+        expect(config.gridTopology).toBe(resolveConfig({}).gridTopology);
+    });
+});
@@ -0,0 +1,12 @@
+// Grid Drape worker
+// Computes drape jobs off the main thread (see "Drape jobs" in grid-drape.js).
+// A job is { id, quality, config }; the reply is the computeDrapeScene result plus id and
+// quality, with its typed arrays transferred instead of copied.
+
+importScripts('drape-core.js');
+
+self.onmessage = (event) => {
+    const { id, quality, config } = event.data;
+    const result = Object.assign({ id, quality }, computeDrapeScene(config, quality));
+    self.postMessage(result, getSceneTransferables(result));
+};
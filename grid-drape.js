@@ -3,28 +3,23 @@
 
 let scene, camera, renderer, controls;
 let backGridGroup, frontGridGroup, connectionsGroup, volumeGroup;
-let colliderMesh; // Invisible mesh for raycasting
-let raycaster;
-
-// Configuration
-let config = {
-    gridDensity: 35,
-    cubeX: 0, // Centered at 0
-    cubeY: 0, // Centered at 0
-    cubeSize: 9, // Must be odd to align with grid
-    influenceRadius: 70,
-    drapeOpacity: 1.0, // Renamed from gridOpacity
-    shapeOpacity: 1.0,
-    backGridOpacity: 0.5, // New separate opacity for back grid
-    drapeLineWidth: 1.5,
-    shapeLineWidth: 1.5,
-    backGridLineWidth: 0.75,
-    shapeType: 'cube',
-    showBackGrid: true,
-    rotationX: 0,
-    rotationY: 0,
-    rotationZ: 0
-};
+
+// Configuration (defaults live in drape-core.js)
+let config = cloneConfig(DEFAULT_CONFIG);
+
+// Index into config.objects of the object edited by the Position and Rotation folders
+let selectedObjectIndex = 0;
+
+// Most recent drape result, kept so exporters can reuse it without recomputing
+let latestDrape = null;
+
+// Debug overlays (not part of the composition, so not saved in presets)
+const debugSettings = { showGpuMemory: false, showSolverStats: false, showFootprint: false, analysis: 'off' };
+let debugReadout = null;
+
+// Running cloth simulation while the animated cloth mode settles (null otherwise)
+let clothSimulation = null;
+const CLOTH_REDRAW_FRAMES = 3;
 
 // Initialize Three.js scene
 function init() {
@@ -32,15 +27,18 @@ function init() {
 
     // Scene
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xf8f9fa);
+    scene.background = new THREE.Color(config.paperColor);
 
-    // Camera
-    camera = new THREE.PerspectiveCamera(
+    // Cameras (View > Projection picks which one is used)
+    perspectiveCamera = new THREE.PerspectiveCamera(
         50,
         window.innerWidth / window.innerHeight,
         1,
         5000
     );
+    orthographicCamera = createOrthographicCamera(1, 5000);
+    orthographicCamera.aspect = perspectiveCamera.aspect;
+    camera = perspectiveCamera;
     camera.position.set(0, 0, 300); // Start at minDistance (300) and bird's eye view
     camera.lookAt(0, 0, 0);
 
@@ -51,6 +49,13 @@ function init() {
     renderer.localClippingEnabled = true; // Enable local clipping
     container.appendChild(renderer.domElement);
 
+    // Debug readout: GPU memory (Actions > Show GPU Memory), to check that buffers are not
+    // leaking, and how well the drape settled (Actions > Show Solver Stats)
+    debugReadout = document.createElement('div');
+    debugReadout.style.cssText = 'position: fixed; left: 8px; bottom: 8px; padding: 4px 8px; font: 12px monospace; ' +
+        'color: #333; background: rgba(255, 255, 255, 0.8); border-radius: 4px; display: none; white-space: pre;';
+    container.appendChild(debugReadout);
+
     // Controls
     controls = new THREE.OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
@@ -60,6 +65,12 @@ function init() {
     controls.maxDistance = 2000;
     controls.maxPolarAngle = Math.PI * 0.9;
 
+    // Dragging objects in the view; the capture phase on the container runs before OrbitControls
+    container.addEventListener('pointerdown', onViewportPointerDown, true);
+    renderer.domElement.addEventListener('pointermove', onViewportPointerMove);
+    renderer.domElement.addEventListener('pointerup', onViewportPointerUp);
+    renderer.domElement.addEventListener('pointercancel', onViewportPointerUp);
+
     // Groups for organized rendering
     backGridGroup = new THREE.Group();
     frontGridGroup = new THREE.Group();
@@ -70,9 +81,7 @@ function init() {
     scene.add(frontGridGroup);
     scene.add(connectionsGroup);
     scene.add(volumeGroup);
-
-    // Raycaster
-    raycaster = new THREE.Raycaster();
+    createSceneLayers();
 
     // Lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.9);
@@ -84,933 +93,2699 @@ function init() {
 
     // Handle window resize
     window.addEventListener('resize', onWindowResize, false);
+    window.addEventListener('keydown', onHistoryKeyDown);
+
+    // Restore the last composition (URL hash first, then autosave)
+    const restored = loadInitialState();
+    updateLayerOpacity();
+    updateLayerColors();
 
     // Initialize UI
     initializeUI();
+    if (restored) updatePointSliderRanges();
+    recordHistory('Initial State');
+
+    // Autosave camera moves and follow pasted share links
+    controls.addEventListener('change', scheduleStateSave);
+    window.addEventListener('hashchange', () => {
+        try {
+            const preset = restoreLinkedMeshes(decodePresetHash(window.location.hash));
+            if (preset) {
+                applyPreset(preset);
+                recordHistory('Open Link');
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid state in URL', error);
+        }
+    });
 
     // Initial render
-    updateVisualization();
+    startDrapeWorker();
+    requestDrape('full');
     animate();
 }
 
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+    [perspectiveCamera, orthographicCamera].forEach(view => {
+        view.aspect = window.innerWidth / window.innerHeight;
+        view.updateProjectionMatrix();
+    });
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
 function animate() {
     requestAnimationFrame(animate);
     controls.update();
-    renderer.render(scene, camera);
+    updateCameraView();
+    // Tiles of a PNG export must all show the same cloth, so the simulation waits for it
+    if (timeline.playing && !isExportingImage) stepTimelinePlayback();
+    if (clothSimulation && !clothSimulation.settled && !isExportingImage) stepClothAnimation();
+    if (!isExportingImage) renderer.render(scene, camera);
+    updateDebugReadout();
 }
 
-// Calculate grid alignment offset based on rotation
-// This ensures the cube's bottom face aligns with the grid pattern
-function calculateGridAlignmentOffset(spacing) {
-    if (config.shapeType !== 'cube') {
-        return { x: 0, y: 0, z: 0 }; // Only align cubes for now
+// Live counts from renderer.info.memory and the relaxation of the drape on screen
+function updateDebugReadout() {
+    const lines = [];
+    if (debugSettings.showGpuMemory) {
+        const { geometries, textures } = renderer.info.memory;
+        lines.push(`Geometries: ${geometries}  Textures: ${textures}  Programs: ${renderer.info.programs.length}`);
     }
+    if (debugSettings.showSolverStats) lines.push(getSolverStatsText());
 
-    const cubeSize = config.cubeSize * spacing;
-    const halfSize = cubeSize / 2;
-
-    // Define the 8 corners of the cube in local space
-    const corners = [
-        new THREE.Vector3(-halfSize, -halfSize, -halfSize),
-        new THREE.Vector3(halfSize, -halfSize, -halfSize),
-        new THREE.Vector3(-halfSize, halfSize, -halfSize),
-        new THREE.Vector3(halfSize, halfSize, -halfSize),
-        new THREE.Vector3(-halfSize, -halfSize, halfSize),
-        new THREE.Vector3(halfSize, -halfSize, halfSize),
-        new THREE.Vector3(-halfSize, halfSize, halfSize),
-        new THREE.Vector3(halfSize, halfSize, halfSize)
-    ];
-
-    // Create rotation matrix
-    const rotationMatrix = new THREE.Matrix4();
-    rotationMatrix.makeRotationFromEuler(new THREE.Euler(
-        config.rotationX * Math.PI / 180,
-        config.rotationY * Math.PI / 180,
-        config.rotationZ * Math.PI / 180,
-        'XYZ'
-    ));
-
-    // Get the 4 corners of the back face (Z = -halfSize in local space)
-    // These are the corners that should align with the grid for 90° drape folds
-    const backFaceCorners = [
-        new THREE.Vector3(-halfSize, -halfSize, -halfSize), // bottom-left
-        new THREE.Vector3(halfSize, -halfSize, -halfSize),   // bottom-right
-        new THREE.Vector3(-halfSize, halfSize, -halfSize),  // top-left
-        new THREE.Vector3(halfSize, halfSize, -halfSize)    // top-right
-    ];
-    
-    // Rotate the back face corners
-    const rotatedBackCorners = backFaceCorners.map(corner => 
-        corner.clone().applyMatrix4(rotationMatrix)
-    );
-    
-    // For alignment, we want the back face corners to align with grid points
-    // When rotation is 0, the corners are at center ± halfSize
-    // Since cubeSize is odd, halfSize = (cubeSize/2) * spacing = (odd/2) * spacing
-    // This means corners are offset by half a grid spacing from the center
-    // To align corners with grid points, we need to offset the center by half spacing
-    // when rotation is 0, or align to nearest grid point when rotated
-    
-    // For alignment, we want the back face corners to align with grid points
-    // When rotation is 0, corners are at center ± halfSize
-    // Since cubeSize is odd, halfSize = (cubeSize/2) * spacing = (odd/2) * spacing
-    // This means corners are offset by half a grid spacing from center
-    // To align: if center is at grid point, corners are at ±0.5*spacing offset
-    // Solution: offset center by 0.5*spacing so corners align with grid
-    
-    // Check if rotation is effectively 0 (all rotations < 0.1 degrees)
-    const isNoRotation = Math.abs(config.rotationX) < 0.1 && 
-                         Math.abs(config.rotationY) < 0.1 && 
-                         Math.abs(config.rotationZ) < 0.1;
-    
-    if (isNoRotation) {
-        // When no rotation: corners are at center ± halfSize
-        // halfSize = (cubeSize * spacing) / 2
-        // For odd cubeSize, halfSize = (odd/2) * spacing = (integer + 0.5) * spacing
-        // Corners at center ± (integer + 0.5) * spacing
-        // To align corners with grid: offset center by 0.5 * spacing
-        // Then corners are at: (center + 0.5*spacing) ± (integer + 0.5)*spacing
-        // = center + 0.5*spacing ± integer*spacing ± 0.5*spacing
-        // = center ± integer*spacing (which are grid points!)
-        const offsetX = spacing / 2;
-        const offsetY = spacing / 2;
-        return { x: offsetX, y: offsetY, z: 0 };
-    } else {
-        // When rotated, align the bottom-left corner to nearest grid point
-        const bottomLeftCorner = rotatedBackCorners[0];
-        const nearestGridX = Math.round(bottomLeftCorner.x / spacing) * spacing;
-        const nearestGridY = Math.round(bottomLeftCorner.y / spacing) * spacing;
-        const offsetX = nearestGridX - bottomLeftCorner.x;
-        const offsetY = nearestGridY - bottomLeftCorner.y;
-        return { x: offsetX, y: offsetY, z: 0 };
-    }
+    debugReadout.style.display = lines.length > 0 ? 'block' : 'none';
+    const text = lines.join('\n');
+    if (debugReadout.textContent !== text) debugReadout.textContent = text;
 }
 
-// Update the hidden collider mesh based on config
-function updateColliderMesh(spacing, backZ) {
-    if (colliderMesh) {
-        scene.remove(colliderMesh);
-        colliderMesh.geometry.dispose();
-        colliderMesh.material.dispose();
-    }
+// Sweeps and remaining residual of the height-field relaxation (see relaxDrape)
+function getSolverStatsText() {
+    const relaxation = latestDrape && latestDrape.relaxation;
+    if (!relaxation) return 'Relaxation: none (cloth simulation)';
+    const state = relaxation.converged ? 'settled' : 'not settled';
+    const preview = latestDrape.quality === 'preview' ? ', preview' : '';
+    return `Relaxation: ${relaxation.iterations} sweeps, residual ${relaxation.residual.toExponential(1)} cells (${state}${preview})`;
+}
 
-    // Size
-    let geometry;
-    if (config.shapeType === 'cube') {
-        // Cube size is now based on gridDivisions * spacing for all dimensions
-        const cubeWidth = config.cubeSize * spacing;
-        const cubeHeight = config.cubeSize * spacing;
-        const cubeDepth = config.cubeSize * spacing; // Use cubeSize for depth too
-        geometry = new THREE.BoxGeometry(cubeWidth, cubeHeight, cubeDepth);
-    } else {
-        const radius = config.cubeSize * spacing * 0.6;
-        geometry = new THREE.SphereGeometry(radius, 32, 32);
-    }
+// Curvilinear projection (View > Projection): every vertex is moved in view space so the
+// camera's perspective projection puts it where an equidistant fisheye would, the same
+// mapping as curvilinearViewPosition in drape-core.js. The uniforms are shared by all
+// materials; curvilinearHalfFov is 0 for the other projections. mvPosition itself is kept,
+// the clipping planes need it unbent.
+const projectionUniforms = {
+    curvilinearHalfFov: { value: 0 },
+    tanHalfFov: { value: 1 }
+};
 
-    const material = new THREE.MeshBasicMaterial({ visible: false }); // Invisible
-    colliderMesh = new THREE.Mesh(geometry, material);
-
-    // Calculate grid alignment offset
-    const alignmentOffset = calculateGridAlignmentOffset(spacing);
-
-    // Position
-    // cubeX and cubeY are now relative to center (0,0)
-    const x = config.cubeX * spacing + alignmentOffset.x;
-    const y = config.cubeY * spacing + alignmentOffset.y;
-
-    // Rotation (convert degrees to radians)
-    colliderMesh.rotation.x = config.rotationX * Math.PI / 180;
-    colliderMesh.rotation.y = config.rotationY * Math.PI / 180;
-    colliderMesh.rotation.z = config.rotationZ * Math.PI / 180;
-
-    // Position - center of cube with alignment offset
-    // Back face always stays at backZ (no Z movement from rotation)
-    const cubeDepth = config.cubeSize * spacing;
-    if (config.shapeType === 'cube') {
-        // For cube: back face is at local Z = -cubeDepth/2
-        // We want back face at world Z = backZ always
-        // So: center Z + (-cubeDepth/2) = backZ
-        // Therefore: center Z = backZ + cubeDepth/2
-        // offsetZ is always 0 now, so back face stays at backZ regardless of rotation
-        colliderMesh.position.set(x, y, backZ + cubeDepth / 2);
-    } else {
-        // For sphere, its back (lowest point) should be at backZ
-        const radius = config.cubeSize * spacing * 0.6;
-        colliderMesh.position.set(x, y, backZ + radius);
+const CURVILINEAR_PARS_VERTEX = `
+    uniform float curvilinearHalfFov;
+    uniform float tanHalfFov;
+`;
+
+const CURVILINEAR_VERTEX = `
+    if (curvilinearHalfFov > 0.0) {
+        float viewRadius = length(mvPosition.xy);
+        float viewDistance = length(mvPosition.xyz);
+        float bend = viewRadius > 0.0 ? atan(viewRadius, -mvPosition.z) / curvilinearHalfFov * tanHalfFov / viewRadius : 0.0;
+        gl_Position = projectionMatrix * vec4(vec3(mvPosition.xy * bend, -1.0) * viewDistance, 1.0);
     }
+`;
 
-    colliderMesh.updateMatrixWorld();
-    scene.add(colliderMesh);
+// ShaderMaterial.clone() copies its uniforms, so the projection ones are put back to stay shared
+function shareProjectionUniforms(material) {
+    Object.assign(material.uniforms, projectionUniforms);
+    return material;
 }
 
-// Deterministic random function based on position
-// This ensures the same position always gets the same "random" value
-function seededRandom(x, y, z, seed = 0) {
-    // Hash the coordinates to get a pseudo-random value
-    const hash = ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791) ^ seed) >>> 0;
-    return (hash / 4294967296.0); // Convert to 0-1 range
+// Built-in materials (occluders, overlays) get the curvilinear bend patched into their shader
+function addCurvilinearProjection(material) {
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, projectionUniforms);
+        shader.vertexShader = CURVILINEAR_PARS_VERTEX +
+            shader.vertexShader.replace('#include <project_vertex>', '#include <project_vertex>' + CURVILINEAR_VERTEX);
+    };
+    return material;
 }
 
 // Custom ShaderMaterial for Sketchy Lines
-// Supports vertex colors with alpha and varying thickness (via mesh)
+// Per-vertex alpha for the pencil pressure, varying thickness via the ribbon mesh.
+// Colour and opacity are uniforms, so changing them never touches the geometry.
 const SketchMaterial = new THREE.ShaderMaterial({
-    uniforms: {
+    uniforms: Object.assign({
+        color: { value: new THREE.Color(0x333333) },
         opacity: { value: 1.0 }
-    },
+    }, projectionUniforms),
     vertexShader: `
         attribute float alpha;
-        varying vec3 vColor;
         varying float vAlpha;
+        ${CURVILINEAR_PARS_VERTEX}
         #include <clipping_planes_pars_vertex>
         void main() {
-            vColor = color;
             vAlpha = alpha;
             #include <begin_vertex>
             #include <project_vertex>
+            ${CURVILINEAR_VERTEX}
             #include <clipping_planes_vertex>
         }
     `,
     fragmentShader: `
+        uniform vec3 color;
         uniform float opacity;
-        varying vec3 vColor;
         varying float vAlpha;
         #include <clipping_planes_pars_fragment>
         void main() {
             #include <clipping_planes_fragment>
-            gl_FragColor = vec4(vColor, vAlpha * opacity);
+            gl_FragColor = vec4(color, vAlpha * opacity);
         }
     `,
     transparent: true,
-    vertexColors: true,
     side: THREE.DoubleSide,
     depthWrite: false, // Fix blending noise
     clipping: false // Disable clipping support by default (enable only for shape)
 });
 
-// Helper to generate a sketchy ribbon mesh for a grid
-function createSketchyGridMesh(points, color, opacity, baseWidth, cullBelowZ = null) {
-    const group = new THREE.Group();
-
-    const vertices = [];
-    const colors = [];
-    const alphas = [];
-    const indices = [];
-    let vertexIndex = 0;
-
-    const width = points.length;
-    const height = points[0].length;
-    const BASE_COLOR = new THREE.Color(color);
-
-    // Helper to add a ribbon segment
-    // p1, p2: start and end points
-    // normal: surface normal at this segment (approximate)
-    const addRibbon = (p1, p2, normal) => {
-        // Subdivide segment for variable thickness
-        const dist = new THREE.Vector3(p1.x - p2.x, p1.y - p2.y, p1.z - p2.z).length();
-        const segments = Math.max(2, Math.ceil(dist / 10)); // Segment every ~10 units
-
-        const dir = new THREE.Vector3().subVectors(p2, p1).normalize();
-        // Calculate "side" vector perpendicular to direction and normal
-        const side = new THREE.Vector3().crossVectors(dir, normal).normalize();
-
-        for (let k = 0; k < segments; k++) {
-            const t1 = k / segments;
-            const t2 = (k + 1) / segments;
-
-            const pos1 = new THREE.Vector3().lerpVectors(p1, p2, t1);
-            const pos2 = new THREE.Vector3().lerpVectors(p1, p2, t2);
-
-            // Multi-octave noise for more natural pencil variation
-            // Combine multiple frequencies to break up repetition
-            const noise1_low = Math.sin(pos1.x * 0.05) * Math.cos(pos1.y * 0.05) * Math.sin(pos1.z * 0.05);
-            const noise1_mid = Math.sin(pos1.x * 0.15 + 17.3) * Math.cos(pos1.y * 0.15 + 23.7) * Math.sin(pos1.z * 0.15 + 31.1);
-            const noise1_high = Math.sin(pos1.x * 0.3 + 41.2) * Math.cos(pos1.y * 0.3 + 53.8) * Math.sin(pos1.z * 0.3 + 67.4);
-            const noise1 = (noise1_low * 0.5 + noise1_mid * 0.3 + noise1_high * 0.2);
-
-            const noise2_low = Math.sin(pos2.x * 0.05) * Math.cos(pos2.y * 0.05) * Math.sin(pos2.z * 0.05);
-            const noise2_mid = Math.sin(pos2.x * 0.15 + 17.3) * Math.cos(pos2.y * 0.15 + 23.7) * Math.sin(pos2.z * 0.15 + 31.1);
-            const noise2_high = Math.sin(pos2.x * 0.3 + 41.2) * Math.cos(pos2.y * 0.3 + 53.8) * Math.sin(pos2.z * 0.3 + 67.4);
-            const noise2 = (noise2_low * 0.5 + noise2_mid * 0.3 + noise2_high * 0.2);
-
-            // Add per-segment random variation (deterministic based on position)
-            const segmentRandom1 = (seededRandom(pos1.x, pos1.y, pos1.z, 1000) - 0.5) * 0.4;
-            const segmentRandom2 = (seededRandom(pos2.x, pos2.y, pos2.z, 1000) - 0.5) * 0.4;
-
-            const w1 = baseWidth * (0.6 + 0.4 * Math.abs(noise1) + segmentRandom1 + seededRandom(pos1.x, pos1.y, pos1.z, 2000) * 0.3);
-            const w2 = baseWidth * (0.6 + 0.4 * Math.abs(noise2) + segmentRandom2 + seededRandom(pos2.x, pos2.y, pos2.z, 2000) * 0.3);
-
-            const a1 = 0.5 + 0.4 * Math.abs(noise1) + segmentRandom1 * 0.5;
-            const a2 = 0.5 + 0.4 * Math.abs(noise2) + segmentRandom2 * 0.5;
-
-            // Vertices for the quad (strip)
-            // v1 --- v2
-            // |      |
-            // v3 --- v4
-
-            const v1 = pos1.clone().addScaledVector(side, w1 / 2);
-            const v3 = pos1.clone().addScaledVector(side, -w1 / 2);
-            const v2 = pos2.clone().addScaledVector(side, w2 / 2);
-            const v4 = pos2.clone().addScaledVector(side, -w2 / 2);
-
-            vertices.push(v1.x, v1.y, v1.z);
-            vertices.push(v2.x, v2.y, v2.z);
-            vertices.push(v3.x, v3.y, v3.z);
-            vertices.push(v4.x, v4.y, v4.z);
-
-            // Colors (constant for now)
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-
-            // Alphas
-            alphas.push(a1, a2, a1, a2);
-
-            // Indices (Two triangles)
-            // 0, 2, 1
-            // 1, 2, 3
-            indices.push(vertexIndex, vertexIndex + 2, vertexIndex + 1);
-            indices.push(vertexIndex + 1, vertexIndex + 2, vertexIndex + 3);
-
-            vertexIndex += 4;
-        }
-    };
+// ---------------------------------------------------------------------------
+// Scene layers
+// ---------------------------------------------------------------------------
+// Each layer (back grid, shape walls, drape) is one mesh that lives as long as the page.
+// New ribbons from drape-core.js are copied into its existing buffers; only when a drape
+// needs more room than they hold is the geometry replaced, and the old one disposed.
 
-    const isShapePoint = (p) => {
-        if (cullBelowZ === null) return true;
-        return p.z > cullBelowZ + 5;
-    };
+const LAYER_GROWTH = 1.5; // Headroom when a layer's buffers grow, so slider moves rarely reallocate
+
+let sceneLayers = null;
 
-    // Horizontal lines (i-direction)
-    for (let j = 0; j < height; j++) {
-        for (let i = 0; i < width - 1; i++) {
-            const p1 = points[i][j];
-            const p2 = points[i + 1][j];
+// With clipBelowZ, everything below that height is clipped away on the GPU
+function createSceneLayer(group, renderOrder, clipBelowZ = null) {
+    const material = shareProjectionUniforms(SketchMaterial.clone());
+    if (clipBelowZ !== null) {
+        material.clippingPlanes = [new THREE.Plane(new THREE.Vector3(0, 0, 1), -clipBelowZ)];
+        material.clipping = true;
+    }
 
-            if (isShapePoint(p1) && isShapePoint(p2)) {
-                // Calculate approximate normal
-                // For horizontal line, look at vertical neighbors to get slope
-                // Or just use Up vector (0,0,1) for simplicity if slope is small
-                // Better: use cross product of (p2-p1) and (p_up - p_down)
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    mesh.renderOrder = renderOrder;
+    mesh.frustumCulled = false; // Buffers hold stale vertices past the draw range, so their bounds are meaningless
+    mesh.visible = false;
+    group.add(mesh);
+
+    // Hidden lines in solid mode: the same ribbons drawn faintly where they are behind a surface
+    const ghostMaterial = shareProjectionUniforms(material.clone());
+    ghostMaterial.depthFunc = THREE.GreaterDepth;
+    const ghost = new THREE.Mesh(mesh.geometry, ghostMaterial);
+    ghost.renderOrder = renderOrder;
+    ghost.frustumCulled = false;
+    mesh.add(ghost);
+
+    // lineWidth is the width the current ribbons were built with (see setLayerLineWidth)
+    return { mesh, ghost, vertexCapacity: 0, indexCapacity: 0, vertexCount: 0, lineWidth: 0 };
+}
 
-                let v_up, v_down;
-                if (j < height - 1) v_up = points[i][j + 1];
-                else v_up = points[i][j]; // Boundary
+// Surfaces that only write depth, so lines behind them fail the depth test in solid mode.
+// Pushed back slightly so lines lying on them stay in front.
+const OccluderMaterial = addCurvilinearProjection(new THREE.MeshBasicMaterial({
+    colorWrite: false,
+    side: THREE.DoubleSide,
+    polygonOffset: true,
+    polygonOffsetFactor: 1,
+    polygonOffsetUnits: 1
+}));
+
+let occluderGroup;
+let sceneOccluders = null;
+
+function createSceneLayers() {
+    occluderGroup = new THREE.Group();
+    scene.add(occluderGroup);
+    sceneOccluders = {};
+    ['drape', 'shapes', 'floor'].forEach(name => {
+        const mesh = new THREE.Mesh(new THREE.BufferGeometry(), OccluderMaterial);
+        mesh.renderOrder = -1; // Depth first, before any line
+        mesh.frustumCulled = false;
+        occluderGroup.add(mesh);
+        sceneOccluders[name] = mesh;
+    });
 
-                if (j > 0) v_down = points[i][j - 1];
-                else v_down = points[i][j]; // Boundary
+    sceneLayers = {
+        backGrid: createSceneLayer(backGridGroup, 0), // Draw first (background)
+        shape: createSceneLayer(volumeGroup, 1, BACK_Z - 0.1), // Draw middle, clipped at the floor
+        drape: createSceneLayer(frontGridGroup, 2) // Draw last (on top)
+    };
+    updateLayerOpacity();
+    updateLayerColors();
+}
 
-                const vecH = new THREE.Vector3(p2.x - p1.x, p2.y - p1.y, p2.z - p1.z);
-                const vecV = new THREE.Vector3(v_up.x - v_down.x, v_up.y - v_down.y, v_up.z - v_down.z);
+// Show ribbon buffers from drape-core.js (buildGridRibbons / buildWallRibbons) in a layer;
+// lineWidth is the line width they were built with
+function setLayerRibbons(layer, ribbons, lineWidth) {
+    const vertexCount = ribbons ? ribbons.alphas.length : 0;
+    const indexCount = ribbons ? ribbons.indices.length : 0;
+    layer.mesh.visible = indexCount > 0;
+    layer.vertexCount = vertexCount;
+    layer.lineWidth = lineWidth;
+    if (indexCount === 0) return;
 
-                // Normal is cross product
-                const normal = new THREE.Vector3().crossVectors(vecH, vecV).normalize();
-                if (normal.lengthSq() < 0.1) normal.set(0, 0, 1); // Fallback
+    if (vertexCount > layer.vertexCapacity || indexCount > layer.indexCapacity) {
+        layer.vertexCapacity = Math.ceil(vertexCount * LAYER_GROWTH);
+        layer.indexCapacity = Math.ceil(indexCount * LAYER_GROWTH);
 
-                addRibbon(p1, p2, normal);
-            }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', createDynamicAttribute(new Float32Array(layer.vertexCapacity * 3), 3));
+        geometry.setAttribute('alpha', createDynamicAttribute(new Float32Array(layer.vertexCapacity), 1));
+        geometry.setIndex(createDynamicAttribute(new Uint32Array(layer.indexCapacity), 1));
+
+        layer.mesh.geometry.dispose();
+        layer.mesh.geometry = geometry;
+        layer.ghost.geometry = geometry;
+    }
+
+    const geometry = layer.mesh.geometry;
+    copyIntoAttribute(geometry.attributes.position, ribbons.positions);
+    copyIntoAttribute(geometry.attributes.alpha, ribbons.alphas);
+    copyIntoAttribute(geometry.index, ribbons.indices);
+    geometry.setDrawRange(0, indexCount);
+}
+
+// Change a layer's line width without rebuilding its ribbons. The two vertices of every ribbon
+// sample lie either side of the line, half its (noisy, tapered, mitred) width away, and that
+// width is proportional to the line width: they only move in or out around their midpoint.
+function setLayerLineWidth(layer, lineWidth) {
+    if (layer.vertexCount === 0 || lineWidth === layer.lineWidth) return;
+
+    const scale = lineWidth / layer.lineWidth;
+    const attribute = layer.mesh.geometry.attributes.position;
+    const array = attribute.array;
+    for (let k = 0; k < layer.vertexCount * 3; k += 6) {
+        for (let axis = 0; axis < 3; axis++) {
+            const a = array[k + axis], b = array[k + 3 + axis];
+            const center = (a + b) / 2, half = (a - b) / 2 * scale;
+            array[k + axis] = center + half;
+            array[k + 3 + axis] = center - half;
         }
     }
+    attribute.updateRange.offset = 0;
+    attribute.updateRange.count = layer.vertexCount * 3;
+    attribute.needsUpdate = true;
+    layer.lineWidth = lineWidth;
+}
 
-    // Vertical lines (j-direction)
-    for (let i = 0; i < width; i++) {
-        for (let j = 0; j < height - 1; j++) {
-            const p1 = points[i][j];
-            const p2 = points[i][j + 1];
+function updateLayerLineWidths() {
+    setLayerLineWidth(sceneLayers.backGrid, config.backGridLineWidth);
+    setLayerLineWidth(sceneLayers.shape, config.shapeLineWidth);
+    setLayerLineWidth(sceneLayers.drape, config.drapeLineWidth);
+}
 
-            if (isShapePoint(p1) && isShapePoint(p2)) {
-                // Calculate approximate normal
-                let v_right, v_left;
-                if (i < width - 1) v_right = points[i + 1][j];
-                else v_right = points[i][j];
+// Vertex attributes (three values per vertex) of a line overlay, copied into its buffers while
+// they are large enough, like the layers' ribbons
+function setOverlayAttributes(overlay, attributes) {
+    const names = Object.keys(attributes);
+    const geometry = overlay.geometry;
+    const fits = names.every(name => geometry.attributes[name] && geometry.attributes[name].array.length >= attributes[name].length);
+    if (!fits) {
+        const replacement = new THREE.BufferGeometry();
+        names.forEach(name => {
+            const capacity = Math.ceil(attributes[name].length / 3 * LAYER_GROWTH) * 3;
+            replacement.setAttribute(name, createDynamicAttribute(new Float32Array(capacity), 3));
+        });
+        geometry.dispose();
+        overlay.geometry = replacement;
+    }
 
-                if (i > 0) v_left = points[i - 1][j];
-                else v_left = points[i][j];
+    names.forEach(name => copyIntoAttribute(overlay.geometry.attributes[name], attributes[name]));
+    overlay.geometry.setDrawRange(0, attributes[names[0]].length / 3);
+}
 
-                const vecV = new THREE.Vector3(p2.x - p1.x, p2.y - p1.y, p2.z - p1.z);
-                const vecH = new THREE.Vector3(v_right.x - v_left.x, v_right.y - v_left.y, v_right.z - v_left.z);
+function createDynamicAttribute(array, itemSize) {
+    return new THREE.BufferAttribute(array, itemSize).setUsage(THREE.DynamicDrawUsage);
+}
 
-                // Normal is cross product (vecH x vecV)
-                const normal = new THREE.Vector3().crossVectors(vecH, vecV).normalize();
-                if (normal.lengthSq() < 0.1) normal.set(0, 0, 1);
+// Overwrite the start of an attribute and upload only that range
+function copyIntoAttribute(attribute, values) {
+    attribute.array.set(values);
+    attribute.updateRange.offset = 0;
+    attribute.updateRange.count = values.length;
+    attribute.needsUpdate = true;
+}
 
-                addRibbon(p1, p2, normal);
-            }
-        }
+// Replace an occluder's triangles, in place when the vertex count and the index are unchanged
+function setOccluderTriangles(mesh, positions, index = null) {
+    const attribute = mesh.geometry.attributes.position;
+    const sameIndex = index === null || (mesh.geometry.index !== null && mesh.geometry.index.array === index);
+    if (attribute && attribute.array.length === positions.length && sameIndex) {
+        copyIntoAttribute(attribute, positions);
+        return;
     }
 
-    if (vertices.length > 0) {
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geometry.setAttribute('alpha', new THREE.Float32BufferAttribute(alphas, 1));
-        geometry.setIndex(indices);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', createDynamicAttribute(Float32Array.from(positions), 3));
+    if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+}
 
-        // Clone material to allow independent opacity control
-        const mat = SketchMaterial.clone();
-        mat.uniforms.opacity.value = opacity;
+// Cloth occluder: the grid graph's faces, following the drape as it moves
+function updateDrapeOccluder(graph, frontNodes) {
+    const positions = new Float32Array(frontNodes.length * 3);
+    frontNodes.forEach((p, n) => positions.set([p.x, p.y, p.z], n * 3));
 
-        const mesh = new THREE.Mesh(geometry, mat);
-        group.add(mesh);
-    }
+    setOccluderTriangles(sceneOccluders.drape, positions, graph.faces);
+}
+
+// Object and floor occluders for a new drape (only computed in solid mode)
+function updateSceneOccluders(shapeSurfaces, graph) {
+    if (!shapeSurfaces) return;
+    setOccluderTriangles(sceneOccluders.shapes, shapeSurfaces);
+    setOccluderTriangles(sceneOccluders.floor, getFloorTriangles(graph));
+}
 
-    return group;
+// Opacity is a uniform, no geometry is touched. Also switches solid mode's occluders and ghost lines.
+function updateLayerOpacity() {
+    const setOpacity = (layer, opacity) => {
+        layer.mesh.material.uniforms.opacity.value = opacity;
+        layer.ghost.material.uniforms.opacity.value = opacity * config.hiddenLineOpacity;
+        layer.ghost.visible = config.solidMode && config.hiddenLineOpacity > 0;
+    };
+    setOpacity(sceneLayers.backGrid, config.backGridOpacity);
+    setOpacity(sceneLayers.shape, config.shapeOpacity);
+    setOpacity(sceneLayers.drape, config.drapeOpacity);
+    occluderGroup.visible = config.solidMode;
 }
 
-// Wrapper to replace createGrid
-function createGrid(points, color, opacity, lineWidth = 1, cullBelowZ = null) {
-    return createSketchyGridMesh(points, color, opacity, lineWidth, cullBelowZ);
+// Line and paper colours are uniforms and the scene background, no geometry is touched
+function updateLayerColors() {
+    const setColor = (layer, color) => {
+        layer.mesh.material.uniforms.color.value.set(color);
+        layer.ghost.material.uniforms.color.value.set(color);
+    };
+    setColor(sceneLayers.backGrid, config.backGridColor);
+    setColor(sceneLayers.shape, config.shapeColor);
+    setColor(sceneLayers.drape, config.drapeColor);
+    scene.background.set(config.paperColor);
 }
 
-// Draw gridded walls on the 3D shape itself (cube or sphere faces)
-function createShapeWalls(spacing, backZ) {
-    const group = new THREE.Group();
-    // Clipping plane to cut off geometry below backZ
-    // Offset slightly (0.1) to avoid z-fighting with bottom face
-    const clippingPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -backZ + 0.1);
+function onLineWidthChange() {
+    updateLayerLineWidths();
+    scheduleStateSave();
+}
 
-    // We use the same SketchMaterial but we need to clone it to apply clipping planes
-    // and specific opacity
-    const material = SketchMaterial.clone();
-    material.uniforms.opacity.value = config.shapeOpacity;
-    material.clippingPlanes = [clippingPlane];
-    material.clipping = true; // Enable clipping explicitly for shape
+function onColorChange() {
+    updateLayerColors();
+    scheduleStateSave();
+}
 
-    const vertices = [];
-    const colors = [];
-    const alphas = [];
-    const indices = [];
-    let vertexIndex = 0;
+function onOpacityChange() {
+    updateLayerOpacity();
+    scheduleStateSave();
+}
 
-    const BASE_COLOR = new THREE.Color(0x333333);
-    const baseWidth = config.shapeLineWidth; // Use specific shape line width
+// ---------------------------------------------------------------------------
+// Drape jobs
+// ---------------------------------------------------------------------------
+// The drape (collision, relaxation and ribbon vertices) is computed in drape-worker.js so
+// the page stays responsive. While a slider moves, a quick preview is drawn; the full-quality
+// drape follows once the input has been still for a moment. Only the newest config matters:
+// waiting jobs are replaced and a running full-quality job is cancelled by restarting the worker.
+
+const FULL_QUALITY_DELAY = 250; // ms without changes before the full-quality drape is computed
+
+let drapeWorker = null; // Stays null where workers are unavailable (e.g. opened from file://), jobs then run inline
+let drapeJobId = 0;
+let runningDrapeJob = null;
+let waitingDrapeJob = null;
+let appliedDrapeJobId = 0;
+let deferredDrapeResult = null; // Result that arrived during a PNG export
+let fullQualityTimer = null;
+
+function startDrapeWorker() {
+    if (typeof Worker === 'undefined') return;
+    try {
+        drapeWorker = new Worker('drape-worker.js');
+    } catch (error) {
+        console.warn('Drape worker unavailable, computing on the main thread', error);
+        drapeWorker = null;
+        return;
+    }
+    drapeWorker.onmessage = (event) => {
+        runningDrapeJob = null;
+        applyDrapeResult(event.data);
+        if (waitingDrapeJob) {
+            const job = waitingDrapeJob;
+            waitingDrapeJob = null;
+            postDrapeJob(job);
+        }
+    };
+    drapeWorker.onerror = (event) => {
+        // A worker that can't load its scripts falls back to inline jobs
+        console.warn('Drape worker failed, computing on the main thread', event.message);
+        event.preventDefault();
+        drapeWorker.terminate();
+        drapeWorker = null;
+        const job = runningDrapeJob || waitingDrapeJob;
+        runningDrapeJob = null;
+        waitingDrapeJob = null;
+        if (job) postDrapeJob(job);
+    };
+}
 
-    // Helper to add a ribbon segment
-    const addRibbon = (p1, p2, normal) => {
-        const dist = new THREE.Vector3(p1.x - p2.x, p1.y - p2.y, p1.z - p2.z).length();
-        const segments = Math.max(2, Math.ceil(dist / 10));
+function postDrapeJob(job) {
+    if (!drapeWorker) {
+        applyDrapeResult(Object.assign({ id: job.id, quality: job.quality }, computeDrapeScene(job.config, job.quality)));
+        return;
+    }
+    runningDrapeJob = job;
+    drapeWorker.postMessage(job);
+}
 
-        const dir = new THREE.Vector3().subVectors(p2, p1).normalize();
-        const side = new THREE.Vector3().crossVectors(dir, normal).normalize();
+// Queue a drape job for the current config
+function requestDrape(quality) {
+    const job = { id: ++drapeJobId, quality, config: cloneConfig(config) };
+
+    if (drapeWorker && runningDrapeJob) {
+        if (runningDrapeJob.quality === 'full') {
+            // Full-quality jobs take a while; drop the stale one and start over
+            drapeWorker.terminate();
+            runningDrapeJob = null;
+            startDrapeWorker();
+        } else {
+            // Previews are quick, let it finish and run the newest config next
+            waitingDrapeJob = job;
+            return;
+        }
+    }
+    postDrapeJob(job);
+}
 
-        for (let k = 0; k < segments; k++) {
-            const t1 = k / segments;
-            const t2 = (k + 1) / segments;
+// Update the entire visualization: preview now, full quality once the changes stop
+function updateVisualization() {
+    requestDrape('preview');
+    clearTimeout(fullQualityTimer);
+    // Objects dragged in the view get their full-quality drape on release
+    if (viewportDrag) return;
+    fullQualityTimer = setTimeout(() => requestDrape('full'), FULL_QUALITY_DELAY);
+}
 
-            const pos1 = new THREE.Vector3().lerpVectors(p1, p2, t1);
-            const pos2 = new THREE.Vector3().lerpVectors(p1, p2, t2);
+// Build the scene from a computeDrapeScene result
+function applyDrapeResult(result) {
+    // Results overtaken by a newer one are dropped
+    if (result.id < appliedDrapeJobId) return;
+    if (isExportingImage) {
+        // Every tile of a PNG export must show the same scene
+        deferredDrapeResult = result;
+        return;
+    }
+    appliedDrapeJobId = result.id;
+    showDrapeScene(result);
+}
 
-            // Multi-octave noise for shape walls
-            const noise1_low = Math.sin(pos1.x * 0.05) * Math.cos(pos1.y * 0.05) * Math.sin(pos1.z * 0.05);
-            const noise1_mid = Math.sin(pos1.x * 0.15 + 17.3) * Math.cos(pos1.y * 0.15 + 23.7) * Math.sin(pos1.z * 0.15 + 31.1);
-            const noise1_high = Math.sin(pos1.x * 0.3 + 41.2) * Math.cos(pos1.y * 0.3 + 53.8) * Math.sin(pos1.z * 0.3 + 67.4);
-            const noise1 = (noise1_low * 0.5 + noise1_mid * 0.3 + noise1_high * 0.2);
+// Draw a computeDrapeScene result
+function showDrapeScene(result) {
+    const { spacing, backZ, gridSize, wallLines, ribbons } = result;
+    const graph = getGridGraph(result.topology, spacing, backZ, gridSize);
+
+    // The ribbons were built with the line widths of the job's config; a width changed since
+    // then is applied in place
+    setLayerRibbons(sceneLayers.backGrid, ribbons.back, result.lineWidths.back);
+    setLayerRibbons(sceneLayers.shape, ribbons.walls, result.lineWidths.walls);
+    updateSceneOccluders(result.shapeSurfaces, graph);
+
+    // Without a drape in the result the cloth is animated: the simulation starts falling
+    // here and is advanced in animate()
+    let frontNodes;
+    if (result.frontPositions) {
+        clothSimulation = null;
+        frontNodes = nodesFromPositions(result.frontPositions);
+        renderFrontGrid(graph, frontNodes, ribbons.front, result.lineWidths.front);
+    } else {
+        // From the job's config: the live one may have changed while the worker was busy
+        clothSimulation = createClothSimulation(result.config);
+        frontNodes = getClothDrape(clothSimulation).frontNodes;
+        renderFrontGrid(graph, frontNodes);
+    }
 
-            const noise2_low = Math.sin(pos2.x * 0.05) * Math.cos(pos2.y * 0.05) * Math.sin(pos2.z * 0.05);
-            const noise2_mid = Math.sin(pos2.x * 0.15 + 17.3) * Math.cos(pos2.y * 0.15 + 23.7) * Math.sin(pos2.z * 0.15 + 31.1);
-            const noise2_high = Math.sin(pos2.x * 0.3 + 41.2) * Math.cos(pos2.y * 0.3 + 53.8) * Math.sin(pos2.z * 0.3 + 67.4);
-            const noise2 = (noise2_low * 0.5 + noise2_mid * 0.3 + noise2_high * 0.2);
+    latestDrape = {
+        spacing,
+        backZ,
+        graph,
+        frontNodes,
+        wallLines,
+        shapeSurfaces: result.shapeSurfaces,
+        collisionHeights: result.collisionHeights,
+        relaxation: result.relaxation,
+        quality: result.quality
+    };
+    updateLayerLineWidths();
+    updateFootprintOverlay();
+    updateAnalysisOverlay();
+    scheduleStateSave();
+}
 
-            const segmentRandom1 = (seededRandom(pos1.x, pos1.y, pos1.z, 3000) - 0.5) * 0.4;
-            const segmentRandom2 = (seededRandom(pos2.x, pos2.y, pos2.z, 3000) - 0.5) * 0.4;
+// Apply a drape result held back during a PNG export
+function applyDeferredDrapeResult() {
+    if (!deferredDrapeResult) return;
+    const result = deferredDrapeResult;
+    deferredDrapeResult = null;
+    applyDrapeResult(result);
+}
 
-            const w1 = baseWidth * (0.6 + 0.4 * Math.abs(noise1) + segmentRandom1 + seededRandom(pos1.x, pos1.y, pos1.z, 4000) * 0.3);
-            const w2 = baseWidth * (0.6 + 0.4 * Math.abs(noise2) + segmentRandom2 + seededRandom(pos2.x, pos2.y, pos2.z, 4000) * 0.3);
+// Update the drape ribbons (the cloth animation redraws them as it falls).
+// Ribbons are built here unless precomputed ones are passed in.
+function renderFrontGrid(graph, frontNodes, ribbons = null, lineWidth = config.drapeLineWidth) {
+    if (!ribbons) ribbons = buildGridRibbons(graph, frontNodes, lineWidth, getStrokeSettings(config));
+    // Render the full drape surface (including flat parts)
+    setLayerRibbons(sceneLayers.drape, ribbons, lineWidth);
+    if (config.solidMode) updateDrapeOccluder(graph, frontNodes);
+}
 
-            const a1 = 0.5 + 0.4 * Math.abs(noise1) + segmentRandom1 * 0.5;
-            const a2 = 0.5 + 0.4 * Math.abs(noise2) + segmentRandom2 * 0.5;
+// Advance the animated cloth by one frame. Rebuilding the ribbons costs more than a
+// simulation frame, so the drape is redrawn every few frames and once it has settled.
+function stepClothAnimation() {
+    const settled = stepClothSimulation(clothSimulation);
+    if (!settled && clothSimulation.frame % CLOTH_REDRAW_FRAMES !== 0) return;
 
-            const v1 = pos1.clone().addScaledVector(side, w1 / 2);
-            const v3 = pos1.clone().addScaledVector(side, -w1 / 2);
-            const v2 = pos2.clone().addScaledVector(side, w2 / 2);
-            const v4 = pos2.clone().addScaledVector(side, -w2 / 2);
+    const { graph, frontNodes } = getClothDrape(clothSimulation);
+    renderFrontGrid(graph, frontNodes);
+    latestDrape.frontNodes = frontNodes;
+    updateAnalysisOverlay();
+}
 
-            vertices.push(v1.x, v1.y, v1.z);
-            vertices.push(v2.x, v2.y, v2.z);
-            vertices.push(v3.x, v3.y, v3.z);
-            vertices.push(v4.x, v4.y, v4.z);
+// Reset camera to bird's eye view
+function resetCamera() {
+    applyCameraPreset('birdsEye');
+}
 
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
-            colors.push(BASE_COLOR.r, BASE_COLOR.g, BASE_COLOR.b);
+// ---------------------------------------------------------------------------
+// Projections, camera presets and bookmarks
+// ---------------------------------------------------------------------------
+// The view is drawn in perspective, orthographic, isometric, dimetric or curvilinear (fisheye)
+// projection. Orthographic ones use a second camera: `camera` is whichever is active and
+// OrbitControls drives it. Its visible height is the perspective camera's at the orbit target,
+// so switching keeps the framing, and zooming moves it closer just as in perspective. Isometric
+// and dimetric views look along a fixed direction with the floor's normal up on screen, so
+// they only pan and zoom. The curvilinear projection is the perspective camera with every
+// vertex bent in the shaders (see projectionUniforms). The projection and the bookmarks are
+// saved with presets and undone with the composition (see getViewState); the camera itself
+// is not part of the undo history.
+
+const ORBIT_UP = new THREE.Vector3(0, 1, 0); // OrbitControls' up, set when it was created
+const SCENE_UP = new THREE.Vector3(0, 0, 1);
+const FISHEYE_FOV_MIN = 60;
+const FISHEYE_FOV_MAX = 180;
+const CURVILINEAR_SEGMENT_LENGTH = 5; // SVG lines are bent in pieces this long (world units)
+
+// elevation: fixed viewing angle above the floor, looking from the front right
+const PROJECTIONS = {
+    perspective: { label: 'Perspective' },
+    orthographic: { label: 'Orthographic', orthographic: true },
+    isometric: { label: 'Isometric', orthographic: true, elevation: Math.atan(Math.SQRT1_2) }, // 35.26°, equal axes
+    dimetric: { label: 'Dimetric (2:1)', orthographic: true, elevation: Math.PI / 6 }, // Floor lines at 26.57°
+    curvilinear: { label: 'Curvilinear (Fisheye)', curvilinear: true }
+};
 
-            alphas.push(a1, a2, a1, a2);
+// direction: from the target towards the camera (fixed views use their own)
+const CAMERA_PRESETS = {
+    birdsEye: { label: 'Bird\'s Eye', projection: 'perspective', direction: [0, 0, 1], distance: 300 },
+    orthographicTop: { label: 'Orthographic Top', projection: 'orthographic', direction: [0, 0, 1], distance: 700 },
+    isometric: { label: 'Isometric', projection: 'isometric', distance: 800 },
+    dimetric: { label: 'Dimetric', projection: 'dimetric', distance: 800 },
+    curvilinear: { label: 'Curvilinear Bird\'s Eye', projection: 'curvilinear', direction: [0, 0, 1], distance: 300 }
+};
 
-            indices.push(vertexIndex, vertexIndex + 2, vertexIndex + 1);
-            indices.push(vertexIndex + 1, vertexIndex + 2, vertexIndex + 3);
+const viewSettings = {
+    projection: 'perspective',
+    fisheyeFov: 150, // Degrees from the top edge to the bottom edge
+    bookmarks: [], // { name, projection, fisheyeFov, position, target }
+    bookmarkName: '',
+    selectedBookmark: 0
+};
 
-            vertexIndex += 4;
-        }
+let perspectiveCamera = null;
+let orthographicCamera = null;
+
+// Orthographic camera with the perspective camera's interface: aspect and viewHeight (world
+// units from the top to the bottom edge) set its frustum in updateProjectionMatrix
+function createOrthographicCamera(near, far) {
+    const ortho = new THREE.OrthographicCamera(-1, 1, 1, -1, near, far);
+    ortho.aspect = 1;
+    ortho.viewHeight = 2;
+    ortho.updateProjectionMatrix = function () {
+        this.top = this.viewHeight / 2;
+        this.bottom = -this.top;
+        this.right = this.top * this.aspect;
+        this.left = -this.right;
+        THREE.OrthographicCamera.prototype.updateProjectionMatrix.call(this);
     };
+    return ortho;
+}
 
-    const gridDivisions = config.cubeSize;
-    const size = spacing;
+// Unit vector from the target towards the camera of a fixed-angle projection
+function getFixedViewDirection(projection) {
+    const horizontal = Math.cos(projection.elevation) * Math.SQRT1_2;
+    return new THREE.Vector3(horizontal, -horizontal, Math.sin(projection.elevation));
+}
 
-    // Calculate grid alignment offset
-    const alignmentOffset = calculateGridAlignmentOffset(spacing);
+// { halfFov, tanHalfFov } of the curvilinear projection, or null when another one is active
+function getCurvilinearView() {
+    if (!PROJECTIONS[viewSettings.projection].curvilinear) return null;
+    return {
+        halfFov: THREE.MathUtils.degToRad(viewSettings.fisheyeFov) / 2,
+        tanHalfFov: Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2)
+    };
+}
 
-    const shapeCenterX = config.cubeX * spacing + alignmentOffset.x;
-    const shapeCenterY = config.cubeY * spacing + alignmentOffset.y;
-    let shapeCenterZ;
+function updateProjectionUniforms() {
+    const curvilinear = getCurvilinearView();
+    projectionUniforms.curvilinearHalfFov.value = curvilinear ? curvilinear.halfFov : 0;
+    projectionUniforms.tanHalfFov.value = Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2);
+}
 
-    if (config.shapeType === 'cube') {
-        const cubeDepth = gridDivisions * size;
-        // Back face always stays at backZ (offsetZ is 0)
-        shapeCenterZ = backZ + cubeDepth / 2;
-    } else {
-        shapeCenterZ = backZ + gridDivisions * size * 0.6;
+// Normalized device coordinates of a world point through the active projection
+function projectToNdc(point) {
+    const view = point.clone().applyMatrix4(camera.matrixWorldInverse);
+    const curvilinear = getCurvilinearView();
+    if (curvilinear) {
+        const bent = curvilinearViewPosition(view, curvilinear.halfFov, curvilinear.tanHalfFov);
+        view.set(bent.x, bent.y, bent.z);
     }
+    return view.applyMatrix4(camera.projectionMatrix);
+}
 
-    const localX = 0;
-    const localY = 0;
-    const localZ = 0;
-
-    if (config.shapeType === 'cube') {
-        const cubeWidth = gridDivisions * size;
-        const cubeHeight = gridDivisions * size;
-        const cubeDepth = gridDivisions * size;
-        const halfWidth = cubeWidth / 2;
-        const halfHeight = cubeHeight / 2;
-        const halfDepth = cubeDepth / 2;
-        const gridLines = gridDivisions;
-
-        // Front face (Z+)
-        const frontZ = localZ + halfDepth;
-        const frontNormal = new THREE.Vector3(0, 0, 1);
-        for (let i = 0; i <= gridLines; i++) {
-            const t = i / gridLines;
-            const y = localY - halfHeight + t * cubeHeight;
-            addRibbon(new THREE.Vector3(localX - halfWidth, y, frontZ), new THREE.Vector3(localX + halfWidth, y, frontZ), frontNormal);
-            const x = localX - halfWidth + t * cubeWidth;
-            addRibbon(new THREE.Vector3(x, localY - halfHeight, frontZ), new THREE.Vector3(x, localY + halfHeight, frontZ), frontNormal);
-        }
-
-        // Back face (Z-)
-        const backFaceZ = localZ - halfDepth;
-        const backNormal = new THREE.Vector3(0, 0, -1);
-        for (let i = 0; i <= gridLines; i++) {
-            const t = i / gridLines;
-            const y = localY - halfHeight + t * cubeHeight;
-            addRibbon(new THREE.Vector3(localX - halfWidth, y, backFaceZ), new THREE.Vector3(localX + halfWidth, y, backFaceZ), backNormal);
-            const x = localX - halfWidth + t * cubeWidth;
-            addRibbon(new THREE.Vector3(x, localY - halfHeight, backFaceZ), new THREE.Vector3(x, localY + halfHeight, backFaceZ), backNormal);
-        }
+// Switch to a key of PROJECTIONS, keeping the camera where it is (fixed views turn it)
+function setProjection(name) {
+    const projection = PROJECTIONS[name];
+    viewSettings.projection = name;
+
+    const next = projection.orthographic ? orthographicCamera : perspectiveCamera;
+    if (next !== camera) {
+        next.position.copy(camera.position);
+        next.quaternion.copy(camera.quaternion);
+        camera = next;
+        controls.object = camera;
+    }
+    camera.up.copy(projection.elevation !== undefined ? SCENE_UP : ORBIT_UP);
+    controls.enableRotate = projection.elevation === undefined;
 
-        // Left face (X-)
-        const leftX = localX - halfWidth;
-        const leftNormal = new THREE.Vector3(-1, 0, 0);
-        for (let i = 0; i <= gridLines; i++) {
-            const t = i / gridLines;
-            const y = localY - halfHeight + t * cubeHeight;
-            addRibbon(new THREE.Vector3(leftX, y, localZ - halfDepth), new THREE.Vector3(leftX, y, localZ + halfDepth), leftNormal);
-            const z = localZ - halfDepth + t * cubeDepth;
-            addRibbon(new THREE.Vector3(leftX, localY - halfHeight, z), new THREE.Vector3(leftX, localY + halfHeight, z), leftNormal);
-        }
+    updateProjectionUniforms();
+    updateCameraView();
+    camera.lookAt(controls.target);
+    controls.update();
+    scheduleStateSave();
+}
 
-        // Right face (X+)
-        const rightX = localX + halfWidth;
-        const rightNormal = new THREE.Vector3(1, 0, 0);
-        for (let i = 0; i <= gridLines; i++) {
-            const t = i / gridLines;
-            const y = localY - halfHeight + t * cubeHeight;
-            addRibbon(new THREE.Vector3(rightX, y, localZ - halfDepth), new THREE.Vector3(rightX, y, localZ + halfDepth), rightNormal);
-            const z = localZ - halfDepth + t * cubeDepth;
-            addRibbon(new THREE.Vector3(rightX, localY - halfHeight, z), new THREE.Vector3(rightX, localY + halfHeight, z), rightNormal);
+// Hold the active camera to its projection after OrbitControls has moved it. Called every frame.
+function updateCameraView() {
+    const projection = PROJECTIONS[viewSettings.projection];
+    const offset = camera.position.clone().sub(controls.target);
+    let moved = false;
+
+    // OrbitControls zooms orthographic cameras; turn that into distance so zoom stays 1
+    if (camera.isOrthographicCamera && camera.zoom !== 1) {
+        offset.divideScalar(camera.zoom);
+        offset.setLength(THREE.MathUtils.clamp(offset.length(), controls.minDistance, controls.maxDistance));
+        camera.zoom = 1;
+        moved = true;
+    }
+    if (projection.elevation !== undefined) {
+        const direction = getFixedViewDirection(projection);
+        if (offset.clone().normalize().distanceTo(direction) > 1e-6) {
+            offset.copy(direction).multiplyScalar(offset.length());
+            moved = true;
         }
+    }
+    if (moved) {
+        camera.position.copy(controls.target).add(offset);
+        camera.lookAt(controls.target);
+    }
 
-        // Bottom face (Y-)
-        const bottomY = localY - halfHeight;
-        const bottomNormal = new THREE.Vector3(0, -1, 0);
-        for (let i = 0; i <= gridLines; i++) {
-            const t = i / gridLines;
-            const x = localX - halfWidth + t * cubeWidth;
-            addRibbon(new THREE.Vector3(x, bottomY, localZ - halfDepth), new THREE.Vector3(x, bottomY, localZ + halfDepth), bottomNormal);
-            const z = localZ - halfDepth + t * cubeDepth;
-            addRibbon(new THREE.Vector3(localX - halfWidth, bottomY, z), new THREE.Vector3(localX + halfWidth, bottomY, z), bottomNormal);
+    if (camera.isOrthographicCamera) {
+        const viewHeight = 2 * offset.length() * Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2);
+        if (Math.abs(viewHeight - camera.viewHeight) > 1e-9 || moved) {
+            camera.viewHeight = viewHeight;
+            camera.updateProjectionMatrix();
         }
+    }
+}
 
+// Switch to one of CAMERA_PRESETS, looking at the origin
+function applyCameraPreset(name) {
+    const preset = CAMERA_PRESETS[name];
+    setProjection(preset.projection);
+    const direction = preset.direction
+        ? new THREE.Vector3().fromArray(preset.direction)
+        : getFixedViewDirection(PROJECTIONS[preset.projection]);
+    controls.target.set(0, 0, 0);
+    camera.position.copy(direction).multiplyScalar(preset.distance);
+    camera.lookAt(controls.target);
+    controls.update();
+    updateCameraView();
+    refreshGuiDisplays(window.gui && window.gui.__folders['View']);
+}
 
+// Store the current view under the name in the View folder (replacing one of the same name)
+function saveBookmark() {
+    const name = viewSettings.bookmarkName.trim() || `View ${viewSettings.bookmarks.length + 1}`;
+    const round = (value) => Math.round(value * 100) / 100;
+    const bookmark = {
+        name,
+        projection: viewSettings.projection,
+        fisheyeFov: viewSettings.fisheyeFov,
+        position: camera.position.toArray().map(round),
+        target: controls.target.toArray().map(round)
+    };
 
-        // Top face (Y+)
-        const topY = localY + halfHeight;
-        const topNormal = new THREE.Vector3(0, 1, 0);
-        for (let i = 0; i <= gridLines; i++) {
-            const t = i / gridLines;
-            const x = localX - halfWidth + t * cubeWidth;
-            addRibbon(new THREE.Vector3(x, topY, localZ - halfDepth), new THREE.Vector3(x, topY, localZ + halfDepth), topNormal);
-            const z = localZ - halfDepth + t * cubeDepth;
-            addRibbon(new THREE.Vector3(localX - halfWidth, topY, z), new THREE.Vector3(localX + halfWidth, topY, z), topNormal);
-        }
+    const existing = viewSettings.bookmarks.findIndex(other => other.name === name);
+    if (existing >= 0) {
+        viewSettings.bookmarks[existing] = bookmark;
+        viewSettings.selectedBookmark = existing;
     } else {
-        // Sphere
-        const radius = gridDivisions * size * 0.6;
-        shapeCenterZ = backZ + radius;
-        const latLines = gridDivisions;
-        const lonLines = gridDivisions * 1.5;
-
-        // Helper to get radial normal
-        const getRadialNormal = (p) => {
-            return new THREE.Vector3(p.x - localX, p.y - localY, p.z - localZ).normalize();
-        };
+        viewSettings.bookmarks.push(bookmark);
+        viewSettings.selectedBookmark = viewSettings.bookmarks.length - 1;
+    }
+    viewSettings.bookmarkName = '';
+    rebuildViewFolder();
+    scheduleStateSave();
+}
 
-        // Latitude lines
-        for (let lat = 0; lat <= latLines; lat++) {
-            const theta = (lat * Math.PI) / latLines;
-            const sinTheta = Math.sin(theta);
-            const cosTheta = Math.cos(theta);
-
-            for (let lon = 0; lon < lonLines; lon++) {
-                const phi1 = (lon * 2 * Math.PI) / lonLines;
-                const phi2 = ((lon + 1) * 2 * Math.PI) / lonLines;
-
-                const p1 = new THREE.Vector3(
-                    localX + radius * sinTheta * Math.cos(phi1),
-                    localY + radius * cosTheta,
-                    localZ + radius * sinTheta * Math.sin(phi1)
-                );
-                const p2 = new THREE.Vector3(
-                    localX + radius * sinTheta * Math.cos(phi2),
-                    localY + radius * cosTheta,
-                    localZ + radius * sinTheta * Math.sin(phi2)
-                );
-
-                // Use average normal for the segment
-                const mid = new THREE.Vector3().lerpVectors(p1, p2, 0.5);
-                addRibbon(p1, p2, getRadialNormal(mid));
-            }
-        }
+function recallBookmark(index) {
+    const bookmark = viewSettings.bookmarks[index];
+    if (!bookmark) return;
+    viewSettings.selectedBookmark = index;
+    viewSettings.fisheyeFov = bookmark.fisheyeFov;
+    camera.position.fromArray(bookmark.position);
+    controls.target.fromArray(bookmark.target);
+    setProjection(bookmark.projection);
+    refreshGuiDisplays(window.gui && window.gui.__folders['View']);
+}
 
-        // Longitude lines
-        for (let lon = 0; lon < lonLines; lon++) {
-            const phi = (lon * 2 * Math.PI) / lonLines;
-
-            for (let lat = 0; lat < latLines; lat++) {
-                const theta1 = (lat * Math.PI) / latLines;
-                const theta2 = ((lat + 1) * Math.PI) / latLines;
-
-                const p1 = new THREE.Vector3(
-                    localX + radius * Math.sin(theta1) * Math.cos(phi),
-                    localY + radius * Math.cos(theta1),
-                    localZ + radius * Math.sin(theta1) * Math.sin(phi)
-                );
-                const p2 = new THREE.Vector3(
-                    localX + radius * Math.sin(theta2) * Math.cos(phi),
-                    localY + radius * Math.cos(theta2),
-                    localZ + radius * Math.sin(theta2) * Math.sin(phi)
-                );
-
-                const mid = new THREE.Vector3().lerpVectors(p1, p2, 0.5);
-                addRibbon(p1, p2, getRadialNormal(mid));
-            }
-        }
-    }
+function deleteBookmark(index) {
+    viewSettings.bookmarks.splice(index, 1);
+    viewSettings.selectedBookmark = Math.max(0, Math.min(index, viewSettings.bookmarks.length - 1));
+    rebuildViewFolder();
+    scheduleStateSave();
+}
 
-    if (vertices.length > 0) {
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geometry.setAttribute('alpha', new THREE.Float32BufferAttribute(alphas, 1));
-        geometry.setIndex(indices);
+// Projection and fisheye angle of a preset or bookmark, falling back to the defaults
+function sanitizeProjection(values) {
+    return {
+        projection: Object.prototype.hasOwnProperty.call(PROJECTIONS, values.projection) ? values.projection : 'perspective',
+        fisheyeFov: Number.isFinite(values.fisheyeFov)
+            ? THREE.MathUtils.clamp(values.fisheyeFov, FISHEYE_FOV_MIN, FISHEYE_FOV_MAX)
+            : 150
+    };
+}
+
+// Replace the projection and bookmarks with a preset's (presets without them reset to perspective)
+function restoreView(values) {
+    values = values || {};
+    const isPoint = (point) => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite);
+    const { projection, fisheyeFov } = sanitizeProjection(values);
+    viewSettings.fisheyeFov = fisheyeFov;
+    viewSettings.bookmarks = (Array.isArray(values.bookmarks) ? values.bookmarks : [])
+        .filter(bookmark => bookmark && typeof bookmark.name === 'string' && isPoint(bookmark.position) && isPoint(bookmark.target))
+        .map(bookmark => Object.assign({ name: bookmark.name }, sanitizeProjection(bookmark), {
+            position: bookmark.position,
+            target: bookmark.target
+        }));
+    viewSettings.selectedBookmark = 0;
+    setProjection(projection);
+    rebuildViewFolder();
+}
 
-        const mesh = new THREE.Mesh(geometry, material);
+function rebuildViewFolder() {
+    if (!window.gui) return;
+    const folder = window.gui.__folders['View'];
+    folder.__controllers.slice().forEach(controller => folder.remove(controller));
 
-        mesh.position.set(shapeCenterX, shapeCenterY, shapeCenterZ);
-        mesh.rotation.x = config.rotationX * Math.PI / 180;
-        mesh.rotation.y = config.rotationY * Math.PI / 180;
-        mesh.rotation.z = config.rotationZ * Math.PI / 180;
+    const projectionOptions = {};
+    Object.entries(PROJECTIONS).forEach(([key, projection]) => {
+        projectionOptions[projection.label] = key;
+    });
+    folder.add(viewSettings, 'projection', projectionOptions).name('Projection').onChange(setProjection);
+    folder.add(viewSettings, 'fisheyeFov', FISHEYE_FOV_MIN, FISHEYE_FOV_MAX, 5).name('Fisheye FOV (°)').onChange(() => {
+        updateProjectionUniforms();
+        scheduleStateSave();
+    });
+    Object.entries(CAMERA_PRESETS).forEach(([name, preset]) => {
+        folder.add({ apply: () => applyCameraPreset(name) }, 'apply').name(preset.label);
+    });
 
-        group.add(mesh);
+    folder.add(viewSettings, 'bookmarkName').name('Bookmark Name');
+    folder.add({ saveBookmark }, 'saveBookmark').name('Save Bookmark');
+    if (viewSettings.bookmarks.length > 0) {
+        const options = {};
+        viewSettings.bookmarks.forEach((bookmark, index) => {
+            options[`${index + 1}: ${bookmark.name}`] = String(index);
+        });
+        folder.add({ selected: String(viewSettings.selectedBookmark) }, 'selected', options).name('Bookmark').onChange(value => {
+            recallBookmark(parseInt(value, 10));
+        });
+        folder.add({ recall: () => recallBookmark(viewSettings.selectedBookmark) }, 'recall').name('Go to Bookmark');
+        folder.add({ remove: () => deleteBookmark(viewSettings.selectedBookmark) }, 'remove').name('Delete Bookmark');
     }
+    trackFolderHistory(folder);
+}
 
-    return group;
+// ---------------------------------------------------------------------------
+// Viewport manipulation
+// ---------------------------------------------------------------------------
+// Objects can be picked in the view: dragging one moves it across the floor, snapping to
+// grid cells, and Shift-dragging turns it with an arcball (the object's bounding sphere seen
+// from the camera). OrbitControls is paused for the drag. The changes go straight into config
+// and the GUI, with preview drapes while the pointer moves and the full drape on release.
+
+const ARCBALL_SEGMENTS = 64;
+const ROTATION_PRECISION = 10; // Rotations set by the arcball are rounded to 0.1°
+
+let viewportDrag = null; // { mode: 'move' | 'rotate', pointerId, changed, ... } while dragging
+let arcballRing = null;
+const viewportRaycaster = new THREE.Raycaster();
+
+// Point the raycaster through the pointer position
+function setRaycasterFromEvent(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    viewportRaycaster.setFromCamera(pointer, camera);
+
+    // Curvilinear views: the distance from the centre is the angle from the view axis
+    const curvilinear = getCurvilinearView();
+    if (curvilinear) {
+        const offset = new THREE.Vector2(pointer.x * camera.aspect, pointer.y);
+        const angle = offset.length() * curvilinear.halfFov;
+        if (offset.length() > 0) offset.normalize().multiplyScalar(Math.sin(angle));
+        viewportRaycaster.ray.direction.set(offset.x, offset.y, -Math.cos(angle)).transformDirection(camera.matrixWorld);
+    }
 }
 
-// Update the entire visualization
-function updateVisualization() {
-    // Clear existing geometry
-    backGridGroup.clear();
-    frontGridGroup.clear();
-    connectionsGroup.clear();
-    volumeGroup.clear();
-
-    const spacing = 600 / config.gridDensity;
-    const backZ = -200;
-
-    // Viewport coverage configuration
-    const VIEWPORT_SIZE = 1500; // Grid coverage area
-
-    // Calculate grid size (number of lines - 1) to cover the viewport
-    // We need gridSize to be EVEN so that gridSize+1 (number of lines) is ODD
-    // This ensures proper centering at (0,0) with a center line
-    let gridSize = Math.ceil(VIEWPORT_SIZE / spacing);
-    if (gridSize % 2 === 1) gridSize++; // Make it even so we get odd number of lines
-
-    // Update the invisible collider mesh
-    updateColliderMesh(spacing, backZ);
-
-    // Create back grid points
-    // We map indices [0, gridSize] to world coordinates centered at 0
-    const backPoints = [];
-    const halfGridSize = gridSize / 2;
-
-    for (let i = 0; i <= gridSize; i++) {
-        backPoints[i] = [];
-        for (let j = 0; j <= gridSize; j++) {
-            // Calculate actual world coordinates
-            // i goes from 0 to gridSize. 
-            // Center (0,0) corresponds to i = halfGridSize
-            const x = (i - halfGridSize) * spacing;
-            const y = (j - halfGridSize) * spacing;
-            backPoints[i][j] = { x, y, z: backZ };
+// World-space collider triangles and bounding sphere of each object, kept until the object
+// (its shape, size, position or rotation) or the grid spacing changes, since hover picking
+// runs on every pointer move
+const pickTargets = [];
+
+function getPickTarget(object, index, spacing) {
+    // Imported meshes are keyed by their id, not their triangles
+    const key = JSON.stringify([spacing, Object.entries(object).filter(([name]) => name !== 'meshData')]);
+    if (!pickTargets[index] || pickTargets[index].key !== key) {
+        const shape = getShape(object.type);
+        const transform = getShapeTransform(object, spacing, BACK_Z);
+        pickTargets[index] = {
+            key,
+            sphere: new THREE.Sphere(new THREE.Vector3(transform.center.x, transform.center.y, transform.center.z), shape.boundingRadius(object, spacing)),
+            triangles: transformTriangles(shape.triangles(object, spacing), transform)
+        };
+    }
+    return pickTargets[index];
+}
+
+// Nearest object under the pointer, tested against its collider triangles: { index, point } or null
+function pickObject(event) {
+    setRaycasterFromEvent(event);
+    const ray = viewportRaycaster.ray;
+    const spacing = getGridSpacing(config);
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3(), hit = new THREE.Vector3();
+    let best = null;
+
+    const objects = resolveConfig(config).objects;
+    pickTargets.length = Math.min(pickTargets.length, objects.length);
+    objects.forEach((object, index) => {
+        const { sphere, triangles } = getPickTarget(object, index, spacing);
+        if (!ray.intersectsSphere(sphere)) return;
+
+        for (let k = 0; k < triangles.length; k += 9) {
+            a.fromArray(triangles, k);
+            b.fromArray(triangles, k + 3);
+            c.fromArray(triangles, k + 6);
+            if (!ray.intersectTriangle(a, b, c, false, hit)) continue;
+            const distance = ray.origin.distanceTo(hit);
+            if (!best || distance < best.distance) best = { index, point: hit.clone(), distance };
+        }
+    });
+
+    return best;
+}
+
+// Where the pointer ray meets the floor, or null when it points away from it
+function pointerOnFloor(event) {
+    setRaycasterFromEvent(event);
+    return viewportRaycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), -BACK_Z), new THREE.Vector3());
+}
+
+// Screen centre and radius (px) of the selected object's bounding sphere, the arcball
+function getArcball() {
+    const spacing = getGridSpacing(config);
+    const object = resolveConfig(config).objects[selectedObjectIndex];
+    const transform = getShapeTransform(object, spacing, BACK_Z);
+    const center = new THREE.Vector3(transform.center.x, transform.center.y, transform.center.z);
+    const radius = getShape(object.type).boundingRadius(object, spacing);
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    const toScreen = (p) => {
+        const ndc = projectToNdc(p);
+        return new THREE.Vector2(rect.left + (ndc.x + 1) / 2 * rect.width, rect.top + (1 - ndc.y) / 2 * rect.height);
+    };
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion).multiplyScalar(radius);
+    const screenCenter = toScreen(center);
+    return { center, radius, screenCenter, screenRadius: Math.max(1, screenCenter.distanceTo(toScreen(center.clone().add(right)))) };
+}
+
+// Pointer position on the arcball as a unit vector in camera space (z towards the viewer)
+function arcballVector(arcball, event) {
+    const x = (event.clientX - arcball.screenCenter.x) / arcball.screenRadius;
+    const y = -(event.clientY - arcball.screenCenter.y) / arcball.screenRadius;
+    const lengthSquared = x * x + y * y;
+    // Outside the ball the pointer rolls it around the view axis
+    return lengthSquared < 1 ? new THREE.Vector3(x, y, Math.sqrt(1 - lengthSquared)) : new THREE.Vector3(x, y, 0).normalize();
+}
+
+// Outline of the arcball, shown while rotating
+function showArcballRing(arcball) {
+    if (!arcballRing) {
+        const points = [];
+        for (let k = 0; k < ARCBALL_SEGMENTS; k++) {
+            const angle = k / ARCBALL_SEGMENTS * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
         }
+        arcballRing = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(points),
+            addCurvilinearProjection(new THREE.LineBasicMaterial({ transparent: true, opacity: 0.5, depthTest: false }))
+        );
+        arcballRing.renderOrder = 10;
+        scene.add(arcballRing);
+    }
+    arcballRing.material.color.set(config.drapeColor);
+    arcballRing.position.copy(arcball.center);
+    arcballRing.quaternion.copy(camera.quaternion);
+    arcballRing.scale.setScalar(arcball.radius);
+    arcballRing.visible = true;
+}
+
+function onViewportPointerDown(event) {
+    if (event.button !== 0 || viewportDrag || timeline.playing || isExportingImage) return;
+    const picked = pickObject(event);
+    if (!picked) return;
+
+    // Pause orbiting before OrbitControls sees this event (this listener runs in the capture phase)
+    controls.enabled = false;
+    if (picked.index !== selectedObjectIndex) selectObject(picked.index);
+    const object = getSelectedObject();
+    const spacing = getGridSpacing(config);
+
+    if (event.shiftKey) {
+        const arcball = getArcball();
+        const start = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+            THREE.MathUtils.degToRad(object.rotationX),
+            THREE.MathUtils.degToRad(object.rotationY),
+            THREE.MathUtils.degToRad(object.rotationZ),
+            'XYZ'
+        ));
+        viewportDrag = { mode: 'rotate', arcball, start, from: arcballVector(arcball, event) };
+        showArcballRing(arcball);
+    } else {
+        // Keep the grabbed point under the pointer: remember where it sits relative to the object's cell
+        const floor = pointerOnFloor(event) || picked.point;
+        viewportDrag = { mode: 'move', offsetX: object.x * spacing - floor.x, offsetY: object.y * spacing - floor.y };
     }
 
-    // Calculate Collision Zs using Multi-Ray Raycasting
-    // Optimization: Only raycast near the object
-    const collisionZ = [];
-    const rayOrigin = new THREE.Vector3();
-    const rayDirection = new THREE.Vector3(0, 0, -1); // Raycast downwards
-
-    const raysPerPoint = 7;
-    const sampleRadius = spacing * 0.8;
-
-    // Calculate object bounds for optimization
-    const objectX = config.cubeX * spacing;
-    const objectY = config.cubeY * spacing;
-    // Calculate max dimension of the object (cube or sphere)
-    let objectRadius;
-    if (config.shapeType === 'cube') {
-        // Diagonal of the cube is the max reach
-        const cubeSize = config.cubeSize * spacing;
-        // A rough bounding sphere radius for the cube
-        objectRadius = Math.sqrt(3 * (cubeSize / 2) ** 2);
+    viewportDrag.pointerId = event.pointerId;
+    viewportDrag.changed = false;
+    renderer.domElement.setPointerCapture(event.pointerId);
+    renderer.domElement.style.cursor = 'grabbing';
+}
+
+function onViewportPointerMove(event) {
+    if (!viewportDrag) {
+        // Hint that objects can be grabbed (skipped while a mouse button orbits the camera)
+        if (event.buttons === 0 && !timeline.playing) renderer.domElement.style.cursor = pickObject(event) ? 'grab' : '';
+        return;
+    }
+    if (event.pointerId !== viewportDrag.pointerId) return;
+
+    const object = getSelectedObject();
+    if (viewportDrag.mode === 'move') {
+        const floor = pointerOnFloor(event);
+        if (!floor) return;
+        const spacing = getGridSpacing(config);
+        const range = config.gridDensity / 2;
+        const x = Math.max(-range, Math.min(range, Math.round((floor.x + viewportDrag.offsetX) / spacing)));
+        const y = Math.max(-range, Math.min(range, Math.round((floor.y + viewportDrag.offsetY) / spacing)));
+        if (x === object.x && y === object.y) return;
+        object.x = x;
+        object.y = y;
     } else {
-        objectRadius = config.cubeSize * spacing * 0.6;
+        // Turn from where the drag started to where the pointer is, about the camera's axes
+        const turn = new THREE.Quaternion().setFromUnitVectors(viewportDrag.from, arcballVector(viewportDrag.arcball, event));
+        const view = camera.quaternion;
+        const worldTurn = view.clone().multiply(turn).multiply(view.clone().invert());
+        const euler = new THREE.Euler().setFromQuaternion(worldTurn.multiply(viewportDrag.start), 'XYZ');
+        const toDegrees = (radians) => {
+            const degrees = Math.round(THREE.MathUtils.radToDeg(radians) * ROTATION_PRECISION) / ROTATION_PRECISION;
+            return (degrees % 360 + 360) % 360; // The sliders run from 0 to 360
+        };
+        object.rotationX = toDegrees(euler.x);
+        object.rotationY = toDegrees(euler.y);
+        object.rotationZ = toDegrees(euler.z);
+        snapObjectRotation(object);
     }
 
-    // Add influence radius and a buffer to the bounds
-    const checkRadius = objectRadius + config.influenceRadius + spacing * 2;
+    viewportDrag.changed = true;
+    refreshGuiDisplays();
+    updateVisualization();
+}
+
+function onViewportPointerUp(event) {
+    if (!viewportDrag || event.pointerId !== viewportDrag.pointerId) return;
+    const { changed, mode } = viewportDrag;
+    viewportDrag = null;
 
-    for (let i = 0; i <= gridSize; i++) {
-        collisionZ[i] = [];
-        for (let j = 0; j <= gridSize; j++) {
-            const centerX = backPoints[i][j].x;
-            const centerY = backPoints[i][j].y;
+    if (renderer.domElement.hasPointerCapture(event.pointerId)) renderer.domElement.releasePointerCapture(event.pointerId);
+    renderer.domElement.style.cursor = '';
+    if (arcballRing) arcballRing.visible = false;
+    controls.enabled = true;
 
-            // Optimization: Distance check
-            const dx = centerX - objectX;
-            const dy = centerY - objectY;
-            const distSq = dx * dx + dy * dy;
+    // The drag only drew previews
+    if (changed) {
+        updateVisualization();
+        recordHistory(mode === 'move' ? 'Move Object' : 'Rotate Object');
+    }
+}
 
-            if (distSq > checkRadius * checkRadius) {
-                // Too far from object, just use floor height
-                collisionZ[i][j] = backZ;
-                continue;
+// ---------------------------------------------------------------------------
+// Footprint overlay
+// ---------------------------------------------------------------------------
+// Where each object meets the floor after grid alignment (see computeObjectFootprint), drawn on
+// the floor with a cross on the footprint centroid. An editing aid, so it is not saved.
+
+const FOOTPRINT_COLOR = '#e8590c';
+const FOOTPRINT_MARKER_SIZE = 0.3; // Grid cells from the centre to each end of the centroid cross
+
+let footprintOverlay = null;
+
+function updateFootprintOverlay() {
+    if (!footprintOverlay) {
+        footprintOverlay = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            addCurvilinearProjection(new THREE.LineBasicMaterial({ color: FOOTPRINT_COLOR, depthTest: false }))
+        );
+        footprintOverlay.renderOrder = 10;
+        footprintOverlay.frustumCulled = false;
+        scene.add(footprintOverlay);
+    }
+    footprintOverlay.visible = debugSettings.showFootprint;
+    if (!debugSettings.showFootprint) return;
+
+    const spacing = getGridSpacing(config);
+    const marker = FOOTPRINT_MARKER_SIZE * spacing;
+    const z = BACK_Z + 0.5; // Just above the back grid
+    const positions = [];
+    resolveConfig(config).objects.forEach(object => {
+        const { outlines, centroid } = computeObjectFootprint(object, spacing, BACK_Z);
+        outlines.forEach(outline => {
+            for (let k = 0; k < outline.length - 1; k++) {
+                positions.push(outline[k].x, outline[k].y, z, outline[k + 1].x, outline[k + 1].y, z);
             }
+        });
+        positions.push(
+            centroid.x - marker, centroid.y - marker, z, centroid.x + marker, centroid.y + marker, z,
+            centroid.x - marker, centroid.y + marker, z, centroid.x + marker, centroid.y - marker, z
+        );
+    });
 
-            let maxZ = backZ; // Start with floor height
+    setOverlayAttributes(footprintOverlay, { position: Float32Array.from(positions) });
+}
 
-            // Cast multiple rays in a grid pattern around this point
-            for (let rx = 0; rx < raysPerPoint; rx++) {
-                for (let ry = 0; ry < raysPerPoint; ry++) {
-                    // Offset from center
-                    const offsetX = ((rx / (raysPerPoint - 1)) - 0.5) * sampleRadius * 2;
-                    const offsetY = ((ry / (raysPerPoint - 1)) - 0.5) * sampleRadius * 2;
+// ---------------------------------------------------------------------------
+// Analysis overlay
+// ---------------------------------------------------------------------------
+// Colours every drape edge by the cloth's strain (its stretch over the rest length), by what
+// the cloth rests on or by how sharply it bends (see computeDrapeAnalysis), with a legend and
+// the strain's min/max/mean in the corner. Like the footprint it is an aid, so it is not saved.
+
+const ANALYSIS_MODES = { Off: 'off', Strain: 'strain', Contact: 'contact', Curvature: 'curvature' };
+const HEAT_COLORS = ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c']; // Low to high
+const CONTACT_COLORS = { object: '#d7191c', floor: '#999999', free: '#2c7bb6' }; // Keys of CONTACT_STATES
+const CONTACT_LABELS = { object: 'On an object', floor: 'On the floor', free: 'Hanging free' };
+
+let analysisOverlay = null;
+let analysisLegend = null;
+
+// Colour of t (0 to 1) on the HEAT_COLORS ramp
+function heatColor(t, target) {
+    const scaled = Math.max(0, Math.min(1, t)) * (HEAT_COLORS.length - 1);
+    const index = Math.min(Math.floor(scaled), HEAT_COLORS.length - 2);
+    return target.set(HEAT_COLORS[index]).lerp(new THREE.Color(HEAT_COLORS[index + 1]), scaled - index);
+}
 
-                    const x = centerX + offsetX;
-                    const y = centerY + offsetY;
+function updateAnalysisOverlay() {
+    if (!analysisOverlay) {
+        analysisOverlay = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            addCurvilinearProjection(new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }))
+        );
+        analysisOverlay.renderOrder = 9;
+        analysisOverlay.frustumCulled = false;
+        scene.add(analysisOverlay);
+
+        analysisLegend = document.createElement('div');
+        analysisLegend.style.cssText = 'position: fixed; right: 8px; bottom: 8px; padding: 6px 8px; font: 12px monospace; ' +
+            'color: #333; background: rgba(255, 255, 255, 0.85); border-radius: 4px; display: none;';
+        renderer.domElement.parentNode.appendChild(analysisLegend);
+    }
 
-                    // Start ray from VERY high up to catch any elevated corners
-                    rayOrigin.set(x, y, 2000);
-                    raycaster.set(rayOrigin, rayDirection);
+    const mode = debugSettings.analysis;
+    const visible = mode !== 'off' && latestDrape !== null;
+    analysisOverlay.visible = visible;
+    analysisLegend.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const { graph, frontNodes, collisionHeights, spacing, backZ } = latestDrape;
+    const analysis = computeDrapeAnalysis(graph, frontNodes, collisionHeights, spacing, backZ);
+    const { min, max } = analysis.summary;
+    let maxCurvature = 0;
+    analysis.curvature.forEach(value => { maxCurvature = Math.max(maxCurvature, value); });
+    const contactNames = Object.keys(CONTACT_STATES);
+
+    // Strain colours whole edges, contact and curvature each end by its node
+    const edgeCount = graph.edges.length / 2;
+    const positions = new Float32Array(edgeCount * 6);
+    const colors = new Float32Array(edgeCount * 6);
+    const color = new THREE.Color();
+    for (let e = 0; e < edgeCount; e++) {
+        [graph.edges[e * 2], graph.edges[e * 2 + 1]].forEach((node, end) => {
+            const offset = e * 6 + end * 3;
+            const p = frontNodes[node];
+            positions.set([p.x, p.y, p.z], offset);
+            if (mode === 'strain') heatColor(max > min ? (analysis.strain[e] - min) / (max - min) : 0, color);
+            else if (mode === 'curvature') heatColor(maxCurvature > 0 ? analysis.curvature[node] / maxCurvature : 0, color);
+            else color.set(analysis.contact ? CONTACT_COLORS[contactNames[analysis.contact[node]]] : CONTACT_COLORS.free);
+            colors.set([color.r, color.g, color.b], offset);
+        });
+    }
 
-                    const intersects = raycaster.intersectObject(colliderMesh);
+    setOverlayAttributes(analysisOverlay, { position: positions, color: colors });
 
-                    if (intersects.length > 0) {
-                        const z = intersects[0].point.z;
-                        // Take the maximum Z from all ray samples
-                        maxZ = Math.max(maxZ, z);
-                    }
-                }
-            }
+    updateAnalysisLegend(mode, analysis, maxCurvature);
+}
 
-            // Store the maximum Z found across all rays (no offset)
-            collisionZ[i][j] = maxZ;
-        }
+// Title, colour key and strain summary of the analysis overlay
+function updateAnalysisLegend(mode, analysis, maxCurvature) {
+    const { min, max, mean } = analysis.summary;
+    analysisLegend.textContent = '';
+    const addLine = (text) => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        analysisLegend.appendChild(line);
+        return line;
+    };
+    const addRamp = (low, high) => {
+        const bar = addLine('');
+        bar.style.cssText = `height: 10px; margin: 4px 0 2px; background: linear-gradient(to right, ${HEAT_COLORS.join(', ')});`;
+        const labels = addLine('');
+        labels.style.cssText = 'display: flex; justify-content: space-between; gap: 24px;';
+        [low, high].forEach(text => {
+            const label = document.createElement('span');
+            label.textContent = text;
+            labels.appendChild(label);
+        });
+    };
+
+    if (mode === 'strain') {
+        addLine('Strain (length / rest length)');
+        addRamp(min.toFixed(3), max.toFixed(3));
+    } else if (mode === 'curvature') {
+        addLine('Laplacian curvature (1 / grid cells)');
+        addRamp('0', maxCurvature.toFixed(3));
+    } else if (analysis.contact) {
+        addLine('Contact');
+        const counts = Object.keys(CONTACT_STATES).map(name => analysis.contact.filter(state => state === CONTACT_STATES[name]).length);
+        Object.keys(CONTACT_STATES).forEach((name, index) => {
+            const share = Math.round(counts[index] / analysis.contact.length * 1000) / 10;
+            const line = addLine(`■ ${CONTACT_LABELS[name]} (${share}%)`);
+            line.style.color = CONTACT_COLORS[name];
+        });
+    } else {
+        addLine('Contact is only known for the height-field drape');
     }
+    addLine(`Strain min ${min.toFixed(3)}  max ${max.toFixed(3)}  mean ${mean.toFixed(3)}`).style.marginTop = '4px';
+}
 
-    // Apply Relaxation / Smoothing to simulate cloth
-    // IMPORTANT: Ensure drape never goes below collision surface
+// Lattice Angles Only: move the object's rotations onto the nearest lattice rotation
+function snapObjectRotation(object) {
+    if (!config.latticeRotation) return;
+    // Imported meshes need their triangles, which the resolved config attaches
+    const resolved = resolveConfig(config).objects[config.objects.indexOf(object)];
+    Object.assign(object, snapLatticeRotation(resolved, getGridSpacing(config)));
+}
+
+// ---------------------------------------------------------------------------
+// SVG export (pen plotter output)
+// ---------------------------------------------------------------------------
+
+// Paper sizes in millimetres (portrait width x height)
+const PAPER_SIZES_MM = {
+    A4: [210, 297],
+    A3: [297, 420],
+    A2: [420, 594],
+    A1: [594, 841],
+    Letter: [215.9, 279.4],
+    Tabloid: [279.4, 431.8]
+};
+
+const MM_PER_PX = 25.4 / 96; // CSS pixels are defined at 96 dpi
+
+const svgExportSettings = {
+    paperSize: 'A4',
+    orientation: 'auto', // 'auto' follows the aspect ratio of the viewport
+    margin: 15, // mm
+    units: 'mm'
+};
+
+// Clip a 2D segment to the [-1, 1] NDC square (Liang-Barsky)
+function clipSegmentToNDC(a, b) {
+    let t0 = 0;
+    let t1 = 1;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const checks = [
+        [-dx, a.x + 1],
+        [dx, 1 - a.x],
+        [-dy, a.y + 1],
+        [dy, 1 - a.y]
+    ];
 
-    // Initialize current Zs
-    let currentZ = [];
-    for (let i = 0; i <= gridSize; i++) {
-        currentZ[i] = [];
-        for (let j = 0; j <= gridSize; j++) {
-            currentZ[i][j] = collisionZ[i][j];
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            if (q < 0) return null;
+            continue;
+        }
+        const r = q / p;
+        if (p < 0) {
+            if (r > t1) return null;
+            if (r > t0) t0 = r;
+        } else {
+            if (r < t0) return null;
+            if (r < t1) t1 = r;
         }
     }
 
-    // Relaxation iterations
-    // Optimization: Only relax points that might be affected? 
-    // For now, we'll iterate all, but we could optimize this too if needed.
-    // Given the grid size increase, we should probably limit relaxation to the area of interest too.
-
-    const iterations = Math.floor(config.influenceRadius / 2) + 1;
-
-    // Calculate bounds indices for relaxation loop to avoid iterating the whole massive grid
-    // We convert world bounds to indices
-    const minIndexX = Math.max(1, Math.floor((objectX - checkRadius) / spacing + halfGridSize));
-    const maxIndexX = Math.min(gridSize - 1, Math.ceil((objectX + checkRadius) / spacing + halfGridSize));
-    const minIndexY = Math.max(1, Math.floor((objectY - checkRadius) / spacing + halfGridSize));
-    const maxIndexY = Math.min(gridSize - 1, Math.ceil((objectY + checkRadius) / spacing + halfGridSize));
-
-    for (let iter = 0; iter < iterations; iter++) {
-        const nextZ = [];
-        // Initialize nextZ with current values for the whole grid first (or just handle the active region)
-        // To be safe and simple, we can just copy the array structure or use a sparse approach.
-        // But since we need to read neighbors, let's just create the structure.
-        // Actually, we only need to update the active region. The rest stays as collisionZ (which is backZ).
-
-        // Let's just iterate the active region.
-        // We need to be careful about the boundary of the active region. 
-        // Points outside the active region are static (backZ).
-
-        for (let i = minIndexX; i <= maxIndexX; i++) {
-            if (!nextZ[i]) nextZ[i] = []; // We might need to initialize rows if we were sparse, but we are dense.
-            for (let j = minIndexY; j <= maxIndexY; j++) {
-
-                // Simple Laplacian smoothing
-                let sum = 0;
-                let count = 0;
-
-                // Neighbors
-                sum += currentZ[i - 1][j]; count++;
-                sum += currentZ[i + 1][j]; count++;
-                sum += currentZ[i][j - 1]; count++;
-                sum += currentZ[i][j + 1]; count++;
-
-                let average = count > 0 ? sum / count : currentZ[i][j];
-
-                // CRITICAL: The cloth MUST stay at or above the collision surface
-                nextZ[i][j] = Math.max(average, collisionZ[i][j]);
+    return [
+        { x: a.x + t0 * dx, y: a.y + t0 * dy },
+        { x: a.x + t1 * dx, y: a.y + t1 * dy }
+    ];
+}
+
+// Project world-space polylines through the camera and map them onto the paper frame.
+// Returns 2D polylines in paper units; lines are split where they leave the view.
+// With a curvilinear view ({ halfFov, tanHalfFov }) they are bent in short pieces instead.
+function projectPolylines(polylines, cam, frame, curvilinear = null) {
+    const result = [];
+    const near = -cam.near;
+    const viewA = new THREE.Vector3();
+    const viewB = new THREE.Vector3();
+
+    const toPaper = (p) => ({
+        x: frame.x + (p.x + 1) / 2 * frame.width,
+        y: frame.y + (1 - p.y) / 2 * frame.height
+    });
+
+    const bend = (view) => {
+        const bent = curvilinearViewPosition(view, curvilinear.halfFov, curvilinear.tanHalfFov);
+        view.set(bent.x, bent.y, bent.z);
+    };
+
+    polylines.forEach(polyline => {
+        let current = null;
+        if (curvilinear) polyline = subdividePolyline(polyline, CURVILINEAR_SEGMENT_LENGTH);
+
+        for (let k = 0; k < polyline.length - 1; k++) {
+            viewA.set(polyline[k].x, polyline[k].y, polyline[k].z).applyMatrix4(cam.matrixWorldInverse);
+            viewB.set(polyline[k + 1].x, polyline[k + 1].y, polyline[k + 1].z).applyMatrix4(cam.matrixWorldInverse);
+            if (curvilinear) {
+                // Bent points all lie at their distance in front of the camera, nothing to clip
+                bend(viewA);
+                bend(viewB);
             }
-        }
 
-        // Update currentZ with nextZ values for the active region
-        for (let i = minIndexX; i <= maxIndexX; i++) {
-            for (let j = minIndexY; j <= maxIndexY; j++) {
-                if (nextZ[i] && nextZ[i][j] !== undefined) {
-                    currentZ[i][j] = nextZ[i][j];
-                }
+            // Clip against the near plane in view space (camera looks down -Z)
+            if (viewA.z > near && viewB.z > near) {
+                current = null;
+                continue;
+            }
+            const a = viewA.clone();
+            const b = viewB.clone();
+            if (a.z > near || b.z > near) {
+                const t = (near - a.z) / (b.z - a.z);
+                const cut = new THREE.Vector3().lerpVectors(a, b, t);
+                if (a.z > near) a.copy(cut); else b.copy(cut);
+            }
+
+            a.applyMatrix4(cam.projectionMatrix);
+            b.applyMatrix4(cam.projectionMatrix);
+
+            const clipped = clipSegmentToNDC(a, b);
+            if (!clipped) {
+                current = null;
+                continue;
+            }
+
+            const start = toPaper(clipped[0]);
+            const end = toPaper(clipped[1]);
+            const last = current && current[current.length - 1];
+            if (last && Math.abs(last.x - start.x) < 1e-6 && Math.abs(last.y - start.y) < 1e-6) {
+                current.push(end);
+            } else {
+                current = [start, end];
+                result.push(current);
             }
         }
-    }
+    });
 
-    // Create final front points
-    const frontPoints = [];
-    for (let i = 0; i <= gridSize; i++) {
-        frontPoints[i] = [];
-        for (let j = 0; j <= gridSize; j++) {
-            frontPoints[i][j] = {
-                x: backPoints[i][j].x,
-                y: backPoints[i][j].y,
-                z: currentZ[i][j]
-            };
+    return result;
+}
+
+// Polyline with extra points so no segment is longer than maxLength
+function subdividePolyline(polyline, maxLength) {
+    const result = [polyline[0]];
+    for (let k = 1; k < polyline.length; k++) {
+        const a = polyline[k - 1];
+        const b = polyline[k];
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z) / maxLength));
+        for (let step = 1; step < steps; step++) {
+            const t = step / steps;
+            result.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
         }
+        result.push(b);
     }
+    return result;
+}
 
-    // Render the full drape surface (including flat parts)
-    // Pass gridSize instead of config.gridDensity to createGrid if it uses it?
-    // createGrid uses config.gridDensity. We need to update createGrid to accept dimensions or infer them.
-    // Let's modify createGrid    // Render the full drape surface (including flat parts)
-    // Render the full drape surface (including flat parts)
-    const frontGrid = createGrid(frontPoints, 0x333333, config.drapeOpacity, config.drapeLineWidth, null);
-    frontGrid.renderOrder = 2; // Draw last (on top)
-    frontGridGroup.add(frontGrid);
+// Work out the paper size and the drawing frame (viewport fitted inside the margins), in mm
+function getSvgPaperLayout(settings, viewAspect) {
+    let [paperWidth, paperHeight] = PAPER_SIZES_MM[settings.paperSize] || PAPER_SIZES_MM.A4;
 
-    // Render back grid (flat floor grid)
-    if (config.showBackGrid) {
-        // Darker color and higher opacity for better visibility
-        const backGrid = createGrid(backPoints, 0x888888, config.backGridOpacity, config.backGridLineWidth, null);
-        backGrid.renderOrder = 0; // Draw first (background)
-        backGridGroup.add(backGrid);
-    }
+    const landscape = settings.orientation === 'landscape' ||
+        (settings.orientation === 'auto' && viewAspect > 1);
+    if (landscape) [paperWidth, paperHeight] = [paperHeight, paperWidth];
 
-    // Render the 3D shape's walls with grids
-    const shapeWalls = createShapeWalls(spacing, backZ);
-    shapeWalls.renderOrder = 1; // Draw middle
-    volumeGroup.add(shapeWalls);
-}
+    const margin = Math.max(0, Math.min(settings.margin, Math.min(paperWidth, paperHeight) / 2 - 1));
+    const availableWidth = paperWidth - margin * 2;
+    const availableHeight = paperHeight - margin * 2;
 
-// Reset camera to bird's eye view
-function resetCamera() {
-    camera.position.set(0, 0, 300); // Looking down the Z axis from above, zoomed in
-    camera.lookAt(0, 0, 0);
-    controls.target.set(0, 0, 0);
-    controls.update();
+    // Fit the viewport aspect ratio inside the available area (contain)
+    let width = availableWidth;
+    let height = width / viewAspect;
+    if (height > availableHeight) {
+        height = availableHeight;
+        width = height * viewAspect;
+    }
+
+    return {
+        paperWidth,
+        paperHeight,
+        frame: {
+            x: (paperWidth - width) / 2,
+            y: (paperHeight - height) / 2,
+            width,
+            height
+        }
+    };
 }
 
-// UI initialization using dat.GUI
-function initializeUI() {
-    const gui = new dat.GUI({ width: 300 });
+// Solid mode: keep only the visible part of each layer and move the hidden lines to
+// layers of their own after the visible ones (left out when their opacity is 0)
+function splitHiddenSvgLayers(layers) {
+    const shapeSurfaces = latestDrape.shapeSurfaces || computeShapeSurfaces(config);
+    const occluders = computeOccluderTriangles(latestDrape.graph, latestDrape.frontNodes, shapeSurfaces);
+    const view = {
+        viewMatrix: camera.matrixWorldInverse.elements,
+        projectionMatrix: camera.projectionMatrix.elements,
+        aspect: camera.aspect,
+        curvilinear: getCurvilinearView()
+    };
 
-    // Position folder
-    const positionFolder = gui.addFolder('Position');
-    positionFolder.add(config, 'gridDensity', 15, 40, 5).name('Grid Density').onChange(() => {
-        updatePointSliderRanges();
-        updateVisualization();
+    const polylines = {};
+    layers.forEach(layer => {
+        polylines[layer.id] = layer.polylines;
     });
-    positionFolder.add(config, 'cubeX', -17, 17, 1).name('Cube Center X').onChange(updateVisualization);
-    positionFolder.add(config, 'cubeY', -17, 17, 1).name('Cube Center Y').onChange(updateVisualization);
-    positionFolder.add(config, 'cubeSize', 3, 15, 1).name('Cube Size').onChange((value) => {
-        // Force to nearest odd number
-        const rounded = Math.round(value);
-        config.cubeSize = rounded % 2 === 0 ? rounded + 1 : rounded;
-        updateVisualization();
+    const split = computeHiddenLines(polylines, occluders, view);
+
+    const hiddenLayers = [];
+    layers.forEach(layer => {
+        layer.polylines = split[layer.id].visible;
+        if (config.hiddenLineOpacity > 0) {
+            hiddenLayers.push(Object.assign({}, layer, {
+                id: `${layer.id}-hidden`,
+                label: `${layer.label} (Hidden)`,
+                polylines: split[layer.id].hidden,
+                opacity: layer.opacity * config.hiddenLineOpacity
+            }));
+        }
     });
+    layers.push(...hiddenLayers);
+}
 
+// Build the SVG document for the current view
+function buildSvg(settings) {
+    if (!latestDrape) return null;
+
+    camera.updateMatrixWorld();
+    const layout = getSvgPaperLayout(settings, camera.aspect);
+    const { frame } = layout;
+    const curvilinear = getCurvilinearView();
+
+    // Convert world-space line widths to paper units at the orbit target distance,
+    // so strokes keep the same proportions as the ribbons on screen
+    let paperPerWorld;
+    if (camera.isPerspectiveCamera) {
+        const distance = camera.position.distanceTo(controls.target);
+        const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        paperPerWorld = frame.height / visibleHeight;
+        // The fisheye's scale in the middle of the view
+        if (curvilinear) paperPerWorld *= curvilinear.tanHalfFov / curvilinear.halfFov;
+    } else {
+        paperPerWorld = frame.height * camera.zoom / (camera.top - camera.bottom);
+    }
 
-    // Appearance folder
-    const appearanceFolder = gui.addFolder('Appearance');
-    appearanceFolder.add(config, 'influenceRadius', 0, 100, 5).name('Drape Influence %').onChange(updateVisualization);
-    appearanceFolder.add(config, 'drapeOpacity', 0, 1, 0.1).name('Drape Opacity').onChange(updateVisualization);
-    appearanceFolder.add(config, 'shapeOpacity', 0, 1, 0.1).name('Shape Opacity').onChange(updateVisualization);
-    appearanceFolder.add(config, 'backGridOpacity', 0, 1, 0.1).name('Back Grid Opacity').onChange(updateVisualization);
+    const unitScale = settings.units === 'mm' ? 1 : 1 / MM_PER_PX;
+    const fmt = (value) => (Math.round(value * unitScale * 100) / 100).toString();
+    const toHex = (color) => '#' + new THREE.Color(color).getHexString();
 
-    appearanceFolder.add(config, 'drapeLineWidth', 0.5, 5, 0.1).name('Drape Width').onChange(updateVisualization);
-    appearanceFolder.add(config, 'shapeLineWidth', 0.5, 5, 0.1).name('Shape Width').onChange(updateVisualization);
-    appearanceFolder.add(config, 'backGridLineWidth', 0.5, 5, 0.1).name('Back Grid Width').onChange(updateVisualization);
+    const layers = [];
+    if (config.showBackGrid) {
+        layers.push({
+            id: 'back-grid',
+            label: 'Back Grid',
+            polylines: getGridPolylines(latestDrape.graph, latestDrape.graph.nodes),
+            color: config.backGridColor,
+            opacity: config.backGridOpacity,
+            lineWidth: config.backGridLineWidth
+        });
+    }
+    layers.push({
+        id: 'shape',
+        label: 'Shape',
+        polylines: latestDrape.wallLines.map(line => line.points),
+        color: config.shapeColor,
+        opacity: config.shapeOpacity,
+        lineWidth: config.shapeLineWidth
+    });
+    layers.push({
+        id: 'drape',
+        label: 'Drape',
+        polylines: getGridPolylines(latestDrape.graph, latestDrape.frontNodes),
+        color: config.drapeColor,
+        opacity: config.drapeOpacity,
+        lineWidth: config.drapeLineWidth
+    });
+
+    if (config.solidMode) splitHiddenSvgLayers(layers);
+
+    const width = fmt(layout.paperWidth);
+    const height = fmt(layout.paperHeight);
+    const sizeUnit = settings.units === 'mm' ? 'mm' : '';
+
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8" standalone="no"?>');
+    lines.push(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+        `width="${width}${sizeUnit}" height="${height}${sizeUnit}" viewBox="0 0 ${width} ${height}" ` +
+        // Paper colour as a CSS background rather than a shape, so plotters don't draw it
+        `style="background-color: ${toHex(config.paperColor)}">`);
+
+    layers.forEach((layer, index) => {
+        // Inkscape layers let AxiDraw plot each layer separately
+        lines.push(`  <g id="layer${index + 1}-${layer.id}" inkscape:groupmode="layer" inkscape:label="${index + 1} ${layer.label}" ` +
+            `fill="none" stroke="${toHex(layer.color)}" stroke-opacity="${layer.opacity}" ` +
+            `stroke-width="${fmt(layer.lineWidth * paperPerWorld)}" stroke-linecap="round" stroke-linejoin="round">`);
+
+        projectPolylines(layer.polylines, camera, frame, curvilinear).forEach(polyline => {
+            const d = polyline.map((p, k) => (k === 0 ? 'M' : 'L') + fmt(p.x) + ' ' + fmt(p.y)).join(' ');
+            lines.push(`    <path d="${d}"/>`);
+        });
+
+        lines.push('  </g>');
+    });
+
+    lines.push('</svg>');
+    return lines.join('\n');
+}
+
+// Trigger a browser download for a blob
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportSvg() {
+    const svg = buildSvg(svgExportSettings);
+    if (!svg) return;
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'grid-drape.svg');
+}
+
+// ---------------------------------------------------------------------------
+// 3D model export
+// ---------------------------------------------------------------------------
+// The drape, the objects and the floor grid as OBJ or glTF for Blender (lines as polylines or
+// tubes, one named layer each), or the drape alone as a solid STL for printing. Everything is
+// written in world units where it is in the scene; see buildExportLayers in drape-core.js.
+
+const MESH_EXPORT_FORMATS = { 'OBJ': 'obj', 'glTF (.glb)': 'glb', 'STL (Drape Solid)': 'stl' };
+
+const STL_MIN_THICKNESS = 0.05; // Grid cells; thinner, the solid would be an open shell or too thin to print
+
+const meshExportSettings = {
+    format: 'obj',
+    lines: 'tubes',
+    surfaces: true,
+    thickness: 0.2 // Grid cells
+};
+
+function exportMesh() {
+    if (!latestDrape) return;
+    const settings = meshExportSettings;
+    const thickness = settings.thickness * latestDrape.spacing;
+
+    if (settings.format === 'stl') {
+        const solidThickness = Math.max(settings.thickness, STL_MIN_THICKNESS) * latestDrape.spacing;
+        const mesh = buildDrapeMesh(latestDrape.graph, latestDrape.frontNodes, solidThickness);
+        downloadBlob(new Blob([writeStl(mesh, 'Grid Drape')], { type: 'model/stl' }), 'grid-drape.stl');
+        return;
+    }
+
+    const layers = buildExportLayers(config, latestDrape, {
+        tubes: settings.lines === 'tubes',
+        surfaces: settings.surfaces,
+        thickness
+    });
+    if (settings.format === 'glb') {
+        downloadBlob(new Blob([writeGlb(layers)], { type: 'model/gltf-binary' }), 'grid-drape.glb');
+    } else {
+        downloadBlob(new Blob([writeObj(layers)], { type: 'model/obj' }), 'grid-drape.obj');
+    }
+}
+
+// ---------------------------------------------------------------------------
+// PNG poster export (tiled offscreen rendering)
+// ---------------------------------------------------------------------------
+
+const pngExportSettings = {
+    width: 12000,
+    height: 8000,
+    tileSize: 1024
+};
 
+let isExportingImage = false; // Pauses on-screen rendering while tiles are drawn
 
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0) {
+    crc = crc ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Streaming PNG writer: rows are deflated as they arrive, so the full image
+// never has to exist as one canvas (browsers cap canvas sizes well below A1 prints)
+function createPngWriter(width, height) {
+    const stream = new CompressionStream('deflate'); // zlib format, as PNG expects
+    const writer = stream.writable.getWriter();
+    const compressed = new Response(stream.readable).arrayBuffer();
+
+    const uint32 = (value) => new Uint8Array([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+    const chunk = (type, data) => {
+        const typeBytes = new Uint8Array([...type].map(c => c.charCodeAt(0)));
+        const crc = crc32(data, crc32(typeBytes));
+        return [uint32(data.length), typeBytes, data, uint32(crc)];
+    };
+
+    return {
+        // rgba: rows of RGBA pixels, top row first
+        async writeRows(rgba, rowCount) {
+            const stride = width * 3 + 1;
+            const data = new Uint8Array(rowCount * stride);
+            for (let row = 0; row < rowCount; row++) {
+                let out = row * stride;
+                let src = row * width * 4;
+                data[out++] = 0; // Filter type: none
+                for (let x = 0; x < width; x++, src += 4) {
+                    data[out++] = rgba[src];
+                    data[out++] = rgba[src + 1];
+                    data[out++] = rgba[src + 2];
+                }
+            }
+            await writer.write(data);
+        },
+
+        async finish() {
+            await writer.close();
+            const idat = new Uint8Array(await compressed);
+
+            const header = new Uint8Array(13);
+            header.set(uint32(width), 0);
+            header.set(uint32(height), 4);
+            header[8] = 8; // Bit depth
+            header[9] = 2; // Colour type: RGB
+
+            return new Blob([
+                new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+                ...chunk('IHDR', header),
+                ...chunk('IDAT', idat),
+                ...chunk('IEND', new Uint8Array(0))
+            ], { type: 'image/png' });
+        }
+    };
+}
+
+// Render the current camera frustum at an arbitrary resolution, one tile at a time.
+// Ribbon widths are in world units, so line weights scale with the print size.
+async function renderPosterPng(settings, onProgress) {
+    const width = Math.max(1, Math.round(settings.width));
+    const height = Math.max(1, Math.round(settings.height));
+    const tileSize = Math.max(64, Math.min(Math.round(settings.tileSize), renderer.capabilities.maxTextureSize));
+
+    const targetOptions = { format: THREE.RGBAFormat };
+    const target = renderer.capabilities.isWebGL2
+        ? new THREE.WebGLMultisampleRenderTarget(tileSize, tileSize, targetOptions)
+        : new THREE.WebGLRenderTarget(tileSize, tileSize, targetOptions);
+
+    const png = createPngWriter(width, height);
+    const tilePixels = new Uint8Array(tileSize * tileSize * 4);
+    const band = new Uint8Array(width * tileSize * 4);
+
+    const originalAspect = camera.aspect;
+    const originalTarget = renderer.getRenderTarget();
+    isExportingImage = true;
+
+    try {
+        camera.aspect = width / height;
+
+        const tilesX = Math.ceil(width / tileSize);
+        const tilesY = Math.ceil(height / tileSize);
+
+        for (let ty = 0; ty < tilesY; ty++) {
+            const y = ty * tileSize;
+            const tileHeight = Math.min(tileSize, height - y);
+
+            for (let tx = 0; tx < tilesX; tx++) {
+                const x = tx * tileSize;
+                const tileWidth = Math.min(tileSize, width - x);
+
+                if (target.width !== tileWidth || target.height !== tileHeight) {
+                    target.setSize(tileWidth, tileHeight);
+                }
+
+                camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                renderer.setRenderTarget(target);
+                renderer.render(scene, camera);
+                renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, tilePixels);
+
+                // WebGL rows start at the bottom; flip them into the band
+                for (let row = 0; row < tileHeight; row++) {
+                    const src = (tileHeight - 1 - row) * tileWidth * 4;
+                    band.set(tilePixels.subarray(src, src + tileWidth * 4), (row * width + x) * 4);
+                }
+            }
+
+            await png.writeRows(band, tileHeight);
+            if (onProgress) onProgress((ty + 1) / tilesY);
+        }
+
+        return await png.finish();
+    } finally {
+        camera.clearViewOffset();
+        camera.aspect = originalAspect;
+        camera.updateProjectionMatrix();
+        renderer.setRenderTarget(originalTarget);
+        target.dispose();
+        isExportingImage = false;
+        applyDeferredDrapeResult();
+    }
+}
+
+async function exportPosterPng(onProgress) {
+    if (typeof CompressionStream === 'undefined') {
+        alert('PNG poster export needs a browser with CompressionStream support.');
+        return;
+    }
+    const blob = await renderPosterPng(pngExportSettings, onProgress);
+    downloadBlob(blob, `grid-drape-${Math.round(pngExportSettings.width)}x${Math.round(pngExportSettings.height)}.png`);
+}
+
+// ---------------------------------------------------------------------------
+// Timeline and animation export
+// ---------------------------------------------------------------------------
+// Keyframes snapshot every numeric config field and the camera (see sampleTimeline in
+// drape-core.js). Playback moves the playhead in real time from animate() and redraws with
+// the quick preview drape; exports step through the timeline at a fixed frame rate and wait
+// for the full-quality drape of every frame, however long it takes.
+
+const TIMELINE_MAX_DURATION = 120; // s
+
+const timeline = {
+    duration: 5, // s
+    time: 0, // Playhead, s
+    keyframes: [],
+    selected: 0, // Index of the keyframe edited in the Timeline folder
+    playing: false,
+    loop: true
+};
+
+const animationExportSettings = {
+    format: 'webm', // 'webm' (MediaRecorder) or 'png' (zip of frames)
+    frameRate: 30
+};
+
+const EASING_LABELS = {
+    'Linear': 'linear',
+    'Ease In': 'easeIn',
+    'Ease Out': 'easeOut',
+    'Ease In-Out': 'easeInOut',
+    'Hold': 'hold'
+};
+
+let timelineClock = 0; // performance.now() of the last playback step
+let timelinePlayController = null;
+let timelineTimeController = null;
+
+function getCameraPose() {
+    return { position: camera.position.toArray(), target: controls.target.toArray() };
+}
+
+function applyCameraPose(pose) {
+    camera.position.fromArray(pose.position);
+    controls.target.fromArray(pose.target);
+    controls.update();
+}
+
+// Keyframe the current config and camera at the playhead (replacing one at the same time)
+function addKeyframe() {
+    const time = Math.round(timeline.time * 100) / 100;
+    const keyframe = {
+        time,
+        easing: 'easeInOut',
+        values: getNumericConfigValues(config),
+        camera: getCameraPose()
+    };
+    timeline.keyframes = timeline.keyframes.filter(other => other.time !== time);
+    timeline.keyframes.push(keyframe);
+    timeline.keyframes.sort((a, b) => a.time - b.time);
+    timeline.selected = timeline.keyframes.indexOf(keyframe);
+    rebuildTimelineFolder();
+    scheduleStateSave();
+}
+
+function removeKeyframe() {
+    timeline.keyframes.splice(timeline.selected, 1);
+    timeline.selected = Math.max(0, Math.min(timeline.selected, timeline.keyframes.length - 1));
+    rebuildTimelineFolder();
+    scheduleStateSave();
+}
+
+// Rebuild the Timeline folder for the current keyframes and playback state
+function rebuildTimelineFolder() {
+    if (!window.gui) return;
+    const folder = window.gui.__folders['Timeline'];
+    folder.__controllers.slice().forEach(controller => folder.remove(controller));
+
+    timelinePlayController = folder.add({ toggle: () => setTimelinePlaying(!timeline.playing) }, 'toggle');
+    timelineTimeController = folder.add(timeline, 'time', 0, timeline.duration, 0.01).name('Time (s)').onChange(value => {
+        if (timeline.playing) setTimelinePlaying(false);
+        showTimelineAt(value);
+    });
+    refreshTimelineDisplay();
+    folder.add(timeline, 'duration', 1, TIMELINE_MAX_DURATION, 0.5).name('Duration (s)').onFinishChange(() => {
+        timeline.time = Math.min(timeline.time, timeline.duration);
+        rebuildTimelineFolder();
+        scheduleStateSave();
+    });
+    folder.add(timeline, 'loop').name('Loop');
+    folder.add({ addKeyframe }, 'addKeyframe').name('Add Keyframe at Time');
+
+    if (timeline.keyframes.length > 0) {
+        const options = {};
+        timeline.keyframes.forEach((keyframe, index) => {
+            options[`${index + 1}: ${keyframe.time.toFixed(2)} s`] = String(index);
+        });
+        folder.add({ selected: String(timeline.selected) }, 'selected', options).name('Keyframe').onChange(value => {
+            timeline.selected = parseInt(value, 10);
+            rebuildTimelineFolder();
+            showTimelineAt(timeline.keyframes[timeline.selected].time);
+        });
+        folder.add(timeline.keyframes[timeline.selected], 'easing', EASING_LABELS).name('Easing Into Keyframe').onChange(() => {
+            showTimelineAt(timeline.time);
+            scheduleStateSave();
+        });
+        folder.add({ removeKeyframe }, 'removeKeyframe').name('Remove Keyframe');
+    }
+
+    folder.add(animationExportSettings, 'format', { 'WebM Video': 'webm', 'PNG Frames (zip)': 'png' }).name('Export Format');
+    folder.add(animationExportSettings, 'frameRate', 1, 60, 1).name('Frame Rate (fps)');
+    const label = 'Export Animation';
+    const exportController = folder.add({
+        exportAnimation: () => {
+            if (isExportingImage) return;
+            exportAnimation(progress => {
+                exportController.name(`Exporting… ${Math.round(progress * 100)}%`);
+            }).catch(error => {
+                console.error('Animation export failed', error);
+                alert('Animation export failed: ' + error.message);
+            }).finally(() => {
+                exportController.name(label);
+            });
+        }
+    }, 'exportAnimation').name(label);
+}
+
+function refreshTimelineDisplay() {
+    if (timelinePlayController) timelinePlayController.name(timeline.playing ? '⏸ Pause' : '▶ Play');
+    if (timelineTimeController) timelineTimeController.updateDisplay();
+}
+
+// Move the playhead and show the timeline state there.
+// The drape is only recomputed when a config value actually changes.
+function showTimelineAt(time) {
+    timeline.time = time;
+    const state = sampleTimeline(timeline.keyframes, time);
+    if (state) {
+        const before = JSON.stringify(getNumericConfigValues(config));
+        setNumericConfigValues(config, state.values);
+        if (state.camera) applyCameraPose(state.camera);
+        if (JSON.stringify(getNumericConfigValues(config)) !== before) {
+            updateLayerOpacity();
+            updateVisualization();
+            refreshGuiDisplays();
+        }
+    }
+    refreshTimelineDisplay();
+}
+
+function setTimelinePlaying(playing) {
+    timeline.playing = playing && timeline.keyframes.length > 0;
+    timelineClock = performance.now();
+    if (timeline.playing && timeline.time >= timeline.duration) timeline.time = 0;
+    controls.enabled = !timeline.playing; // The camera follows the keyframes while playing
+    refreshTimelineDisplay();
+}
+
+// Advance playback by the real time since the last frame (called from animate())
+function stepTimelinePlayback() {
+    const now = performance.now();
+    let time = timeline.time + (now - timelineClock) / 1000;
+    timelineClock = now;
+
+    if (time >= timeline.duration) {
+        if (timeline.loop) {
+            time %= timeline.duration;
+        } else {
+            showTimelineAt(timeline.duration);
+            setTimelinePlaying(false);
+            return;
+        }
+    }
+    showTimelineAt(time);
+}
+
+// Show every frame of the timeline at a fixed frame rate and hand it to captureFrame
+// once it is drawn. The drape of each frame is computed in full before it is rendered.
+async function renderTimelineFrames(frameRate, captureFrame, onProgress) {
+    const frameCount = Math.max(1, Math.round(timeline.duration * frameRate));
+    const originalTime = timeline.time;
+
+    setTimelinePlaying(false);
+    clearTimeout(fullQualityTimer);
+    isExportingImage = true; // Pauses on-screen rendering and holds back worker results
+
+    try {
+        for (let frame = 0; frame < frameCount; frame++) {
+            const state = sampleTimeline(timeline.keyframes, frame / frameRate);
+            setNumericConfigValues(config, state.values);
+            if (state.camera) applyCameraPose(state.camera);
+            updateLayerOpacity();
+
+            // The animated cloth would restart every frame, so frames get the settled cloth
+            showDrapeScene(computeDrapeScene(Object.assign({}, config, { clothAnimate: false })));
+            renderer.render(scene, camera);
+
+            await captureFrame(frame);
+            if (onProgress) onProgress((frame + 1) / frameCount);
+        }
+    } finally {
+        isExportingImage = false;
+        deferredDrapeResult = null; // Outdated by now, the playhead's state is requested below
+        const state = sampleTimeline(timeline.keyframes, originalTime);
+        setNumericConfigValues(config, state.values);
+        if (state.camera) applyCameraPose(state.camera);
+        updateLayerOpacity();
+        updateVisualization();
+        refreshGuiDisplays();
+    }
+}
+
+// Frames as PNG files in an uncompressed zip (PNGs are compressed already)
+async function exportFrameSequence(frameRate, onProgress) {
+    const zip = createZipWriter();
+    const digits = String(Math.round(timeline.duration * frameRate)).length;
+
+    await renderTimelineFrames(frameRate, async (frame) => {
+        // toBlob snapshots the canvas right away, before the drawing buffer is cleared
+        const blob = await new Promise(resolve => renderer.domElement.toBlob(resolve, 'image/png'));
+        zip.addFile(`frame-${String(frame).padStart(digits, '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+    }, onProgress);
+
+    downloadBlob(zip.finish(), `grid-drape-${frameRate}fps.zip`);
+}
+
+// WebM through MediaRecorder. The recorder is paused while a frame is computed and runs for
+// exactly one frame duration after it is drawn, so the video plays at the chosen frame rate
+// no matter how slow the drape is.
+async function exportWebm(frameRate, onProgress) {
+    const stream = renderer.domElement.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 12000000 });
+
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+
+    recorder.start();
+    recorder.pause();
+    try {
+        await renderTimelineFrames(frameRate, async () => {
+            recorder.resume();
+            track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, 1000 / frameRate));
+            recorder.pause();
+        }, onProgress);
+    } finally {
+        recorder.stop();
+        track.stop();
+    }
+    await stopped;
+
+    downloadBlob(new Blob(chunks, { type: 'video/webm' }), `grid-drape-${frameRate}fps.webm`);
+}
+
+async function exportAnimation(onProgress) {
+    if (timeline.keyframes.length === 0) {
+        alert('Add at least one keyframe to export an animation.');
+        return;
+    }
+    const frameRate = Math.max(1, Math.round(animationExportSettings.frameRate));
+    if (animationExportSettings.format === 'webm') {
+        if (typeof MediaRecorder === 'undefined' || !renderer.domElement.captureStream) {
+            alert('WebM export needs a browser with MediaRecorder support.');
+            return;
+        }
+        await exportWebm(frameRate, onProgress);
+    } else {
+        await exportFrameSequence(frameRate, onProgress);
+    }
+}
+
+// Minimal zip writer (stored entries, no compression)
+function createZipWriter() {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    const header = (size, fill) => {
+        const view = new DataView(new ArrayBuffer(size));
+        fill(view);
+        return new Uint8Array(view.buffer);
+    };
+
+    return {
+        addFile(name, bytes) {
+            const nameBytes = new TextEncoder().encode(name);
+            const crc = crc32(bytes);
+            const fileOffset = offset;
+
+            // Shared part of the local and central headers: version, flags, method,
+            // time, date, crc, sizes and name length
+            const fillCommon = (view, at) => {
+                view.setUint16(at, 20, true);
+                view.setUint16(at + 2, 0, true);
+                view.setUint16(at + 4, 0, true);
+                view.setUint16(at + 6, 0, true);
+                view.setUint16(at + 8, 0x21, true); // 1980-01-01
+                view.setUint32(at + 10, crc, true);
+                view.setUint32(at + 14, bytes.length, true);
+                view.setUint32(at + 18, bytes.length, true);
+                view.setUint16(at + 22, nameBytes.length, true);
+            };
+
+            const local = header(30, view => {
+                view.setUint32(0, 0x04034b50, true);
+                fillCommon(view, 4);
+            });
+            parts.push(local, nameBytes, bytes);
+            offset += local.length + nameBytes.length + bytes.length;
+
+            directory.push(header(46, view => {
+                view.setUint32(0, 0x02014b50, true);
+                view.setUint16(4, 20, true); // Version made by
+                fillCommon(view, 6);
+                view.setUint32(42, fileOffset, true);
+            }), nameBytes);
+        },
+
+        finish() {
+            const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+            const end = header(22, view => {
+                view.setUint32(0, 0x06054b50, true);
+                view.setUint16(8, directory.length / 2, true);
+                view.setUint16(10, directory.length / 2, true);
+                view.setUint32(12, directorySize, true);
+                view.setUint32(16, offset, true);
+            });
+            return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Presets, autosave and shareable links
+// ---------------------------------------------------------------------------
+
+const PRESET_VERSION = 2; // 2: objects list instead of the single cube/sphere keys
+const AUTOSAVE_KEY = 'grid-drape-autosave';
+
+let stateSaveTimer = null;
+
+// Snapshot of the composition: every config key plus the camera pose, projection and bookmarks
+function createPreset() {
+    const round = (value) => Math.round(value * 100) / 100;
+
+    // Only keep imported meshes that an object still uses
+    const meshes = {};
+    config.objects.forEach(object => {
+        if (object.type === 'mesh' && config.meshes[object.mesh]) meshes[object.mesh] = config.meshes[object.mesh];
+    });
+
+    return {
+        version: PRESET_VERSION,
+        config: cloneConfig(Object.assign({}, config, { meshes })),
+        camera: {
+            position: camera.position.toArray().map(round),
+            target: controls.target.toArray().map(round)
+        },
+        timeline: {
+            duration: timeline.duration,
+            keyframes: cloneConfig(timeline.keyframes)
+        },
+        view: getViewState()
+    };
+}
+
+// The view as presets and the undo history keep it: projection and bookmarks, not the camera
+function getViewState() {
+    return {
+        projection: viewSettings.projection,
+        fisheyeFov: viewSettings.fisheyeFov,
+        bookmarks: cloneConfig(viewSettings.bookmarks)
+    };
+}
+
+// Copy values whose type matches the defaults, falling back to the default otherwise
+function pickTypedValues(values, defaults) {
+    const result = {};
+    Object.keys(defaults).forEach(key => {
+        const value = values[key];
+        result[key] = typeof value === typeof defaults[key] && (typeof value !== 'number' || isFinite(value))
+            ? value
+            : cloneConfig(defaults[key]);
+    });
+    return result;
+}
+
+// Imported meshes: keep entries with a name and a whole number of finite triangles
+function sanitizeMeshes(meshes) {
+    const result = {};
+    Object.entries(meshes).forEach(([id, mesh]) => {
+        if (mesh && typeof mesh.name === 'string' && Array.isArray(mesh.triangles) &&
+            mesh.triangles.length > 0 && mesh.triangles.length % 9 === 0 &&
+            mesh.triangles.every(value => typeof value === 'number' && isFinite(value))) {
+            result[id] = { name: mesh.name, triangles: mesh.triangles };
+        }
+    });
+    return result;
+}
+
+// Keep only known config keys with the right type, falling back to the defaults.
+// Version 1 presets (single cube/sphere keys) are migrated to the objects list.
+function sanitizePresetConfig(values) {
+    const result = pickTypedValues(migrateLegacyConfig(values), DEFAULT_CONFIG);
+    result.meshes = sanitizeMeshes(result.meshes);
+    if (!DRAPE_MODES.includes(result.drapeMode)) result.drapeMode = DEFAULT_CONFIG.drapeMode;
+    if (!Object.prototype.hasOwnProperty.call(GRID_TOPOLOGIES, result.gridTopology)) result.gridTopology = DEFAULT_CONFIG.gridTopology;
+    if (!Object.prototype.hasOwnProperty.call(STROKE_STYLES, result.strokeStyle)) result.strokeStyle = DEFAULT_CONFIG.strokeStyle;
+    if (!Object.prototype.hasOwnProperty.call(DRAPE_FALLOFFS, result.drapeFalloff)) result.drapeFalloff = DEFAULT_CONFIG.drapeFalloff;
+    result.drapeExtension = Math.max(0, Math.min(DRAPE_EXTENSION_MAX, result.drapeExtension));
+    result.drapeStiffness = Math.max(0, Math.min(1, result.drapeStiffness));
+    result.strokeSeed = Math.round(result.strokeSeed);
+    ['backGridColor', 'drapeColor', 'shapeColor', 'paperColor'].forEach(key => {
+        if (!/^#[0-9a-f]{6}$/i.test(result[key])) result[key] = DEFAULT_CONFIG[key];
+    });
+
+    // Objects whose imported mesh is missing (e.g. from a share link) are dropped
+    if (Array.isArray(result.objects)) {
+        result.objects = result.objects.filter(object => !(object && object.type === 'mesh' && !result.meshes[object.mesh]));
+    }
+    if (!Array.isArray(result.objects) || result.objects.length === 0) {
+        result.objects = cloneConfig(DEFAULT_CONFIG.objects);
+    }
+    result.objects = result.objects.map(values => {
+        values = values || {};
+        const type = Object.prototype.hasOwnProperty.call(SHAPES, values.type) ? values.type : DEFAULT_CONFIG.objects[0].type;
+        const object = pickTypedValues(Object.assign({}, values, { type }), getObjectDefaults(type));
+
+        // Same constraint the Object Size slider enforces
+        const size = Math.round(object.size);
+        object.size = size % 2 === 0 ? size + 1 : size;
+        if (!Object.prototype.hasOwnProperty.call(ALIGNMENT_MODES, object.alignment)) object.alignment = DEFAULT_CONFIG.objects[0].alignment;
+        if (!Object.prototype.hasOwnProperty.call(FACE_LABELS, object.alignFace)) object.alignFace = DEFAULT_CONFIG.objects[0].alignFace;
+        return object;
+    });
+
+    return result;
+}
+
+// Keyframes of a preset's timeline with invalid entries dropped
+function sanitizeTimeline(values) {
+    values = values || {};
+    const isPoint = (point) => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite);
+    const keyframes = (Array.isArray(values.keyframes) ? values.keyframes : [])
+        .filter(keyframe => keyframe && Number.isFinite(keyframe.time) && keyframe.values && typeof keyframe.values === 'object')
+        .map(keyframe => {
+            const numbers = {};
+            Object.entries(keyframe.values).forEach(([path, value]) => {
+                if (Number.isFinite(value)) numbers[path] = value;
+            });
+            const camera = keyframe.camera && isPoint(keyframe.camera.position) && isPoint(keyframe.camera.target)
+                ? { position: keyframe.camera.position, target: keyframe.camera.target }
+                : null;
+            return {
+                time: Math.max(0, keyframe.time),
+                easing: Object.prototype.hasOwnProperty.call(EASINGS, keyframe.easing) ? keyframe.easing : 'linear',
+                values: numbers,
+                camera
+            };
+        })
+        .sort((a, b) => a.time - b.time);
+
+    const duration = Number.isFinite(values.duration) && values.duration > 0
+        ? Math.min(values.duration, TIMELINE_MAX_DURATION)
+        : 5;
+    return { duration, keyframes };
+}
+
+// Replace the timeline with a preset's (presets without one clear it)
+function restoreTimeline(values) {
+    const { duration, keyframes } = sanitizeTimeline(values);
+    timeline.duration = duration;
+    timeline.keyframes = keyframes;
+    timeline.selected = 0;
+    timeline.time = Math.min(timeline.time, duration);
+    timeline.playing = false;
+    controls.enabled = true;
+    rebuildTimelineFolder();
+}
+
+// Check a preset (from a file, the URL hash or the autosave) and load its settings, camera,
+// view and timeline; the GUI and the drape are left to the caller
+function restorePreset(preset) {
+    if (!preset || typeof preset !== 'object' || typeof preset.config !== 'object') {
+        throw new Error('Not a grid drape preset');
+    }
+    if (typeof preset.version !== 'number' || preset.version > PRESET_VERSION) {
+        throw new Error(`Unsupported preset version: ${preset.version}`);
+    }
+
+    Object.assign(config, sanitizePresetConfig(preset.config));
+
+    if (preset.camera) {
+        const { position, target } = preset.camera;
+        if (Array.isArray(position) && position.length === 3) camera.position.fromArray(position);
+        if (Array.isArray(target) && target.length === 3) controls.target.fromArray(target);
+        controls.update();
+    }
+
+    restoreView(preset.view);
+    restoreTimeline(preset.timeline);
+}
+
+// Apply a preset to config, camera and GUI
+function applyPreset(preset) {
+    restorePreset(preset);
+    showReplacedConfig();
+}
+
+// Bring the GUI, the layers and the drape up to date after config was replaced as a whole
+function showReplacedConfig() {
+    // Reapply the density-dependent slider ranges (this also clamps object positions)
+    selectObject(selectedObjectIndex);
+    updatePointSliderRanges();
+    refreshGuiDisplays();
+    updateLayerOpacity();
+    updateLayerColors();
+    updateLayerLineWidths();
+    updateStiffnessController();
+    updateVisualization();
+}
+
+// Stiffness only shapes the curved falloffs, so its slider is greyed out for the linear one
+function updateStiffnessController() {
+    if (!window.gui) return;
+    const controller = window.gui.__folders['Simulation'].__controllers.find(c => c.property === 'drapeStiffness');
+    const falloff = DRAPE_FALLOFFS[config.drapeFalloff] || DRAPE_FALLOFFS[DEFAULT_CONFIG.drapeFalloff];
+    controller.__li.style.pointerEvents = falloff.usesStiffness ? '' : 'none';
+    controller.__li.style.opacity = falloff.usesStiffness ? '' : '0.5';
+}
+
+// Update every dat.GUI controller, including nested folders
+function refreshGuiDisplays(gui = window.gui) {
+    if (!gui) return;
+    gui.__controllers.forEach(controller => controller.updateDisplay());
+    Object.values(gui.__folders).forEach(folder => refreshGuiDisplays(folder));
+}
+
+// URL-safe base64 of the preset JSON, used as the location hash
+function encodePresetHash(preset) {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodePresetHash(hash) {
+    const encoded = hash.replace(/^#/, '').replace(/^state=/, '');
+    if (!encoded) return null;
+
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Debounced autosave to localStorage and the URL hash
+function scheduleStateSave() {
+    clearTimeout(stateSaveTimer);
+    stateSaveTimer = setTimeout(saveState, 500);
+}
+
+function saveState() {
+    const preset = createPreset();
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(preset));
+    } catch (error) {
+        // Storage can be full or disabled (private mode); the URL hash still works
+    }
+    // Imported meshes are too large for a URL, links only reference them by id
+    const linkPreset = Object.assign({}, preset, { config: Object.assign({}, preset.config, { meshes: {} }) });
+    // replaceState keeps the back button free of every slider step
+    history.replaceState(null, '', '#state=' + encodePresetHash(linkPreset));
+}
+
+// Fill the imported meshes a link refers to from the ones this browser already has
+function restoreLinkedMeshes(preset) {
+    if (!preset || typeof preset.config !== 'object') return preset;
+    let savedMeshes = {};
+    try {
+        const autosave = JSON.parse(localStorage.getItem(AUTOSAVE_KEY));
+        savedMeshes = (autosave && autosave.config && autosave.config.meshes) || {};
+    } catch (error) {
+        // No usable autosave, meshes missing from the link are dropped
+    }
+    preset.config.meshes = Object.assign({}, savedMeshes, config.meshes, preset.config.meshes);
+    return preset;
+}
+
+// Restore the state from the URL hash, or the last autosave. Runs before the GUI is built.
+function loadInitialState() {
+    const sources = [
+        () => restoreLinkedMeshes(decodePresetHash(window.location.hash)),
+        () => JSON.parse(localStorage.getItem(AUTOSAVE_KEY))
+    ];
+
+    for (const source of sources) {
+        try {
+            const preset = source();
+            if (!preset) continue;
+            restorePreset(preset);
+            return true;
+        } catch (error) {
+            console.warn('Ignoring saved state', error);
+        }
+    }
+    return false;
+}
+
+function exportPresetJson() {
+    const json = JSON.stringify(createPreset(), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'grid-drape-preset.json');
+}
+
+function importPresetJson() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            applyPreset(JSON.parse(text));
+            recordHistory('Import Preset');
+        }).catch(error => {
+            alert('Could not load preset: ' + error.message);
+        });
+    });
+    input.click();
+}
+
+function resetToDefaults() {
+    localStorage.removeItem(AUTOSAVE_KEY);
+    applyPreset({
+        version: PRESET_VERSION,
+        config: DEFAULT_CONFIG,
+        camera: { position: [0, 0, 300], target: [0, 0, 0] }
+    });
+    recordHistory('Reset to Defaults');
+}
+
+// ---------------------------------------------------------------------------
+// Undo history
+// ---------------------------------------------------------------------------
+// Every finished edit of the composition (a released slider, a picked option, an action) stores
+// a snapshot of config and the view (projection and bookmarks). Snapshots equal to the current
+// entry are skipped, so controllers that change neither (the object selector, Restart
+// Simulation) leave the history alone. The camera, the timeline and the debug settings are not
+// part of it.
+
+const HISTORY_LIMIT = 100;
+
+const editHistory = {
+    entries: [], // { label, config (JSON without meshes), meshes, view (JSON) }
+    index: -1 // Entry matching the current config
+};
+
+// Config as stored in the history. Imported meshes never change once loaded, so they are shared.
+function createHistorySnapshot() {
+    return {
+        config: JSON.stringify(Object.assign({}, config, { meshes: undefined })),
+        meshes: Object.assign({}, config.meshes),
+        view: JSON.stringify(getViewState())
+    };
+}
+
+// Add the current config as a new entry, dropping any entries that were undone
+function recordHistory(label) {
+    const snapshot = createHistorySnapshot();
+    const current = editHistory.entries[editHistory.index];
+    if (current && current.config === snapshot.config && current.view === snapshot.view) return;
+
+    editHistory.entries.splice(editHistory.index + 1);
+    editHistory.entries.push(Object.assign({ label }, snapshot));
+    if (editHistory.entries.length > HISTORY_LIMIT) editHistory.entries.shift();
+    editHistory.index = editHistory.entries.length - 1;
+    rebuildHistoryFolder();
+}
+
+// Make config match a history entry
+function jumpToHistory(index) {
+    if (index < 0 || index >= editHistory.entries.length || index === editHistory.index) return;
+    const entry = editHistory.entries[index];
+    editHistory.index = index;
+
+    Object.assign(config, JSON.parse(entry.config), { meshes: Object.assign({}, entry.meshes) });
+    restoreView(JSON.parse(entry.view));
+    showReplacedConfig();
+    rebuildHistoryFolder();
+}
+
+function undo() {
+    jumpToHistory(editHistory.index - 1);
+}
+
+function redo() {
+    jumpToHistory(editHistory.index + 1);
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes). Text fields keep their own undo.
+function onHistoryKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (/^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) redo(); else undo();
+    } else if (key === 'y') {
+        event.preventDefault();
+        redo();
+    }
+}
+
+// Record an entry whenever a controller finishes a change (a slider when it is released, so a
+// drag becomes a single entry). Controllers with their own onFinishChange are skipped.
+function trackHistory(controller) {
+    if (controller.__onFinishChange) return;
+    controller.onFinishChange(() => {
+        // The controller's label, as set by name()
+        recordHistory(controller.__li.firstElementChild.firstElementChild.textContent);
+    });
+}
+
+// Track every controller of a folder (and its subfolders) that edits the composition. The debug
+// settings (overlays and readouts) are editing aids and stay out of the history.
+function trackFolderHistory(folder) {
+    folder.__controllers.forEach(controller => {
+        if (controller.object !== debugSettings) trackHistory(controller);
+    });
+    Object.values(folder.__folders).forEach(trackFolderHistory);
+}
+
+// Rebuild the History folder: undo/redo and a list of the entries to jump to
+function rebuildHistoryFolder() {
+    if (!window.gui) return;
+    const folder = window.gui.__folders['History'];
+    folder.__controllers.slice().forEach(controller => folder.remove(controller));
+
+    folder.add({ undo }, 'undo').name('Undo (Ctrl+Z)');
+    folder.add({ redo }, 'redo').name('Redo (Ctrl+Shift+Z)');
+
+    // Newest first, the way an undo stack reads
+    const options = {};
+    for (let index = editHistory.entries.length - 1; index >= 0; index--) {
+        options[`${index + 1}: ${editHistory.entries[index].label}`] = String(index);
+    }
+    folder.add({ entry: String(editHistory.index) }, 'entry', options).name('Go to State').onChange(value => {
+        jumpToHistory(parseInt(value, 10));
+    });
+}
+
+// UI initialization using dat.GUI
+function initializeUI() {
+    const gui = new dat.GUI({ width: 300 });
+
+    // Store GUI reference for potential updates
+    window.gui = gui;
+
+    // Objects folder: pick which object the Position and Rotation folders edit
+    gui.addFolder('Objects');
+    rebuildObjectList();
+
+    // Position folder
+    const positionFolder = gui.addFolder('Position');
+    positionFolder.add(config, 'gridDensity', 15, 40, 5).name('Grid Density').onChange(() => {
+        updatePointSliderRanges();
+        updateVisualization();
+    });
+    const topologyOptions = {};
+    Object.entries(GRID_TOPOLOGIES).forEach(([key, topology]) => {
+        topologyOptions[topology.label] = key;
+    });
+    positionFolder.add(config, 'gridTopology', topologyOptions).name('Grid Topology').onChange(updateVisualization);
+    bindToSelectedObject(positionFolder.add(getSelectedObject(), 'x', -17, 17, 1).name('Object Center X')).onChange(updateVisualization);
+    bindToSelectedObject(positionFolder.add(getSelectedObject(), 'y', -17, 17, 1).name('Object Center Y')).onChange(updateVisualization);
+    bindToSelectedObject(positionFolder.add(getSelectedObject(), 'size', 3, 15, 1).name('Object Size')).onChange((value) => {
+        // Force to nearest odd number
+        const rounded = Math.round(value);
+        getSelectedObject().size = rounded % 2 === 0 ? rounded + 1 : rounded;
+        updateVisualization();
+    });
+
+
+    // Appearance folder
+    const appearanceFolder = gui.addFolder('Appearance');
+    appearanceFolder.add(config, 'drapeOpacity', 0, 1, 0.1).name('Drape Opacity').onChange(onOpacityChange);
+    appearanceFolder.add(config, 'shapeOpacity', 0, 1, 0.1).name('Shape Opacity').onChange(onOpacityChange);
+    appearanceFolder.add(config, 'backGridOpacity', 0, 1, 0.1).name('Back Grid Opacity').onChange(onOpacityChange);
+
+    appearanceFolder.add(config, 'drapeLineWidth', 0.5, 5, 0.1).name('Drape Width').onChange(onLineWidthChange);
+    appearanceFolder.add(config, 'shapeLineWidth', 0.5, 5, 0.1).name('Shape Width').onChange(onLineWidthChange);
+    appearanceFolder.add(config, 'backGridLineWidth', 0.5, 5, 0.1).name('Back Grid Width').onChange(onLineWidthChange);
+    appearanceFolder.add(config, 'traceDrapeLines').name('Continue Drape Lines').onChange(updateVisualization);
+
+    appearanceFolder.add(config, 'solidMode').name('Solid (Hide Occluded)').onChange(() => {
+        updateLayerOpacity();
+        updateVisualization();
+    });
+    appearanceFolder.add(config, 'hiddenLineOpacity', 0, 1, 0.05).name('Hidden Line Opacity').onChange(onOpacityChange);
+
+
+
+    // Style folder: stroke style and colours
+    const styleFolder = gui.addFolder('Style');
+    const styleOptions = {};
+    Object.entries(STROKE_STYLES).forEach(([key, style]) => {
+        styleOptions[style.label] = key;
+    });
+    styleFolder.add(config, 'strokeStyle', styleOptions).name('Stroke Style').onChange(value => {
+        // Start from the style's own settings
+        const style = STROKE_STYLES[value];
+        config.strokeNoiseAmplitude = style.noiseAmplitude;
+        config.strokeNoiseFrequency = style.noiseFrequency;
+        config.strokeAlphaMin = style.alphaMin;
+        config.strokeAlphaMax = style.alphaMax;
+        config.strokeTaper = style.taper;
+        config.strokeOvershoot = style.overshoot;
+        config.strokeWobble = style.wobble;
+        refreshGuiDisplays(styleFolder);
+        updateVisualization();
+    });
+    styleFolder.add(config, 'strokeNoiseAmplitude', 0, 3, 0.05).name('Noise Amplitude').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeNoiseFrequency', 0.1, 5, 0.1).name('Noise Frequency').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeAlphaMin', 0, 1, 0.05).name('Alpha Min').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeAlphaMax', 0, 1, 0.05).name('Alpha Max').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeTaper', 0, 5, 0.25).name('Taper (cells)').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeOvershoot', 0, 1, 0.05).name('Overshoot (cells)').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeWobble', 0, 0.3, 0.01).name('Wobble (cells)').onChange(updateVisualization);
+    styleFolder.add(config, 'strokeSeed', 0, 999, 1).name('Stroke Seed').onChange(updateVisualization);
+    styleFolder.addColor(config, 'drapeColor').name('Drape Color').onChange(onColorChange);
+    styleFolder.addColor(config, 'shapeColor').name('Shape Color').onChange(onColorChange);
+    styleFolder.addColor(config, 'backGridColor').name('Back Grid Color').onChange(onColorChange);
+    styleFolder.addColor(config, 'paperColor').name('Paper Color').onChange(onColorChange);
+
+    // Simulation folder
+    const simulationFolder = gui.addFolder('Simulation');
+    simulationFolder.add(config, 'drapeMode', { 'Height Field': 'relax', 'Cloth (PBD)': 'cloth' }).name('Drape Mode').onChange(updateVisualization);
+    simulationFolder.add(config, 'drapeExtension', 0, DRAPE_EXTENSION_MAX, 1).name('Extension (cells)').onChange(updateVisualization);
+    simulationFolder.add(config, 'drapeStiffness', 0, 1, 0.05).name('Stiffness').onChange(updateVisualization);
+    const falloffOptions = {};
+    Object.entries(DRAPE_FALLOFFS).forEach(([key, falloff]) => {
+        falloffOptions[falloff.label] = key;
+    });
+    simulationFolder.add(config, 'drapeFalloff', falloffOptions).name('Falloff').onChange(() => {
+        updateStiffnessController();
+        updateVisualization();
+    });
+    simulationFolder.add(config, 'clothAnimate').name('Animate Settling').onChange(updateVisualization);
+    simulationFolder.add({ restart: updateVisualization }, 'restart').name('Restart Simulation');
+    simulationFolder.add(debugSettings, 'analysis', ANALYSIS_MODES).name('Analysis Overlay').onChange(updateAnalysisOverlay);
+    updateStiffnessController();
 
     // Rotation folder
     const rotationFolder = gui.addFolder('Rotation');
-    rotationFolder.add(config, 'rotationX', 0, 360, 5).name('Rotation X (°)').onChange(updateVisualization);
-    rotationFolder.add(config, 'rotationY', 0, 360, 5).name('Rotation Y (°)').onChange(updateVisualization);
-    rotationFolder.add(config, 'rotationZ', 0, 360, 5).name('Rotation Z (°)').onChange(updateVisualization);
+    const onRotationChange = () => {
+        snapObjectRotation(getSelectedObject());
+        refreshGuiDisplays(rotationFolder);
+        updateVisualization();
+    };
+    bindToSelectedObject(rotationFolder.add(getSelectedObject(), 'rotationX', 0, 360, 5).name('Rotation X (°)')).onChange(onRotationChange);
+    bindToSelectedObject(rotationFolder.add(getSelectedObject(), 'rotationY', 0, 360, 5).name('Rotation Y (°)')).onChange(onRotationChange);
+    bindToSelectedObject(rotationFolder.add(getSelectedObject(), 'rotationZ', 0, 360, 5).name('Rotation Z (°)')).onChange(onRotationChange);
+    rotationFolder.add(config, 'latticeRotation').name('Lattice Angles Only').onChange(() => {
+        config.objects.forEach(snapObjectRotation);
+        refreshGuiDisplays(rotationFolder);
+        updateVisualization();
+    });
+
+    // Edits in these folders go into the undo history (the Objects and View folders track
+    // themselves when rebuilt)
+    [positionFolder, appearanceFolder, styleFolder, simulationFolder, rotationFolder].forEach(trackFolderHistory);
 
 
+    // View folder: projection, camera presets and bookmarks
+    gui.addFolder('View');
+    rebuildViewFolder();
+
+    // Timeline folder: keyframes, playback and animation export
+    gui.addFolder('Timeline');
+    rebuildTimelineFolder();
+
     // Actions folder
     const actionsFolder = gui.addFolder('Actions');
     const actions = {
-        toggleShape: function () {
-            config.shapeType = config.shapeType === 'cube' ? 'sphere' : 'cube';
-            updateVisualization();
-        },
         resetCamera: function () {
             resetCamera();
+        },
+        exportSvg: function () {
+            exportSvg();
+        },
+        exportMesh: function () {
+            exportMesh();
+        },
+        exportPng: function () {
+            if (isExportingImage) return;
+            const label = 'Export PNG Poster';
+            exportPosterPng(progress => {
+                pngController.name(`Exporting… ${Math.round(progress * 100)}%`);
+            }).catch(error => {
+                console.error('PNG export failed', error);
+                alert('PNG export failed: ' + error.message);
+            }).finally(() => {
+                pngController.name(label);
+            });
         }
     };
-    actionsFolder.add(actions, 'toggleShape').name('Toggle Shape Type');
     actionsFolder.add(actions, 'resetCamera').name('Bird\'s Eye View');
+    actionsFolder.add(actions, 'exportSvg').name('Export SVG');
+
+    const svgFolder = actionsFolder.addFolder('SVG Export');
+    svgFolder.add(svgExportSettings, 'paperSize', Object.keys(PAPER_SIZES_MM)).name('Paper Size');
+    svgFolder.add(svgExportSettings, 'orientation', ['auto', 'portrait', 'landscape']).name('Orientation');
+    svgFolder.add(svgExportSettings, 'margin', 0, 50, 1).name('Margin (mm)');
+    svgFolder.add(svgExportSettings, 'units', ['mm', 'px']).name('Units');
+
+    const pngController = actionsFolder.add(actions, 'exportPng').name('Export PNG Poster');
+    const pngFolder = actionsFolder.addFolder('PNG Export');
+    pngFolder.add(pngExportSettings, 'width', 100, 20000, 1).name('Width (px)');
+    pngFolder.add(pngExportSettings, 'height', 100, 20000, 1).name('Height (px)');
+    pngFolder.add(pngExportSettings, 'tileSize', 256, 4096, 256).name('Tile Size (px)');
+
+    actionsFolder.add(actions, 'exportMesh').name('Export 3D Model');
+    const meshFolder = actionsFolder.addFolder('3D Export');
+    meshFolder.add(meshExportSettings, 'format', MESH_EXPORT_FORMATS).name('Format');
+    meshFolder.add(meshExportSettings, 'lines', { Tubes: 'tubes', Polylines: 'polylines' }).name('Lines As');
+    meshFolder.add(meshExportSettings, 'surfaces').name('Include Surfaces');
+    meshFolder.add(meshExportSettings, 'thickness', 0, 2, 0.05).name('Thickness (cells)');
+
+    actionsFolder.add(debugSettings, 'showGpuMemory').name('Show GPU Memory');
+    actionsFolder.add(debugSettings, 'showSolverStats').name('Show Solver Stats');
+    actionsFolder.add(debugSettings, 'showFootprint').name('Show Footprint').onChange(updateFootprintOverlay);
+
+    // Presets folder
+    const presetsFolder = gui.addFolder('Presets');
+    const presetActions = {
+        exportJson: exportPresetJson,
+        importJson: importPresetJson,
+        copyLink: function () {
+            saveState();
+            navigator.clipboard.writeText(window.location.href).catch(() => {
+                prompt('Copy this link:', window.location.href);
+            });
+        },
+        reset: resetToDefaults
+    };
+    presetsFolder.add(presetActions, 'exportJson').name('Export Preset (.json)');
+    presetsFolder.add(presetActions, 'importJson').name('Import Preset (.json)');
+    presetsFolder.add(presetActions, 'copyLink').name('Copy Share Link');
+    presetsFolder.add(presetActions, 'reset').name('Reset to Defaults');
+
+    // History folder: undo, redo and earlier states
+    gui.addFolder('History');
 
     // GitHub link outside of folders
     const githubAction = {
@@ -1022,9 +2797,156 @@ function initializeUI() {
 
     // Close GUI by default
     gui.close();
+}
 
-    // Store GUI reference for potential updates
-    window.gui = gui;
+function getSelectedObject() {
+    return config.objects[selectedObjectIndex];
+}
+
+// Mark a Position or Rotation controller as one that edits the selected object, so selectObject
+// points it at the newly selected one
+function bindToSelectedObject(controller) {
+    controller.bindsSelectedObject = true;
+    return controller;
+}
+
+// Point the per-object controllers (Position and Rotation folders) at the selected object
+function selectObject(index) {
+    selectedObjectIndex = Math.max(0, Math.min(index, config.objects.length - 1));
+
+    if (window.gui) {
+        ['Position', 'Rotation'].forEach(folderName => {
+            window.gui.__folders[folderName].__controllers.forEach(controller => {
+                if (controller.bindsSelectedObject) {
+                    controller.object = getSelectedObject();
+                    controller.updateDisplay();
+                }
+            });
+        });
+    }
+
+    rebuildObjectList();
+}
+
+// Rebuild the Objects folder so the selector lists the current objects
+// and the shape controllers match the selected object's type
+function rebuildObjectList() {
+    if (!window.gui) return;
+    const folder = window.gui.__folders['Objects'];
+    folder.__controllers.slice().forEach(controller => folder.remove(controller));
+
+    const options = {};
+    config.objects.forEach((object, index) => {
+        options[`${index + 1}: ${getObjectLabel(object)}`] = String(index);
+    });
+
+    const selection = { selected: String(selectedObjectIndex) };
+    folder.add(selection, 'selected', options).name('Selected Object').onChange(value => {
+        selectObject(parseInt(value, 10));
+    });
+
+    const selected = getSelectedObject();
+    const shapeOptions = {};
+    Object.keys(SHAPES).forEach(type => {
+        // Imported meshes come from Import Mesh, they can't be picked for another object
+        if (SHAPES[type].imported && type !== selected.type) return;
+        shapeOptions[SHAPES[type].label] = type;
+    });
+    folder.add(selected, 'type', shapeOptions).name('Shape Type').onChange(() => {
+        // Swap in the new shape's parameters, keeping position, size and rotation
+        const defaults = getObjectDefaults(selected.type);
+        Object.keys(selected).forEach(key => {
+            if (!(key in defaults)) delete selected[key];
+        });
+        Object.keys(defaults).forEach(key => {
+            if (!(key in selected)) selected[key] = defaults[key];
+        });
+        rebuildObjectList();
+        updateVisualization();
+    });
+
+    // Extra parameters of the selected shape (box extents, heights, tube radius, mesh fitting)
+    Object.entries(getShape(selected.type).params).forEach(([key, param]) => {
+        if (!param.label) return;
+        const controller = typeof param.default === 'boolean'
+            ? folder.add(selected, key)
+            : folder.add(selected, key, param.min, param.max, param.step);
+        controller.name(param.label).onChange(updateVisualization);
+    });
+
+    // Grid alignment; the face to snap is only offered for shapes with flat faces
+    const alignmentOptions = {};
+    Object.entries(ALIGNMENT_MODES).forEach(([mode, label]) => {
+        alignmentOptions[label] = mode;
+    });
+    folder.add(selected, 'alignment', alignmentOptions).name('Grid Alignment').onChange(() => {
+        rebuildObjectList();
+        updateVisualization();
+    });
+    const faces = getShape(selected.type).faces;
+    if (selected.alignment === 'face' && faces) {
+        const faceOptions = {};
+        Object.keys(faces(selected, getGridSpacing(config))).forEach(face => {
+            faceOptions[FACE_LABELS[face]] = face;
+        });
+        if (!Object.values(faceOptions).includes(selected.alignFace)) selected.alignFace = Object.values(faceOptions)[0];
+        folder.add(selected, 'alignFace', faceOptions).name('Align Face').onChange(updateVisualization);
+    }
+
+    const objectActions = {
+        add: function () {
+            // New objects start next to the selected one, inside the slider range
+            const range = config.gridDensity / 2;
+            const x = selected ? selected.x + Math.ceil(selected.size / 2) + 3 : 0;
+            config.objects.push(Object.assign(getObjectDefaults('cube'), {
+                x: Math.max(-range, Math.min(range, x)),
+                y: selected ? selected.y : 0,
+                size: 5
+            }));
+            selectObject(config.objects.length - 1);
+            updateVisualization();
+        },
+        remove: function () {
+            // Keep at least one object so the editing folders have something to show
+            if (config.objects.length <= 1) return;
+            config.objects.splice(selectedObjectIndex, 1);
+            selectObject(selectedObjectIndex);
+            updateVisualization();
+        }
+    };
+    folder.add(objectActions, 'add').name('Add Object');
+    folder.add(objectActions, 'remove').name('Remove Selected Object');
+    folder.add({ importMesh: importMeshFile }, 'importMesh').name('Import Mesh (OBJ/STL)');
+    trackFolderHistory(folder);
+}
+
+// Name shown in the object selector: the file name for imported meshes, the shape label otherwise
+function getObjectLabel(object) {
+    const mesh = object.type === 'mesh' && config.meshes[object.mesh];
+    return mesh ? mesh.name : getShape(object.type).label;
+}
+
+// Load an OBJ or STL file as a new object under the cloth
+function importMeshFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.obj,.stl';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.arrayBuffer().then(buffer => {
+            const triangles = parseMeshFile(file.name, buffer);
+            const id = getMeshId(triangles);
+            config.meshes[id] = { name: file.name, triangles };
+            config.objects.push(Object.assign(getObjectDefaults('mesh'), { mesh: id }));
+            selectObject(config.objects.length - 1);
+            updateVisualization();
+            recordHistory('Import Mesh');
+        }).catch(error => {
+            alert('Could not load mesh: ' + error.message);
+        });
+    });
+    input.click();
 }
 
 // Update point slider ranges when density changes
@@ -1032,17 +2954,19 @@ function updatePointSliderRanges() {
     const range = config.gridDensity / 2;
 
     // Clamp values if out of new range
-    if (Math.abs(config.cubeX) > range) {
-        config.cubeX = Math.sign(config.cubeX) * range;
-    }
-    if (Math.abs(config.cubeY) > range) {
-        config.cubeY = Math.sign(config.cubeY) * range;
-    }
+    config.objects.forEach(object => {
+        if (Math.abs(object.x) > range) {
+            object.x = Math.sign(object.x) * range;
+        }
+        if (Math.abs(object.y) > range) {
+            object.y = Math.sign(object.y) * range;
+        }
+    });
 
     // Update GUI controllers
     if (window.gui) {
         window.gui.__folders['Position'].__controllers.forEach(controller => {
-            if (controller.property === 'cubeX' || controller.property === 'cubeY') {
+            if (controller.property === 'x' || controller.property === 'y') {
                 controller.min(-range);
                 controller.max(range);
                 controller.updateDisplay();